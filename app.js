@@ -0,0 +1,64 @@
+/**
+ * Express App
+ * Middleware and routes of the API server. index.js starts it along with the
+ * background jobs; tests run it on a port of their own.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const apiRoutes = require('./routes/api');
+const authRoutes = require('./routes/auth');
+const shareRoutes = require('./routes/share');
+const { requireAuth } = require('./middleware/auth');
+const { uploadsDir } = require('./config/uploadsDir');
+
+const app = express();
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Behind a reverse proxy, req.ip comes from X-Forwarded-For only for the proxies
+// trusted here (see Express' 'trust proxy': true, a hop count, or addresses)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+} else if (/^\d+$/.test(trustProxy || '')) {
+    app.set('trust proxy', Number(trustProxy));
+} else if (trustProxy) {
+    app.set('trust proxy', trustProxy);
+}
+
+// Allowed cross-origin clients (comma-separated). The Vite dev server is
+// allowed by default in development; production serves the client itself.
+const corsOrigins = process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+    : (isProduction ? [] : ['http://localhost:5173']);
+
+// Middleware
+// Clients read list totals and revalidate with ETags, so expose those headers
+app.use(cors({ origin: corsOrigins, exposedHeaders: ['ETag', 'X-Total-Count'] }));
+app.use(express.json());
+
+// Serve uploaded files (for legacy local files only)
+app.use('/uploads', express.static(uploadsDir));
+
+// API routes
+app.use('/api/auth', authRoutes);
+app.use('/api/shared', shareRoutes);
+app.use('/api', requireAuth, apiRoutes);
+
+// In production, serve the React build
+if (isProduction) {
+    const clientBuildPath = path.join(__dirname, '..', 'client', 'dist');
+    
+    // Serve static files from the React build
+    app.use(express.static(clientBuildPath));
+    
+    // Handle React routing - serve index.html for all non-API routes
+    app.get('*', (req, res) => {
+        res.sendFile(path.join(clientBuildPath, 'index.html'));
+    });
+    
+    console.log('🚀 Running in PRODUCTION mode - serving static files from client/dist');
+}
+
+module.exports = app;
@@ -0,0 +1,160 @@
+/**
+ * Storage Configuration
+ * Selects the storage driver (S3 or local disk) and exposes a
+ * driver-agnostic API to the routes.
+ *
+ * STORAGE_DRIVER=s3|local picks the driver explicitly. When unset, S3 is
+ * used if a bucket is configured, otherwise files are stored on local disk.
+ *
+ * Every driver implements:
+ *   name                 - driver identifier
+ *   createStorage(folder) - multer storage engine that sets file.key (and
+ *                          names it after file.detectedType.ext when set)
+ *   getUrl(key)          - public URL for a stored key
+ *   deleteObject(key)    - async, resolves true on success
+ *   getKeyFromUrl(url)   - storage key for a URL, or null if not managed
+ *   headObject(key)      - async, resolves { size, contentType } or null
+ *   getObjectStream(key) - readable stream of a stored file
+ *   putObject(key, body, contentType) - async, stores a Buffer
+ *   putFile(key, filePath, contentType) - async, stores a file from local disk
+ *   deletePrefix(prefix) - async, deletes every key under a folder prefix
+ *   listObjects(prefix)  - async, every key under a folder prefix as
+ *                          { key, size, lastModified }
+ *
+ * Drivers that let clients upload straight to storage (S3) also expose
+ * directUploads: { presignPut, createMultipartUpload, presignPart, listParts,
+ * completeMultipartUpload, abortMultipartUpload }.
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const {
+    IMAGE_TYPES,
+    VIDEO_TYPES,
+    AUDIO_TYPES,
+    detectFileType,
+    unsupportedFileTypeError,
+    peekStream
+} = require('../../utils/fileType');
+
+const driverName = (process.env.STORAGE_DRIVER
+    || (process.env.AWS_S3_BUCKET_NAME ? 's3' : 'local')).toLowerCase();
+
+const drivers = {
+    s3: () => require('./s3'),
+    local: () => require('./local')
+};
+
+if (!drivers[driverName]) {
+    console.error(`Unknown STORAGE_DRIVER "${driverName}" (expected: ${Object.keys(drivers).join(', ')})`);
+    process.exit(1);
+}
+
+const driver = drivers[driverName]();
+
+function getFileUrl(key) {
+    return driver.getUrl(key);
+}
+
+function deleteFile(key) {
+    return driver.deleteObject(key);
+}
+
+function getKeyFromUrl(url) {
+    return driver.getKeyFromUrl(url);
+}
+
+function headObject(key) {
+    return driver.headObject(key);
+}
+
+async function getObjectStream(key) {
+    return driver.getObjectStream(key);
+}
+
+function putObject(key, body, contentType) {
+    return driver.putObject(key, body, contentType);
+}
+
+function putFile(key, filePath, contentType) {
+    return driver.putFile(key, filePath, contentType);
+}
+
+function deletePrefix(prefix) {
+    return driver.deletePrefix(prefix);
+}
+
+function listObjects(prefix) {
+    return driver.listObjects(prefix);
+}
+
+/**
+ * Create a multer storage engine for a folder. With allowedTypes (extensions
+ * from utils/fileType), each file's content is sniffed before it is stored:
+ * anything else fails the upload with a 415 error, and accepted files get
+ * file.detectedType = { ext, mime, kind }.
+ */
+function createStorage(folder, allowedTypes) {
+    const storage = driver.createStorage(folder);
+    if (!allowedTypes) return storage;
+
+    return {
+        _handleFile(req, file, cb) {
+            peekStream(file.stream).then(({ head, stream }) => {
+                const detected = detectFileType(head);
+                if (!detected || !allowedTypes.includes(detected.ext)) {
+                    stream.resume(); // drain the rest of this file
+                    return cb(unsupportedFileTypeError(file.originalname, detected, allowedTypes));
+                }
+
+                // multer defines file.stream as read-only
+                Object.defineProperty(file, 'stream', { configurable: true, enumerable: false, value: stream });
+                file.detectedType = detected;
+                file.mimetype = detected.mime;
+                storage._handleFile(req, file, cb);
+            }, cb);
+        },
+
+        _removeFile(req, file, cb) {
+            storage._removeFile(req, file, cb);
+        }
+    };
+}
+
+/**
+ * Generate a new storage key in a folder, keeping the original extension
+ */
+function createKey(folder, originalName) {
+    return `${folder}/${uuidv4()}${path.extname(originalName)}`;
+}
+
+// Direct (presigned) uploads, or null when the driver doesn't support them
+const directUploads = driver.directUploads || null;
+
+// Pre-configured storage instances for each file type
+const seriesThumbnailStorage = createStorage('series-thumbnails', IMAGE_TYPES);
+const seriesBannerStorage = createStorage('series-banners', IMAGE_TYPES);
+const thumbnailStorage = createStorage('thumbnails', IMAGE_TYPES);
+const mediaStorage = createStorage('media', [...IMAGE_TYPES, ...VIDEO_TYPES]);
+const musicStorage = createStorage('music', AUDIO_TYPES);
+
+module.exports = {
+    driver,
+    getFileUrl,
+    deleteFile,
+    getKeyFromUrl,
+    headObject,
+    getObjectStream,
+    putObject,
+    putFile,
+    deletePrefix,
+    listObjects,
+    createStorage,
+    createKey,
+    directUploads,
+    seriesThumbnailStorage,
+    seriesBannerStorage,
+    thumbnailStorage,
+    mediaStorage,
+    musicStorage
+};
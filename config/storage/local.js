@@ -0,0 +1,193 @@
+/**
+ * Local Filesystem Storage Driver
+ * Stores uploads under uploads/ or UPLOADS_DIR (served by express.static at /uploads)
+ * so the server can run without AWS credentials.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { uploadsDir: UPLOADS_DIR } = require('../uploadsDir');
+
+const URL_PREFIX = '/uploads/';
+
+console.log('\n╔══════════════════════════════════════════════════════════════╗');
+console.log('║  ✅ Local Storage Configuration Loaded                       ║');
+console.log('╠══════════════════════════════════════════════════════════════╣');
+console.log(`║  Directory: ${UPLOADS_DIR.padEnd(49)}║`);
+console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+/**
+ * Resolve a storage key to an absolute path inside the uploads directory
+ */
+function getFilePath(key) {
+    const filePath = path.resolve(UPLOADS_DIR, key);
+    if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+}
+
+/**
+ * Generate the public URL for a stored file
+ */
+function getUrl(key) {
+    return `${URL_PREFIX}${key}`;
+}
+
+/**
+ * Delete a file from the uploads directory
+ */
+async function deleteObject(key) {
+    console.log(`[LOCAL DELETE] Attempting to delete: ${key}`);
+    try {
+        await fs.promises.unlink(getFilePath(key));
+        console.log(`[LOCAL DELETE] ✅ Successfully deleted: ${key}`);
+        return true;
+    } catch (error) {
+        console.error(`[LOCAL DELETE] ❌ Failed to delete: ${key}`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Extract the storage key from a local /uploads URL
+ */
+function getKeyFromUrl(url) {
+    if (!url) return null;
+
+    if (url.startsWith(URL_PREFIX)) {
+        return decodeURIComponent(url.slice(URL_PREFIX.length));
+    }
+
+    // S3 URLs and bare filenames are not managed by this driver
+    return null;
+}
+
+/**
+ * Size of a stored file, or null if it does not exist
+ */
+async function headObject(key) {
+    try {
+        const stats = await fs.promises.stat(getFilePath(key));
+        return { size: stats.size, contentType: null };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Readable stream of a stored file
+ */
+function getObjectStream(key) {
+    return fs.createReadStream(getFilePath(key));
+}
+
+/**
+ * Write a Buffer or stream to a stored file
+ */
+async function putObject(key, body) {
+    const filePath = getFilePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+    console.log(`[LOCAL PUT] ✅ Stored: ${key}`);
+}
+
+/**
+ * Copy a file from local disk into storage
+ */
+async function putFile(key, sourcePath) {
+    const filePath = getFilePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, filePath);
+    console.log(`[LOCAL PUT] ✅ Stored: ${key}`);
+}
+
+/**
+ * Delete every file whose key starts with prefix (a folder)
+ */
+async function deletePrefix(prefix) {
+    console.log(`[LOCAL DELETE] Deleting everything under: ${prefix}`);
+    await fs.promises.rm(getFilePath(prefix), { recursive: true, force: true });
+}
+
+/**
+ * Every file whose key starts with prefix (a folder), as { key, size, lastModified }
+ */
+async function listObjects(prefix) {
+    const objects = [];
+    const walk = async (dir) => {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                await walk(entryPath);
+            } else if (entry.isFile()) {
+                const stats = await fs.promises.stat(entryPath);
+                objects.push({
+                    key: path.relative(UPLOADS_DIR, entryPath).split(path.sep).join('/'),
+                    size: stats.size,
+                    lastModified: stats.mtime
+                });
+            }
+        }
+    };
+    await walk(getFilePath(prefix));
+    return objects;
+}
+
+/**
+ * Create a multer storage engine that writes into uploads/<folder>.
+ * Sets file.key the same way multer-s3 does so routes are driver-agnostic.
+ */
+function createStorage(folder) {
+    return {
+        _handleFile(req, file, cb) {
+            const ext = file.detectedType ? `.${file.detectedType.ext}` : path.extname(file.originalname);
+            const key = `${folder}/${uuidv4()}${ext}`;
+            const filePath = getFilePath(key);
+            console.log(`[LOCAL UPLOAD] 📤 Uploading file:`);
+            console.log(`[LOCAL UPLOAD]    Original name: ${file.originalname}`);
+            console.log(`[LOCAL UPLOAD]    Content type: ${file.mimetype}`);
+            console.log(`[LOCAL UPLOAD]    Key: ${key}`);
+
+            fs.mkdir(path.dirname(filePath), { recursive: true }, (mkdirError) => {
+                if (mkdirError) return cb(mkdirError);
+
+                const out = fs.createWriteStream(filePath);
+                file.stream.pipe(out);
+                out.on('error', cb);
+                out.on('finish', () => {
+                    cb(null, { key, path: filePath, size: out.bytesWritten });
+                });
+            });
+        },
+
+        _removeFile(req, file, cb) {
+            fs.unlink(file.path, () => cb(null));
+        }
+    };
+}
+
+module.exports = {
+    name: 'local',
+    uploadsDir: UPLOADS_DIR,
+    getFilePath,
+    getUrl,
+    deleteObject,
+    getKeyFromUrl,
+    headObject,
+    getObjectStream,
+    putObject,
+    putFile,
+    deletePrefix,
+    listObjects,
+    createStorage
+};
@@ -0,0 +1,349 @@
+/**
+ * AWS S3 Storage Driver
+ * Handles S3 client setup and multer-s3 storage configuration
+ */
+
+const {
+    S3Client,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    GetObjectCommand,
+    PutObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    ListPartsCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const multerS3 = require('multer-s3');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Validate required environment variables
+const requiredEnvVars = ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_S3_BUCKET_NAME'];
+const missingVars = requiredEnvVars.filter(v => !process.env[v]);
+
+if (missingVars.length > 0) {
+    console.error('\n╔══════════════════════════════════════════════════════════════╗');
+    console.error('║  ⚠️  AWS S3 Configuration Error                               ║');
+    console.error('╠══════════════════════════════════════════════════════════════╣');
+    console.error('║  Missing required environment variables:                      ║');
+    missingVars.forEach(v => {
+        console.error(`║    - ${v.padEnd(52)}║`);
+    });
+    console.error('║                                                              ║');
+    console.error('║  Please configure your .env file:                            ║');
+    console.error('║    1. cp server/.env.example server/.env                     ║');
+    console.error('║    2. Add your AWS credentials to server/.env                ║');
+    console.error('║                                                              ║');
+    console.error('║  Or set STORAGE_DRIVER=local to store files on disk.         ║');
+    console.error('║  See docs/AWS_SETUP.md for detailed instructions.            ║');
+    console.error('╚══════════════════════════════════════════════════════════════╝\n');
+    process.exit(1);
+}
+
+// Initialize S3 client
+const region = process.env.AWS_REGION || 'ap-south-1';
+const s3Client = new S3Client({
+    region: region,
+    credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    }
+});
+
+const bucketName = process.env.AWS_S3_BUCKET_NAME;
+
+// Log successful configuration
+console.log('\n╔══════════════════════════════════════════════════════════════╗');
+console.log('║  ✅ AWS S3 Configuration Loaded                              ║');
+console.log('╠══════════════════════════════════════════════════════════════╣');
+console.log(`║  Bucket: ${bucketName.padEnd(52)}║`);
+console.log(`║  Region: ${region.padEnd(52)}║`);
+console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+/**
+ * Generate the public URL for an S3 object
+ */
+function getUrl(key) {
+    return `https://${bucketName}.s3.${process.env.AWS_REGION || 'ap-south-1'}.amazonaws.com/${key}`;
+}
+
+/**
+ * Delete an object from S3
+ */
+async function deleteObject(key) {
+    console.log(`[S3 DELETE] Attempting to delete: ${key}`);
+    try {
+        await s3Client.send(new DeleteObjectCommand({
+            Bucket: bucketName,
+            Key: key
+        }));
+        console.log(`[S3 DELETE] ✅ Successfully deleted: ${key}`);
+        return true;
+    } catch (error) {
+        console.error(`[S3 DELETE] ❌ Failed to delete: ${key}`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Extract S3 key from a full S3 URL
+ */
+function getKeyFromUrl(url) {
+    if (!url) return null;
+    
+    // Handle full S3 URLs
+    if (url.includes('.s3.') && url.includes('.amazonaws.com/')) {
+        const match = url.match(/\.amazonaws\.com\/(.+)$/);
+        return match ? match[1] : null;
+    }
+    
+    // Handle legacy local paths - extract just the filename
+    if (url.startsWith('/uploads/')) {
+        return null; // Local file, not in S3
+    }
+    
+    return null;
+}
+
+/**
+ * Readable stream of an S3 object
+ */
+async function getObjectStream(key) {
+    const result = await s3Client.send(new GetObjectCommand({
+        Bucket: bucketName,
+        Key: key
+    }));
+    return result.Body;
+}
+
+/**
+ * Upload a Buffer (or stream of known length) to S3
+ */
+async function putObject(key, body, contentType) {
+    await s3Client.send(new PutObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+    }));
+    console.log(`[S3 PUT] ✅ Stored: ${key}`);
+}
+
+/**
+ * Upload a file from local disk to S3 without buffering it in memory
+ */
+async function putFile(key, filePath, contentType) {
+    const { size } = await fs.promises.stat(filePath);
+    await s3Client.send(new PutObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: contentType
+    }));
+    console.log(`[S3 PUT] ✅ Stored: ${key}`);
+}
+
+/**
+ * Delete every object whose key starts with prefix
+ */
+async function deletePrefix(prefix) {
+    console.log(`[S3 DELETE] Deleting everything under: ${prefix}`);
+    let continuationToken;
+    do {
+        const listed = await s3Client.send(new ListObjectsV2Command({
+            Bucket: bucketName,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+        }));
+        const objects = (listed.Contents || []).map(o => ({ Key: o.Key }));
+        if (objects.length > 0) {
+            await s3Client.send(new DeleteObjectsCommand({
+                Bucket: bucketName,
+                Delete: { Objects: objects }
+            }));
+        }
+        continuationToken = listed.IsTruncated ? listed.NextContinuationToken : undefined;
+    } while (continuationToken);
+}
+
+/**
+ * Every object whose key starts with prefix, as { key, size, lastModified }
+ */
+async function listObjects(prefix) {
+    const objects = [];
+    let continuationToken;
+    do {
+        const listed = await s3Client.send(new ListObjectsV2Command({
+            Bucket: bucketName,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+        }));
+        (listed.Contents || []).forEach(o => objects.push({ key: o.Key, size: o.Size, lastModified: o.LastModified }));
+        continuationToken = listed.IsTruncated ? listed.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return objects;
+}
+
+/**
+ * Create multer-s3 storage configuration
+ */
+function createStorage(folder) {
+    return multerS3({
+        s3: s3Client,
+        bucket: bucketName,
+        contentType: multerS3.AUTO_CONTENT_TYPE,
+        key: (req, file, cb) => {
+            const ext = file.detectedType ? `.${file.detectedType.ext}` : path.extname(file.originalname);
+            const filename = `${uuidv4()}${ext}`;
+            const key = `${folder}/${filename}`;
+            console.log(`[S3 UPLOAD] 📤 Uploading file:`);
+            console.log(`[S3 UPLOAD]    Original name: ${file.originalname}`);
+            console.log(`[S3 UPLOAD]    Content type: ${file.mimetype}`);
+            console.log(`[S3 UPLOAD]    S3 Key: ${key}`);
+            console.log(`[S3 UPLOAD]    Bucket: ${bucketName}`);
+            cb(null, key);
+        }
+    });
+}
+
+// ============================================
+// DIRECT UPLOADS (presigned URLs)
+// ============================================
+// The bucket needs a CORS rule allowing PUT from the client origin and
+// exposing the ETag header for multipart uploads to work from a browser.
+
+const PRESIGN_EXPIRES_IN = parseInt(process.env.S3_PRESIGN_EXPIRES_IN) || 60 * 60; // seconds
+
+/**
+ * Presigned URL for uploading a whole object with a single PUT
+ */
+function presignPut(key, contentType) {
+    return getSignedUrl(s3Client, new PutObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        ContentType: contentType
+    }), { expiresIn: PRESIGN_EXPIRES_IN });
+}
+
+/**
+ * Start a multipart upload and return its S3 upload ID
+ */
+async function createMultipartUpload(key, contentType) {
+    const result = await s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: key,
+        ContentType: contentType
+    }));
+    console.log(`[S3 MULTIPART] 📤 Started upload ${result.UploadId} for ${key}`);
+    return result.UploadId;
+}
+
+/**
+ * Presigned URL for uploading one part of a multipart upload
+ */
+function presignPart(key, uploadId, partNumber) {
+    return getSignedUrl(s3Client, new UploadPartCommand({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber
+    }), { expiresIn: PRESIGN_EXPIRES_IN });
+}
+
+/**
+ * Parts S3 has received so far for a multipart upload
+ */
+async function listParts(key, uploadId) {
+    const parts = [];
+    let marker;
+    do {
+        const result = await s3Client.send(new ListPartsCommand({
+            Bucket: bucketName,
+            Key: key,
+            UploadId: uploadId,
+            PartNumberMarker: marker
+        }));
+        (result.Parts || []).forEach(p => parts.push({ partNumber: p.PartNumber, etag: p.ETag, size: p.Size }));
+        marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+    } while (marker);
+    return parts;
+}
+
+/**
+ * Assemble the uploaded parts ({ partNumber, etag }) into the final object
+ */
+async function completeMultipartUpload(key, uploadId, parts) {
+    await s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+            Parts: parts
+                .map(p => ({ PartNumber: p.partNumber, ETag: p.etag }))
+                .sort((a, b) => a.PartNumber - b.PartNumber)
+        }
+    }));
+    console.log(`[S3 MULTIPART] ✅ Completed upload ${uploadId} for ${key}`);
+}
+
+async function abortMultipartUpload(key, uploadId) {
+    try {
+        await s3Client.send(new AbortMultipartUploadCommand({
+            Bucket: bucketName,
+            Key: key,
+            UploadId: uploadId
+        }));
+        console.log(`[S3 MULTIPART] Aborted upload ${uploadId} for ${key}`);
+        return true;
+    } catch (error) {
+        console.error(`[S3 MULTIPART] ❌ Failed to abort upload ${uploadId}`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Size and content type of an object, or null if it does not exist
+ */
+async function headObject(key) {
+    try {
+        const result = await s3Client.send(new HeadObjectCommand({
+            Bucket: bucketName,
+            Key: key
+        }));
+        return { size: result.ContentLength, contentType: result.ContentType };
+    } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+    }
+}
+
+module.exports = {
+    name: 's3',
+    s3Client,
+    bucketName,
+    getUrl,
+    deleteObject,
+    getKeyFromUrl,
+    createStorage,
+    headObject,
+    getObjectStream,
+    putObject,
+    putFile,
+    deletePrefix,
+    listObjects,
+    directUploads: {
+        presignPut,
+        createMultipartUpload,
+        presignPart,
+        listParts,
+        completeMultipartUpload,
+        abortMultipartUpload
+    }
+};
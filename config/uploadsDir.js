@@ -0,0 +1,13 @@
+/**
+ * Uploads Directory
+ * Where the local storage driver keeps files and legacy uploads live,
+ * served at /uploads. UPLOADS_DIR moves it (e.g. to a data volume).
+ */
+
+const path = require('path');
+
+const uploadsDir = process.env.UPLOADS_DIR
+    ? path.resolve(process.env.UPLOADS_DIR)
+    : path.join(__dirname, '..', 'uploads');
+
+module.exports = { uploadsDir };
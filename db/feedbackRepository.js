@@ -0,0 +1,180 @@
+/**
+ * Feedback Repository
+ * Comments and reactions left on an episode, or on a media item in it.
+ *
+ * authorKey identifies who left them ('user:<id>' or 'viewer:<id>' for share
+ * link viewers) so they can remove their own; it is never sent to clients.
+ * episodeId is the episode at the time; media can move between episodes since.
+ * Feedback is not tied to the series row, so it survives the series, episode
+ * or media item being in the trash and is removed when they are purged.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./index');
+
+const statements = {
+    insertComment: db.prepare(`
+        INSERT INTO comments (id, series_id, episode_id, media_id, author_key, author_name, body, created_at)
+        VALUES (@id, @series_id, @episode_id, @media_id, @author_key, @author_name, @body, @created_at)
+    `),
+    listComments: db.prepare('SELECT * FROM comments WHERE series_id = ? ORDER BY created_at, rowid'),
+    getComment: db.prepare('SELECT * FROM comments WHERE id = ? AND series_id = ?'),
+    setCommentHidden: db.prepare('UPDATE comments SET hidden_at = ? WHERE id = ?'),
+    deleteComment: db.prepare('DELETE FROM comments WHERE id = ?'),
+    insertReaction: db.prepare(`
+        INSERT INTO reactions (id, series_id, episode_id, media_id, author_key, author_name, kind, created_at)
+        VALUES (@id, @series_id, @episode_id, @media_id, @author_key, @author_name, @kind, @created_at)
+    `),
+    listReactions: db.prepare('SELECT * FROM reactions WHERE series_id = ? ORDER BY created_at, rowid'),
+    getReaction: db.prepare('SELECT * FROM reactions WHERE id = ? AND series_id = ?'),
+    findReaction: db.prepare(`
+        SELECT * FROM reactions
+        WHERE series_id = @series_id AND episode_id = @episode_id AND media_id IS @media_id
+            AND author_key = @author_key AND kind = @kind
+    `),
+    deleteReaction: db.prepare('DELETE FROM reactions WHERE id = ?')
+};
+
+function commentFromRow(row) {
+    return {
+        id: row.id,
+        seriesId: row.series_id,
+        episodeId: row.episode_id,
+        mediaId: row.media_id,
+        authorKey: row.author_key,
+        authorName: row.author_name,
+        body: row.body,
+        hiddenAt: row.hidden_at || null,
+        createdAt: row.created_at
+    };
+}
+
+function reactionFromRow(row) {
+    return {
+        id: row.id,
+        seriesId: row.series_id,
+        episodeId: row.episode_id,
+        mediaId: row.media_id,
+        authorKey: row.author_key,
+        authorName: row.author_name,
+        kind: row.kind,
+        createdAt: row.created_at
+    };
+}
+
+// Row values that pick an episode or media item, and who is writing
+function targetRow({ seriesId, episodeId, mediaId, authorKey, authorName }) {
+    return {
+        id: uuidv4(),
+        series_id: seriesId,
+        episode_id: episodeId,
+        media_id: mediaId || null,
+        author_key: authorKey,
+        author_name: authorName,
+        created_at: new Date().toISOString()
+    };
+}
+
+// ============================================
+// COMMENTS
+// ============================================
+
+/**
+ * Add a comment: { seriesId, episodeId, mediaId, authorKey, authorName, body }
+ */
+function createComment(comment) {
+    const row = { ...targetRow(comment), body: comment.body };
+    statements.insertComment.run(row);
+    return commentFromRow(row);
+}
+
+/**
+ * Comments on a series, oldest first
+ */
+function listComments(seriesId) {
+    return statements.listComments.all(seriesId).map(commentFromRow);
+}
+
+function getComment(seriesId, commentId) {
+    const row = statements.getComment.get(commentId, seriesId);
+    return row ? commentFromRow(row) : null;
+}
+
+/**
+ * Hide a comment from share link viewers, or show it again
+ */
+function setCommentHidden(commentId, hidden) {
+    statements.setCommentHidden.run(hidden ? new Date().toISOString() : null, commentId);
+}
+
+function deleteComment(commentId) {
+    return statements.deleteComment.run(commentId).changes > 0;
+}
+
+// ============================================
+// REACTIONS
+// ============================================
+
+/**
+ * Add a reaction: { seriesId, episodeId, mediaId, authorKey, authorName, kind }.
+ * Each author has at most one of each kind per target; reacting again returns
+ * the existing reaction.
+ */
+function addReaction(reaction) {
+    const row = { ...targetRow(reaction), kind: reaction.kind };
+    const existing = statements.findReaction.get(row);
+    if (existing) return reactionFromRow(existing);
+
+    statements.insertReaction.run(row);
+    return reactionFromRow(row);
+}
+
+/**
+ * Reactions on a series, oldest first
+ */
+function listReactions(seriesId) {
+    return statements.listReactions.all(seriesId).map(reactionFromRow);
+}
+
+function getReaction(seriesId, reactionId) {
+    const row = statements.getReaction.get(reactionId, seriesId);
+    return row ? reactionFromRow(row) : null;
+}
+
+function deleteReaction(reactionId) {
+    return statements.deleteReaction.run(reactionId).changes > 0;
+}
+
+// ============================================
+// PURGE
+// ============================================
+
+const PURGE_CONDITIONS = {
+    seriesId: 'series_id = ?',
+    episodeId: 'episode_id = ? AND media_id IS NULL',
+    mediaId: 'media_id = ?'
+};
+
+/**
+ * Remove the feedback on a purged series, episode or media item.
+ * target is { seriesId }, { episodeId } (the episode's own, not its media's)
+ * or { mediaId }.
+ */
+function deleteFeedback(target) {
+    const [name, value] = Object.entries(target)[0];
+    db.prepare(`DELETE FROM comments WHERE ${PURGE_CONDITIONS[name]}`).run(value);
+    db.prepare(`DELETE FROM reactions WHERE ${PURGE_CONDITIONS[name]}`).run(value);
+}
+
+module.exports = {
+    createComment,
+    listComments,
+    getComment,
+    setCommentHidden,
+    deleteComment,
+    addReaction,
+    listReactions,
+    getReaction,
+    deleteReaction,
+    deleteFeedback
+};
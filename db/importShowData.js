@@ -0,0 +1,102 @@
+/**
+ * showData.json Importer
+ * One-time import of the legacy JSON data file into the database.
+ * Understands both the multi-series format ({ series: [...] }) and the
+ * original single-show format ({ showTitle, episodeCount, episodes }).
+ */
+
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { transaction, getMeta, setMeta } = require('./index');
+const { getSeries, saveSeries } = require('./seriesRepository');
+const { getFirstUser } = require('./userRepository');
+
+const IMPORT_META_KEY = 'showDataImportedAt';
+
+/**
+ * Convert parsed showData.json content into a list of series objects
+ */
+function normalizeShowData(parsed) {
+    if (Array.isArray(parsed.series)) {
+        return parsed.series;
+    }
+
+    // Old format (single show)
+    if (parsed.showTitle) {
+        return [{
+            id: uuidv4(),
+            title: parsed.showTitle,
+            description: 'A personal documentary',
+            thumbnail: null,
+            createdAt: new Date().toISOString(),
+            episodeCount: parsed.episodeCount || 1,
+            episodes: parsed.episodes || []
+        }];
+    }
+
+    return [];
+}
+
+/**
+ * Import every series from a showData.json file.
+ * Series whose ID already exists in the database are skipped. Imported series
+ * belong to the first registered user, or to whoever registers first.
+ */
+function importShowData(filePath) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const seriesList = normalizeShowData(parsed);
+
+    const result = transaction(() => {
+        const owner = getFirstUser();
+        let imported = 0;
+        let skipped = 0;
+
+        for (const series of seriesList) {
+            if (series.id && getSeries(series.id)) {
+                skipped++;
+                continue;
+            }
+
+            saveSeries({
+                id: series.id || uuidv4(),
+                ownerId: owner ? owner.id : null,
+                title: series.title || 'Untitled Series',
+                description: series.description || '',
+                thumbnail: series.thumbnail || null,
+                createdAt: series.createdAt || new Date().toISOString(),
+                episodeCount: series.episodeCount || (series.episodes || []).length || 1,
+                episodes: (series.episodes || []).map(({ music, musicOriginalName, ...episode }) => ({
+                    ...episode,
+                    media: (episode.media || []).map(media => ({
+                        ...media,
+                        type: media.type || 'image'
+                    })),
+                    // The JSON file held a single music file per episode
+                    musicTracks: episode.musicTracks || (music ? [{ url: music, originalName: musicOriginalName || null }] : [])
+                }))
+            });
+            imported++;
+        }
+
+        setMeta(IMPORT_META_KEY, new Date().toISOString());
+        return { imported, skipped };
+    });
+
+    console.log(`[IMPORT] ✅ Imported ${result.imported} series from ${filePath} (${result.skipped} already present)`);
+    return result;
+}
+
+/**
+ * Import showData.json on first start only
+ */
+function importShowDataIfNeeded(filePath) {
+    if (getMeta(IMPORT_META_KEY) || !fs.existsSync(filePath)) {
+        return null;
+    }
+    return importShowData(filePath);
+}
+
+module.exports = {
+    importShowData,
+    importShowDataIfNeeded
+};
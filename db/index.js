@@ -0,0 +1,69 @@
+/**
+ * SQLite Database Connection
+ * Opens the database, applies pending migrations and exposes a
+ * transaction helper for the repositories.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const migrations = require('./migrations');
+
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'netflix.db');
+
+if (DB_PATH !== ':memory:') {
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+}
+
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+// Apply pending migrations
+const currentVersion = db.pragma('user_version', { simple: true });
+if (currentVersion < migrations.length) {
+    db.transaction(() => {
+        for (let version = currentVersion; version < migrations.length; version++) {
+            const migration = migrations[version];
+            if (typeof migration === 'function') {
+                migration(db);
+            } else {
+                db.exec(migration);
+            }
+            console.log(`[DB] Applied migration ${version + 1}`);
+        }
+        db.pragma(`user_version = ${migrations.length}`);
+    })();
+}
+
+/**
+ * Run fn inside a transaction and return its result.
+ * Nested calls become savepoints of the outer transaction.
+ */
+function transaction(fn) {
+    return db.transaction(fn)();
+}
+
+/**
+ * Read a value from the meta key/value table
+ */
+function getMeta(key) {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+}
+
+/**
+ * Write a value to the meta key/value table
+ */
+function setMeta(key, value) {
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+        .run(key, value);
+}
+
+module.exports = {
+    db,
+    DB_PATH,
+    transaction,
+    getMeta,
+    setMeta
+};
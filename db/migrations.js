@@ -0,0 +1,354 @@
+/**
+ * Database schema migrations
+ * Applied in order; PRAGMA user_version records how many have run.
+ * Append new migrations to the end - never edit one that has shipped.
+ * A migration is SQL, or a function of the database for data that SQL can't convert.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = [
+    // 1: series, episodes and media tables
+    `
+    CREATE TABLE series (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        thumbnail TEXT,
+        episode_count INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE episodes (
+        id TEXT PRIMARY KEY,
+        series_id TEXT NOT NULL REFERENCES series(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        thumbnail TEXT,
+        music TEXT,
+        music_original_name TEXT
+    );
+    CREATE INDEX idx_episodes_series ON episodes(series_id, position);
+
+    CREATE TABLE media (
+        id TEXT PRIMARY KEY,
+        episode_id TEXT NOT NULL REFERENCES episodes(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        filename TEXT,
+        original_name TEXT,
+        type TEXT NOT NULL,
+        url TEXT NOT NULL
+    );
+    CREATE INDEX idx_media_episode ON media(episode_id, position);
+
+    CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    `
+,
+
+    // 2: user accounts, login sessions and series ownership
+    `
+    CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        display_name TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_sessions_user ON sessions(user_id);
+
+    ALTER TABLE series ADD COLUMN owner_id TEXT REFERENCES users(id);
+    CREATE INDEX idx_series_owner ON series(owner_id);
+    `
+,
+
+    // 3: read-only share links for series
+    `
+    CREATE TABLE share_links (
+        id TEXT PRIMARY KEY,
+        series_id TEXT NOT NULL REFERENCES series(id) ON DELETE CASCADE,
+        token TEXT NOT NULL UNIQUE,
+        label TEXT,
+        passcode_hash TEXT,
+        expires_at TEXT,
+        revoked_at TEXT,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_share_links_series ON share_links(series_id);
+    `
+,
+
+    // 4: direct-to-storage uploads awaiting completion
+    `
+    CREATE TABLE pending_uploads (
+        id TEXT PRIMARY KEY,
+        series_id TEXT NOT NULL REFERENCES series(id) ON DELETE CASCADE,
+        episode_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        content_type TEXT,
+        size INTEGER,
+        multipart_upload_id TEXT,
+        part_size INTEGER,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_pending_uploads_series ON pending_uploads(series_id);
+    `
+,
+
+    // 5: generated thumbnail variants and video poster frames
+    `
+    ALTER TABLE media ADD COLUMN variants TEXT;
+    ALTER TABLE media ADD COLUMN poster TEXT;
+    `
+,
+
+    // 6: video transcoding status and web-playable renditions
+    `
+    ALTER TABLE media ADD COLUMN status TEXT NOT NULL DEFAULT 'ready';
+    ALTER TABLE media ADD COLUMN status_error TEXT;
+    ALTER TABLE media ADD COLUMN source_url TEXT;
+    ALTER TABLE media ADD COLUMN hls_url TEXT;
+    CREATE INDEX idx_media_status ON media(status);
+    `
+,
+
+    // 7: capture date, dimensions, duration, orientation and GPS read from the file (JSON)
+    `
+    ALTER TABLE media ADD COLUMN metadata TEXT;
+    `
+,
+
+    // 8: trash of deleted series, episodes, media and music (JSON snapshots)
+    `
+    CREATE TABLE trash (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        series_id TEXT NOT NULL,
+        episode_id TEXT,
+        position INTEGER,
+        title TEXT,
+        data TEXT NOT NULL,
+        deleted_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_trash_owner ON trash(owner_id, deleted_at);
+    CREATE INDEX idx_trash_deleted_at ON trash(deleted_at);
+    `
+,
+
+    // 9: revision history (a JSON snapshot per user edit of a series)
+    `
+    CREATE TABLE series_revisions (
+        id TEXT PRIMARY KEY,
+        series_id TEXT NOT NULL,
+        number INTEGER NOT NULL,
+        action TEXT,
+        user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        UNIQUE (series_id, number)
+    );
+    `
+,
+
+    // 10: slideshow renders of episodes (job status and the stored MP4)
+    `
+    CREATE TABLE renders (
+        id TEXT PRIMARY KEY,
+        series_id TEXT NOT NULL,
+        episode_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        progress INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        options TEXT NOT NULL,
+        url TEXT,
+        size INTEGER,
+        duration REAL,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL,
+        completed_at TEXT
+    );
+    CREATE INDEX idx_renders_episode ON renders(series_id, episode_id);
+    `
+,
+
+    // 11: per-media presentation settings (caption, photo duration, clip trim,
+    // Ken Burns pan/zoom as JSON, transition into the item)
+    `
+    ALTER TABLE media ADD COLUMN caption TEXT;
+    ALTER TABLE media ADD COLUMN duration REAL;
+    ALTER TABLE media ADD COLUMN trim_start REAL;
+    ALTER TABLE media ADD COLUMN trim_end REAL;
+    ALTER TABLE media ADD COLUMN ken_burns TEXT;
+    ALTER TABLE media ADD COLUMN transition TEXT;
+    `
+,
+
+    // 12: ordered music tracks per episode, replacing the single music file.
+    // Existing music, live and in the trash, becomes the episode's first track.
+    (db) => {
+        db.exec(`
+        CREATE TABLE music_tracks (
+            id TEXT PRIMARY KEY,
+            episode_id TEXT NOT NULL REFERENCES episodes(id) ON DELETE CASCADE,
+            position INTEGER NOT NULL,
+            url TEXT NOT NULL,
+            original_name TEXT,
+            duration REAL,
+            start_offset REAL,
+            fade_in REAL NOT NULL DEFAULT 0,
+            fade_out REAL NOT NULL DEFAULT 0,
+            volume REAL NOT NULL DEFAULT 1
+        );
+        CREATE INDEX idx_music_tracks_episode ON music_tracks(episode_id, position);
+        `);
+
+        const toTrack = (url, originalName) => ({
+            id: uuidv4(),
+            url,
+            originalName: originalName || null,
+            duration: null,
+            startOffset: null,
+            fadeIn: 0,
+            fadeOut: 0,
+            volume: 1
+        });
+
+        const insertTrack = db.prepare(`
+            INSERT INTO music_tracks (id, episode_id, position, url, original_name)
+            VALUES (?, ?, 0, ?, ?)
+        `);
+        db.prepare('SELECT id, music, music_original_name FROM episodes WHERE music IS NOT NULL').all()
+            .forEach(row => {
+                const track = toTrack(row.music, row.music_original_name);
+                insertTrack.run(track.id, row.id, track.url, track.originalName);
+            });
+        db.exec(`
+        ALTER TABLE episodes DROP COLUMN music;
+        ALTER TABLE episodes DROP COLUMN music_original_name;
+        `);
+
+        const convertEpisode = ({ music, musicOriginalName, ...episode }) => ({
+            ...episode,
+            musicTracks: music ? [toTrack(music, musicOriginalName)] : []
+        });
+        const updateTrash = db.prepare('UPDATE trash SET data = ? WHERE id = ?');
+        db.prepare('SELECT id, kind, data FROM trash').all().forEach(row => {
+            const item = JSON.parse(row.data);
+            let converted = item;
+            if (row.kind === 'series') converted = { ...item, episodes: item.episodes.map(convertEpisode) };
+            if (row.kind === 'episode') converted = convertEpisode(item);
+            if (row.kind === 'music') converted = toTrack(item.music, item.musicOriginalName);
+            if (converted !== item) updateTrash.run(JSON.stringify(converted), row.id);
+        });
+    }
+,
+
+    // 13: catalog metadata - series genres, years, maturity rating, cast (JSON)
+    // and banner image; episode synopsis and air date
+    `
+    ALTER TABLE series ADD COLUMN genres TEXT;
+    ALTER TABLE series ADD COLUMN year_start INTEGER;
+    ALTER TABLE series ADD COLUMN year_end INTEGER;
+    ALTER TABLE series ADD COLUMN maturity_rating TEXT;
+    ALTER TABLE series ADD COLUMN cast_members TEXT;
+    ALTER TABLE series ADD COLUMN banner TEXT;
+    ALTER TABLE episodes ADD COLUMN synopsis TEXT NOT NULL DEFAULT '';
+    ALTER TABLE episodes ADD COLUMN air_date TEXT;
+    `
+,
+
+    // 14: series version, bumped on every save so responses can be tagged
+    // (ETag) without loading the whole series
+    `
+    ALTER TABLE series ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    `
+,
+
+    // 15: when each media item was added (existing media gets its series'
+    // creation time) and each user's place in the series they watch.
+    // Progress outlives a series in the trash; it is removed on purge.
+    `
+    ALTER TABLE media ADD COLUMN added_at TEXT;
+    UPDATE media SET added_at = (
+        SELECT series.created_at FROM episodes
+        JOIN series ON series.id = episodes.series_id
+        WHERE episodes.id = media.episode_id
+    );
+
+    CREATE TABLE watch_progress (
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        series_id TEXT NOT NULL,
+        episode_id TEXT NOT NULL,
+        media_id TEXT,
+        video_offset REAL NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, series_id)
+    );
+    CREATE INDEX idx_watch_progress_series ON watch_progress(series_id);
+    `
+,
+
+    // 16: comments and reactions on episodes and media items, by users or
+    // share link viewers (author_key). Kept while the series is in the trash.
+    `
+    CREATE TABLE comments (
+        id TEXT PRIMARY KEY,
+        series_id TEXT NOT NULL,
+        episode_id TEXT NOT NULL,
+        media_id TEXT,
+        author_key TEXT NOT NULL,
+        author_name TEXT NOT NULL,
+        body TEXT NOT NULL,
+        hidden_at TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_comments_series ON comments(series_id, episode_id, created_at);
+
+    CREATE TABLE reactions (
+        id TEXT PRIMARY KEY,
+        series_id TEXT NOT NULL,
+        episode_id TEXT NOT NULL,
+        media_id TEXT,
+        author_key TEXT NOT NULL,
+        author_name TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_reactions_series ON reactions(series_id, episode_id);
+    `
+,
+
+    // 17: media tags - people and labels, as JSON [{ type, name }]
+    `
+    ALTER TABLE media ADD COLUMN tags TEXT;
+    `
+,
+
+    // 18: watch progress of share link viewers, per link and viewer
+    // ('viewer:<id>', as in comments); removed with the link
+    `
+    CREATE TABLE viewer_progress (
+        share_id TEXT NOT NULL REFERENCES share_links(id) ON DELETE CASCADE,
+        viewer_key TEXT NOT NULL,
+        series_id TEXT NOT NULL,
+        episode_id TEXT NOT NULL,
+        media_id TEXT,
+        video_offset REAL NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (share_id, viewer_key)
+    );
+    `
+];
@@ -0,0 +1,141 @@
+/**
+ * Watch Progress Repository
+ * Where each user is in each series they watch: the episode, media item and
+ * offset into a video. Progress is not tied to the series row, so it survives
+ * the series being in the trash and is removed when it is purged.
+ *
+ * Share link viewers have no account; theirs is kept per link and viewer key
+ * ('viewer:<id>') and goes with the link.
+ */
+
+const { db } = require('./index');
+
+const statements = {
+    upsertProgress: db.prepare(`
+        INSERT INTO watch_progress (user_id, series_id, episode_id, media_id, video_offset, updated_at)
+        VALUES (@user_id, @series_id, @episode_id, @media_id, @video_offset, @updated_at)
+        ON CONFLICT(user_id, series_id) DO UPDATE SET
+            episode_id = excluded.episode_id,
+            media_id = excluded.media_id,
+            video_offset = excluded.video_offset,
+            updated_at = excluded.updated_at
+    `),
+    getProgress: db.prepare('SELECT * FROM watch_progress WHERE user_id = ? AND series_id = ?'),
+    listProgress: db.prepare('SELECT * FROM watch_progress WHERE user_id = ? ORDER BY updated_at DESC'),
+    deleteProgress: db.prepare('DELETE FROM watch_progress WHERE user_id = ? AND series_id = ?'),
+    deleteSeriesProgress: db.prepare('DELETE FROM watch_progress WHERE series_id = ?'),
+    upsertViewerProgress: db.prepare(`
+        INSERT INTO viewer_progress (share_id, viewer_key, series_id, episode_id, media_id, video_offset, updated_at)
+        VALUES (@share_id, @viewer_key, @series_id, @episode_id, @media_id, @video_offset, @updated_at)
+        ON CONFLICT(share_id, viewer_key) DO UPDATE SET
+            episode_id = excluded.episode_id,
+            media_id = excluded.media_id,
+            video_offset = excluded.video_offset,
+            updated_at = excluded.updated_at
+    `),
+    getViewerProgress: db.prepare('SELECT * FROM viewer_progress WHERE share_id = ? AND viewer_key = ?'),
+    deleteViewerProgress: db.prepare('DELETE FROM viewer_progress WHERE share_id = ? AND viewer_key = ?')
+};
+
+function progressFromRow(row) {
+    return {
+        userId: row.user_id,
+        seriesId: row.series_id,
+        episodeId: row.episode_id,
+        mediaId: row.media_id,
+        videoOffset: row.video_offset,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Record where a user is in a series, replacing their previous position
+ */
+function saveProgress({ userId, seriesId, episodeId, mediaId, videoOffset }) {
+    const row = {
+        user_id: userId,
+        series_id: seriesId,
+        episode_id: episodeId,
+        media_id: mediaId || null,
+        video_offset: videoOffset || 0,
+        updated_at: new Date().toISOString()
+    };
+    statements.upsertProgress.run(row);
+    return progressFromRow(row);
+}
+
+function getProgress(userId, seriesId) {
+    const row = statements.getProgress.get(userId, seriesId);
+    return row ? progressFromRow(row) : null;
+}
+
+/**
+ * A user's progress in every series, most recently watched first
+ */
+function listProgress(userId) {
+    return statements.listProgress.all(userId).map(progressFromRow);
+}
+
+function deleteProgress(userId, seriesId) {
+    return statements.deleteProgress.run(userId, seriesId).changes > 0;
+}
+
+/**
+ * Forget every user's progress in a series (when it is purged)
+ */
+function deleteSeriesProgress(seriesId) {
+    statements.deleteSeriesProgress.run(seriesId);
+}
+
+// ============================================
+// SHARE LINK VIEWERS
+// ============================================
+
+function viewerProgressFromRow(row) {
+    return {
+        shareId: row.share_id,
+        viewerKey: row.viewer_key,
+        seriesId: row.series_id,
+        episodeId: row.episode_id,
+        mediaId: row.media_id,
+        videoOffset: row.video_offset,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Record where a share link viewer is: { shareId, viewerKey, seriesId, episodeId, mediaId, videoOffset }
+ */
+function saveViewerProgress({ shareId, viewerKey, seriesId, episodeId, mediaId, videoOffset }) {
+    const row = {
+        share_id: shareId,
+        viewer_key: viewerKey,
+        series_id: seriesId,
+        episode_id: episodeId,
+        media_id: mediaId || null,
+        video_offset: videoOffset || 0,
+        updated_at: new Date().toISOString()
+    };
+    statements.upsertViewerProgress.run(row);
+    return viewerProgressFromRow(row);
+}
+
+function getViewerProgress(shareId, viewerKey) {
+    const row = statements.getViewerProgress.get(shareId, viewerKey);
+    return row ? viewerProgressFromRow(row) : null;
+}
+
+function deleteViewerProgress(shareId, viewerKey) {
+    return statements.deleteViewerProgress.run(shareId, viewerKey).changes > 0;
+}
+
+module.exports = {
+    saveProgress,
+    getProgress,
+    listProgress,
+    deleteProgress,
+    deleteSeriesProgress,
+    saveViewerProgress,
+    getViewerProgress,
+    deleteViewerProgress
+};
@@ -0,0 +1,121 @@
+/**
+ * Render Repository
+ * Slideshow render jobs for episodes: their options, progress and, once
+ * finished, the stored MP4. Renders are not tied to the series row, so they
+ * survive the series being in the trash and are removed when it is purged.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./index');
+
+const statements = {
+    insertRender: db.prepare(`
+        INSERT INTO renders (id, series_id, episode_id, status, progress, options, created_by, created_at)
+        VALUES (@id, @series_id, @episode_id, @status, @progress, @options, @created_by, @created_at)
+    `),
+    getRender: db.prepare('SELECT * FROM renders WHERE id = ?'),
+    listEpisodeRenders: db.prepare('SELECT * FROM renders WHERE series_id = ? AND episode_id = ? ORDER BY created_at DESC'),
+    listSeriesRenders: db.prepare('SELECT * FROM renders WHERE series_id = ? ORDER BY created_at DESC'),
+    listRendersByStatus: db.prepare('SELECT * FROM renders WHERE status = ? ORDER BY created_at'),
+    listAllRenders: db.prepare('SELECT * FROM renders'),
+    updateRender: db.prepare(`
+        UPDATE renders SET status = @status, progress = @progress, error = @error, url = @url,
+            size = @size, duration = @duration, completed_at = @completed_at
+        WHERE id = @id
+    `),
+    deleteRender: db.prepare('DELETE FROM renders WHERE id = ?')
+};
+
+function renderFromRow(row) {
+    return {
+        id: row.id,
+        seriesId: row.series_id,
+        episodeId: row.episode_id,
+        status: row.status,
+        progress: row.progress,
+        error: row.error,
+        options: JSON.parse(row.options),
+        url: row.url,
+        size: row.size,
+        duration: row.duration,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        completedAt: row.completed_at
+    };
+}
+
+/**
+ * Record a queued render of an episode
+ */
+function createRender({ seriesId, episodeId, options, createdBy }) {
+    const row = {
+        id: uuidv4(),
+        series_id: seriesId,
+        episode_id: episodeId,
+        status: 'queued',
+        progress: 0,
+        options: JSON.stringify(options),
+        created_by: createdBy || null,
+        created_at: new Date().toISOString()
+    };
+    statements.insertRender.run(row);
+    return getRender(row.id);
+}
+
+function getRender(renderId) {
+    const row = statements.getRender.get(renderId);
+    return row ? renderFromRow(row) : null;
+}
+
+/**
+ * Renders of an episode, newest first
+ */
+function listEpisodeRenders(seriesId, episodeId) {
+    return statements.listEpisodeRenders.all(seriesId, episodeId).map(renderFromRow);
+}
+
+function listSeriesRenders(seriesId) {
+    return statements.listSeriesRenders.all(seriesId).map(renderFromRow);
+}
+
+function listRendersByStatus(status) {
+    return statements.listRendersByStatus.all(status).map(renderFromRow);
+}
+
+/**
+ * Every render of every series (for maintenance jobs)
+ */
+function listAllRenders() {
+    return statements.listAllRenders.all().map(renderFromRow);
+}
+
+/**
+ * Store a render's status fields; returns false if it has been deleted
+ */
+function updateRender(render) {
+    return statements.updateRender.run({
+        id: render.id,
+        status: render.status,
+        progress: render.progress,
+        error: render.error || null,
+        url: render.url || null,
+        size: render.size || null,
+        duration: render.duration || null,
+        completed_at: render.completedAt || null
+    }).changes > 0;
+}
+
+function deleteRender(renderId) {
+    return statements.deleteRender.run(renderId).changes > 0;
+}
+
+module.exports = {
+    createRender,
+    getRender,
+    listEpisodeRenders,
+    listSeriesRenders,
+    listRendersByStatus,
+    listAllRenders,
+    updateRender,
+    deleteRender
+};
@@ -0,0 +1,85 @@
+/**
+ * Series Revision Repository
+ * Every user edit of a series stores a numbered JSON snapshot of the whole
+ * series, so edits can be listed, compared and rolled back. Only the newest
+ * SERIES_REVISION_LIMIT revisions of each series are kept.
+ *
+ * Revisions are not tied to the series row, so history survives the series
+ * being in the trash; they are removed when the series is purged.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./index');
+
+const REVISION_LIMIT = parseInt(process.env.SERIES_REVISION_LIMIT) || 50;
+
+const statements = {
+    insertRevision: db.prepare(`
+        INSERT INTO series_revisions (id, series_id, number, action, user_id, data, created_at)
+        VALUES (@id, @series_id, @number, @action, @user_id, @data, @created_at)
+    `),
+    lastNumber: db.prepare('SELECT MAX(number) AS number FROM series_revisions WHERE series_id = ?'),
+    listRevisions: db.prepare('SELECT * FROM series_revisions WHERE series_id = ? ORDER BY number DESC'),
+    getRevision: db.prepare('SELECT * FROM series_revisions WHERE id = ? AND series_id = ?'),
+    pruneRevisions: db.prepare('DELETE FROM series_revisions WHERE series_id = ? AND number <= ?'),
+    deleteRevisions: db.prepare('DELETE FROM series_revisions WHERE series_id = ?')
+};
+
+function revisionFromRow(row) {
+    return {
+        id: row.id,
+        seriesId: row.series_id,
+        number: row.number,
+        action: row.action,
+        userId: row.user_id,
+        createdAt: row.created_at,
+        series: JSON.parse(row.data)
+    };
+}
+
+/**
+ * Store a snapshot of a series. revision is { userId, action }.
+ */
+function addRevision(series, { userId, action }) {
+    const last = statements.lastNumber.get(series.id).number || 0;
+    const row = {
+        id: uuidv4(),
+        series_id: series.id,
+        number: last + 1,
+        action: action || null,
+        user_id: userId || null,
+        data: JSON.stringify(series),
+        created_at: new Date().toISOString()
+    };
+    statements.insertRevision.run(row);
+    statements.pruneRevisions.run(series.id, row.number - REVISION_LIMIT);
+    return revisionFromRow(row);
+}
+
+function hasRevisions(seriesId) {
+    return statements.lastNumber.get(seriesId).number !== null;
+}
+
+/**
+ * Revisions of a series, newest first
+ */
+function listRevisions(seriesId) {
+    return statements.listRevisions.all(seriesId).map(revisionFromRow);
+}
+
+function getRevision(seriesId, revisionId) {
+    const row = statements.getRevision.get(revisionId, seriesId);
+    return row ? revisionFromRow(row) : null;
+}
+
+function deleteRevisions(seriesId) {
+    return statements.deleteRevisions.run(seriesId).changes;
+}
+
+module.exports = {
+    addRevision,
+    hasRevisions,
+    listRevisions,
+    getRevision,
+    deleteRevisions
+};
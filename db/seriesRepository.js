@@ -0,0 +1,623 @@
+/**
+ * Series Repository
+ * Loads and stores series as the nested { ...series, episodes: [{ ...episode, media: [], musicTracks: [] }] }
+ * objects the API has always returned, backed by the series/episodes/media/music_tracks tables.
+ *
+ * saveSeries() writes a whole series in one transaction, so a request that reads a
+ * series, mutates it and saves it without awaiting in between cannot lose another
+ * request's changes.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db, transaction } = require('./index');
+const { addRevision, hasRevisions } = require('./revisionRepository');
+
+// Upserts of media and music tracks may move a row to another episode of the
+// same series (reordering, restoring a revision), never to another series
+const SAME_SERIES = table => `
+    (SELECT series_id FROM episodes WHERE id = ${table}.episode_id)
+        = (SELECT series_id FROM episodes WHERE id = excluded.episode_id)`;
+
+const statements = {
+    listSeries: db.prepare('SELECT * FROM series WHERE owner_id = ? ORDER BY rowid'),
+    listSeriesPage: db.prepare('SELECT * FROM series WHERE owner_id = ? ORDER BY rowid LIMIT ? OFFSET ?'),
+    listSeriesVersions: db.prepare('SELECT id, version FROM series WHERE owner_id = ? ORDER BY rowid'),
+    getSeriesVersion: db.prepare('SELECT version FROM series WHERE id = ?'),
+    listAllSeries: db.prepare('SELECT * FROM series ORDER BY rowid'),
+    getSeries: db.prepare('SELECT * FROM series WHERE id = ?'),
+    getFirstSeries: db.prepare('SELECT * FROM series WHERE owner_id = ? ORDER BY rowid LIMIT 1'),
+    claimUnownedSeries: db.prepare('UPDATE series SET owner_id = ? WHERE owner_id IS NULL'),
+    countSeries: db.prepare('SELECT COUNT(*) AS count FROM series'),
+    listEpisodes: db.prepare('SELECT * FROM episodes WHERE series_id = ? ORDER BY position'),
+    listMedia: db.prepare('SELECT * FROM media WHERE episode_id = ? ORDER BY position'),
+    listMusicTracks: db.prepare('SELECT * FROM music_tracks WHERE episode_id = ? ORDER BY position'),
+    listTracksWithoutDuration: db.prepare(`
+        SELECT episodes.series_id, music_tracks.id FROM music_tracks
+        JOIN episodes ON episodes.id = music_tracks.episode_id
+        WHERE music_tracks.duration IS NULL
+    `),
+    listTags: db.prepare(`
+        SELECT json_extract(tag.value, '$.type') AS tag_type, json_extract(tag.value, '$.name') AS tag_name,
+            COUNT(*) AS media_count, COUNT(DISTINCT series.id) AS series_count
+        FROM media
+        JOIN episodes ON episodes.id = media.episode_id
+        JOIN series ON series.id = episodes.series_id
+        JOIN json_each(media.tags) AS tag
+        WHERE series.owner_id = ?
+        GROUP BY tag_type, lower(tag_name)
+        ORDER BY media_count DESC, tag_name COLLATE NOCASE
+    `),
+    listMediaByStatus: db.prepare(`
+        SELECT episodes.series_id, media.id FROM media
+        JOIN episodes ON episodes.id = media.episode_id
+        WHERE media.status = ?
+    `),
+    upsertSeries: db.prepare(`
+        INSERT INTO series (id, owner_id, title, description, thumbnail, episode_count, created_at,
+            genres, year_start, year_end, maturity_rating, cast_members, banner)
+        VALUES (@id, @owner_id, @title, @description, @thumbnail, @episode_count, @created_at,
+            @genres, @year_start, @year_end, @maturity_rating, @cast_members, @banner)
+        ON CONFLICT(id) DO UPDATE SET
+            title = excluded.title,
+            description = excluded.description,
+            thumbnail = excluded.thumbnail,
+            episode_count = excluded.episode_count,
+            genres = excluded.genres,
+            year_start = excluded.year_start,
+            year_end = excluded.year_end,
+            maturity_rating = excluded.maturity_rating,
+            cast_members = excluded.cast_members,
+            banner = excluded.banner,
+            version = series.version + 1
+    `),
+    upsertEpisode: db.prepare(`
+        INSERT INTO episodes (id, series_id, position, title, thumbnail, synopsis, air_date)
+        VALUES (@id, @series_id, @position, @title, @thumbnail, @synopsis, @air_date)
+        ON CONFLICT(id) DO UPDATE SET
+            series_id = excluded.series_id,
+            position = excluded.position,
+            title = excluded.title,
+            thumbnail = excluded.thumbnail,
+            synopsis = excluded.synopsis,
+            air_date = excluded.air_date
+        WHERE episodes.series_id = excluded.series_id
+    `),
+    upsertMedia: db.prepare(`
+        INSERT INTO media (id, episode_id, position, filename, original_name, type, url, variants, poster,
+            status, status_error, source_url, hls_url, metadata, caption, duration, trim_start, trim_end,
+            ken_burns, transition, added_at, tags)
+        VALUES (@id, @episode_id, @position, @filename, @original_name, @type, @url, @variants, @poster,
+            @status, @status_error, @source_url, @hls_url, @metadata, @caption, @duration, @trim_start, @trim_end,
+            @ken_burns, @transition, @added_at, @tags)
+        ON CONFLICT(id) DO UPDATE SET
+            episode_id = excluded.episode_id,
+            position = excluded.position,
+            filename = excluded.filename,
+            original_name = excluded.original_name,
+            type = excluded.type,
+            url = excluded.url,
+            variants = excluded.variants,
+            poster = excluded.poster,
+            status = excluded.status,
+            status_error = excluded.status_error,
+            source_url = excluded.source_url,
+            hls_url = excluded.hls_url,
+            metadata = excluded.metadata,
+            caption = excluded.caption,
+            duration = excluded.duration,
+            trim_start = excluded.trim_start,
+            trim_end = excluded.trim_end,
+            ken_burns = excluded.ken_burns,
+            transition = excluded.transition,
+            tags = excluded.tags
+        WHERE ${SAME_SERIES('media')}
+    `),
+    upsertMusicTrack: db.prepare(`
+        INSERT INTO music_tracks (id, episode_id, position, url, original_name, duration, start_offset,
+            fade_in, fade_out, volume)
+        VALUES (@id, @episode_id, @position, @url, @original_name, @duration, @start_offset,
+            @fade_in, @fade_out, @volume)
+        ON CONFLICT(id) DO UPDATE SET
+            episode_id = excluded.episode_id,
+            position = excluded.position,
+            url = excluded.url,
+            original_name = excluded.original_name,
+            duration = excluded.duration,
+            start_offset = excluded.start_offset,
+            fade_in = excluded.fade_in,
+            fade_out = excluded.fade_out,
+            volume = excluded.volume
+        WHERE ${SAME_SERIES('music_tracks')}
+    `),
+    deleteSeries: db.prepare('DELETE FROM series WHERE id = ?'),
+    getEpisodeRow: db.prepare('SELECT * FROM episodes WHERE id = ?'),
+    getMediaRow: db.prepare('SELECT * FROM media WHERE id = ?'),
+    getEpisodeSeriesId: db.prepare('SELECT series_id FROM episodes WHERE id = ?'),
+    getMediaSeriesId: db.prepare(`
+        SELECT episodes.series_id FROM media JOIN episodes ON episodes.id = media.episode_id WHERE media.id = ?
+    `),
+    getMusicTrackSeriesId: db.prepare(`
+        SELECT episodes.series_id FROM music_tracks JOIN episodes ON episodes.id = music_tracks.episode_id
+        WHERE music_tracks.id = ?
+    `),
+    countEpisodeMedia: db.prepare('SELECT COUNT(*) AS count FROM media WHERE episode_id = ?')
+};
+
+// ============================================
+// ROW MAPPING
+// ============================================
+
+function mediaFromRow(row) {
+    return {
+        id: row.id,
+        filename: row.filename,
+        originalName: row.original_name,
+        type: row.type,
+        url: row.url,
+        variants: row.variants ? JSON.parse(row.variants) : null,
+        poster: row.poster,
+        status: row.status,
+        statusError: row.status_error,
+        sourceUrl: row.source_url,
+        hlsUrl: row.hls_url,
+        metadata: row.metadata ? JSON.parse(row.metadata) : null,
+        caption: row.caption,
+        duration: row.duration,
+        trimStart: row.trim_start,
+        trimEnd: row.trim_end,
+        kenBurns: row.ken_burns ? JSON.parse(row.ken_burns) : null,
+        transition: row.transition,
+        addedAt: row.added_at,
+        tags: row.tags ? JSON.parse(row.tags) : []
+    };
+}
+
+function musicTrackFromRow(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        originalName: row.original_name,
+        duration: row.duration,
+        startOffset: row.start_offset,
+        fadeIn: row.fade_in,
+        fadeOut: row.fade_out,
+        volume: row.volume
+    };
+}
+
+function episodeFromRow(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        thumbnail: row.thumbnail,
+        synopsis: row.synopsis,
+        airDate: row.air_date,
+        media: statements.listMedia.all(row.id).map(mediaFromRow),
+        musicTracks: statements.listMusicTracks.all(row.id).map(musicTrackFromRow)
+    };
+}
+
+function seriesFromRow(row) {
+    return {
+        id: row.id,
+        ownerId: row.owner_id,
+        title: row.title,
+        description: row.description,
+        thumbnail: row.thumbnail,
+        banner: row.banner,
+        genres: row.genres ? JSON.parse(row.genres) : [],
+        yearStart: row.year_start,
+        yearEnd: row.year_end,
+        maturityRating: row.maturity_rating,
+        cast: row.cast_members ? JSON.parse(row.cast_members) : [],
+        createdAt: row.created_at,
+        episodeCount: row.episode_count,
+        episodes: statements.listEpisodes.all(row.id).map(episodeFromRow)
+    };
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * A user's series, oldest first. Pass page ({ limit, offset }) for a slice.
+ */
+function listSeries(ownerId, page = null) {
+    const rows = page
+        ? statements.listSeriesPage.all(ownerId, page.limit, page.offset)
+        : statements.listSeries.all(ownerId);
+    return rows.map(seriesFromRow);
+}
+
+/**
+ * { id, version } of each of a user's series, in listSeries order. The version
+ * changes on every save, so this tells whether a list has changed.
+ */
+function listSeriesVersions(ownerId) {
+    return statements.listSeriesVersions.all(ownerId);
+}
+
+function getSeriesVersion(seriesId) {
+    const row = statements.getSeriesVersion.get(seriesId);
+    return row ? row.version : null;
+}
+
+/**
+ * Every series of every user (for maintenance jobs)
+ */
+function listAllSeries() {
+    return statements.listAllSeries.all().map(seriesFromRow);
+}
+
+function getSeries(seriesId) {
+    const row = statements.getSeries.get(seriesId);
+    return row ? seriesFromRow(row) : null;
+}
+
+function getFirstSeries(ownerId) {
+    const row = statements.getFirstSeries.get(ownerId);
+    return row ? seriesFromRow(row) : null;
+}
+
+/**
+ * { seriesId, mediaId } of every media item with the given processing status
+ */
+function listMediaByStatus(status) {
+    return statements.listMediaByStatus.all(status).map(row => ({ seriesId: row.series_id, mediaId: row.id }));
+}
+
+/**
+ * { seriesId, trackId } of every music track whose duration hasn't been read
+ */
+function listTracksWithoutDuration() {
+    return statements.listTracksWithoutDuration.all().map(row => ({ seriesId: row.series_id, trackId: row.id }));
+}
+
+/**
+ * Every tag on a user's media: [{ type, name, mediaCount, seriesCount }], most used first.
+ * Names that differ only in case count as one tag.
+ */
+function listTags(ownerId) {
+    return statements.listTags.all(ownerId).map(row => ({
+        type: row.tag_type,
+        name: row.tag_name,
+        mediaCount: row.media_count,
+        seriesCount: row.series_count
+    }));
+}
+
+function countSeries() {
+    return statements.countSeries.get().count;
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+// Every series, episode and media item as one row: the name and text search
+// matches on (a name match scores higher) and the date it is filtered and sorted by
+const SEARCHABLE = `
+    SELECT 'series' AS kind, series.id, series.id AS series_id, series.owner_id,
+        series.title AS name,
+        ifnull(series.description, '')
+            || ' ' || ifnull((SELECT group_concat(value, ' ') FROM json_each(series.genres)), '')
+            || ' ' || ifnull((SELECT group_concat(json_extract(value, '$.name'), ' ') FROM json_each(series.cast_members)), '')
+            AS text,
+        NULL AS media_type, NULL AS tags, series.created_at AS date
+    FROM series
+    UNION ALL
+    SELECT 'episode', episodes.id, series.id, series.owner_id,
+        episodes.title, ifnull(episodes.synopsis, ''), NULL, NULL, episodes.air_date
+    FROM episodes JOIN series ON series.id = episodes.series_id
+    UNION ALL
+    SELECT 'media', media.id, series.id, series.owner_id,
+        ifnull(media.original_name, ''),
+        ifnull(media.caption, '')
+            || ' ' || ifnull((SELECT group_concat(json_extract(value, '$.name'), ' ') FROM json_each(media.tags)), ''),
+        media.type, media.tags, json_extract(media.metadata, '$.capturedAt')
+    FROM media
+    JOIN episodes ON episodes.id = media.episode_id
+    JOIN series ON series.id = episodes.series_id
+`;
+
+const SEARCH_KINDS = ['series', 'episode', 'media'];
+const SEARCH_ORDER = {
+    relevance: direction => `score ${direction}, date IS NULL, date DESC, name COLLATE NOCASE`,
+    date: direction => `date IS NULL, date ${direction}, name COLLATE NOCASE`,
+    title: direction => `name COLLATE NOCASE ${direction}, date DESC`
+};
+const SEARCH_SORTS = Object.keys(SEARCH_ORDER);
+
+// LIKE pattern matching text that contains term
+function containsPattern(term) {
+    return `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function searchResultFromRow(row, seriesRows) {
+    if (!seriesRows.has(row.series_id)) {
+        seriesRows.set(row.series_id, statements.getSeries.get(row.series_id));
+    }
+    const seriesRow = seriesRows.get(row.series_id);
+    const result = { kind: row.kind, seriesId: seriesRow.id, seriesTitle: seriesRow.title, date: row.date };
+
+    if (row.kind === 'series') {
+        const { episodes, ownerId, ...series } = seriesFromRow(seriesRow);
+        return { ...result, series };
+    }
+
+    const episodeRow = statements.getEpisodeRow.get(row.kind === 'episode' ? row.id : statements.getMediaRow.get(row.id).episode_id);
+    Object.assign(result, { episodeId: episodeRow.id, episodeIndex: episodeRow.position });
+
+    if (row.kind === 'episode') {
+        return {
+            ...result,
+            episode: {
+                id: episodeRow.id,
+                title: episodeRow.title,
+                thumbnail: episodeRow.thumbnail,
+                synopsis: episodeRow.synopsis,
+                airDate: episodeRow.air_date,
+                mediaCount: statements.countEpisodeMedia.get(episodeRow.id).count
+            }
+        };
+    }
+    return { ...result, episodeTitle: episodeRow.title, media: mediaFromRow(statements.getMediaRow.get(row.id)) };
+}
+
+/**
+ * Search a user's series, episodes and media items.
+ * Every term must appear (case-insensitively) in the item's name or text:
+ * series title, description, genres and cast; episode title and synopsis;
+ * media original name, caption and tags.
+ *
+ * filters: { terms, kinds, mediaType, tag, seriesId, from, to, sort, order, limit, offset }
+ * kinds limits the result kinds ('series', 'episode', 'media'); mediaType
+ * ('image' or 'video') leaves only media of that type, and tag ({ type, name },
+ * type optional) only media with that tag. from/to (YYYY-MM-DD,
+ * inclusive) filter on the series' creation, the episode's air date or the
+ * media's capture date; items without one are left out.
+ *
+ * Returns { total, results }, the page of results after offset.
+ */
+function searchLibrary(ownerId, filters) {
+    const { terms, kinds, mediaType, tag, seriesId, from, to, sort, order, limit, offset } = filters;
+    const params = { ownerId };
+    const conditions = ['owner_id = @ownerId'];
+
+    const scores = terms.map((term, index) => {
+        params[`term${index}`] = containsPattern(term);
+        const name = `name LIKE @term${index} ESCAPE '\\'`;
+        const text = `text LIKE @term${index} ESCAPE '\\'`;
+        conditions.push(`(${name} OR ${text})`);
+        return `(${name}) * 2 + (${text})`;
+    });
+
+    conditions.push(`kind IN (${kinds.map((kind, index) => {
+        params[`kind${index}`] = kind;
+        return `@kind${index}`;
+    }).join(', ')})`);
+    if (mediaType) {
+        params.mediaType = mediaType;
+        conditions.push('media_type = @mediaType');
+    }
+    if (tag) {
+        params.tagType = tag.type || null;
+        params.tagName = tag.name;
+        conditions.push(`EXISTS (
+            SELECT 1 FROM json_each(tags)
+            WHERE (@tagType IS NULL OR json_extract(value, '$.type') = @tagType)
+                AND json_extract(value, '$.name') = @tagName COLLATE NOCASE
+        )`);
+    }
+    if (seriesId) {
+        params.seriesId = seriesId;
+        conditions.push('series_id = @seriesId');
+    }
+    if (from) {
+        params.from = from;
+        conditions.push('substr(date, 1, 10) >= @from');
+    }
+    if (to) {
+        params.to = to;
+        conditions.push('substr(date, 1, 10) <= @to');
+    }
+
+    const matches = `
+        SELECT *, ${scores.length > 0 ? scores.join(' + ') : '0'} AS score
+        FROM (${SEARCHABLE})
+        WHERE ${conditions.join(' AND ')}
+    `;
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM (${matches})`).get(params).count;
+    const rows = db.prepare(`
+        ${matches}
+        ORDER BY ${SEARCH_ORDER[sort](order === 'asc' ? 'ASC' : 'DESC')}, id
+        LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    const seriesRows = new Map();
+    return { total, results: rows.map(row => searchResultFromRow(row, seriesRows)) };
+}
+
+// ============================================
+// MUTATIONS
+// ============================================
+
+/**
+ * Insert or update a series with all of its episodes, media and music tracks.
+ * Episodes, media and tracks missing from the object are removed; new ones get IDs.
+ * The owner and when media was added are only set on insert.
+ *
+ * Pass revision ({ userId, action }) for user edits to record the result in the
+ * revision history. Background processing only touches media processing fields,
+ * which revisions never roll back, so it saves without one.
+ */
+function saveSeries(series, revision = null) {
+    transaction(() => {
+        // Series from before revision history get their prior state as a baseline
+        if (revision && !hasRevisions(series.id)) {
+            const previous = getSeries(series.id);
+            if (previous) addRevision(previous, { action: 'Baseline' });
+        }
+
+        statements.upsertSeries.run({
+            id: series.id,
+            owner_id: series.ownerId || null,
+            title: series.title,
+            description: series.description || '',
+            thumbnail: series.thumbnail || null,
+            episode_count: series.episodeCount || series.episodes.length,
+            created_at: series.createdAt || new Date().toISOString(),
+            genres: JSON.stringify(series.genres || []),
+            year_start: series.yearStart ?? null,
+            year_end: series.yearEnd ?? null,
+            maturity_rating: series.maturityRating || null,
+            cast_members: JSON.stringify(series.cast || []),
+            banner: series.banner || null
+        });
+
+        const episodeIds = [];
+        (series.episodes || []).forEach((episode, position) => {
+            if (!episode.id) episode.id = uuidv4();
+            episodeIds.push(episode.id);
+
+            upsertChild(statements.upsertEpisode, 'Episode', {
+                id: episode.id,
+                series_id: series.id,
+                position,
+                title: episode.title || `Episode ${position + 1}`,
+                thumbnail: episode.thumbnail || null,
+                synopsis: episode.synopsis || '',
+                air_date: episode.airDate || null
+            });
+
+            const mediaIds = [];
+            (episode.media || []).forEach((media, mediaPosition) => {
+                if (!media.id) media.id = uuidv4();
+                mediaIds.push(media.id);
+
+                upsertChild(statements.upsertMedia, 'Media item', {
+                    id: media.id,
+                    episode_id: episode.id,
+                    position: mediaPosition,
+                    filename: media.filename || null,
+                    original_name: media.originalName || null,
+                    type: media.type,
+                    url: media.url,
+                    variants: media.variants ? JSON.stringify(media.variants) : null,
+                    poster: media.poster || null,
+                    status: media.status || 'ready',
+                    status_error: media.statusError || null,
+                    source_url: media.sourceUrl || null,
+                    hls_url: media.hlsUrl || null,
+                    metadata: media.metadata ? JSON.stringify(media.metadata) : null,
+                    caption: media.caption || null,
+                    duration: media.duration ?? null,
+                    trim_start: media.trimStart ?? null,
+                    trim_end: media.trimEnd ?? null,
+                    ken_burns: media.kenBurns ? JSON.stringify(media.kenBurns) : null,
+                    transition: media.transition || null,
+                    added_at: media.addedAt || new Date().toISOString(),
+                    tags: JSON.stringify(media.tags || [])
+                });
+            });
+            deleteMissing('media', 'episode_id', episode.id, mediaIds);
+
+            const trackIds = [];
+            (episode.musicTracks || []).forEach((track, trackPosition) => {
+                if (!track.id) track.id = uuidv4();
+                trackIds.push(track.id);
+
+                upsertChild(statements.upsertMusicTrack, 'Music track', {
+                    id: track.id,
+                    episode_id: episode.id,
+                    position: trackPosition,
+                    url: track.url,
+                    original_name: track.originalName || null,
+                    duration: track.duration ?? null,
+                    start_offset: track.startOffset ?? null,
+                    fade_in: track.fadeIn || 0,
+                    fade_out: track.fadeOut || 0,
+                    volume: track.volume ?? 1
+                });
+            });
+            deleteMissing('music_tracks', 'episode_id', episode.id, trackIds);
+        });
+        deleteMissing('episodes', 'series_id', series.id, episodeIds);
+
+        // Snapshot what was stored, with the defaults applied above
+        if (revision) addRevision(getSeries(series.id), revision);
+    });
+
+    return series;
+}
+
+// Insert or update an episode, media item or music track. The upserts leave a
+// row stored under another series alone, which fails the whole save.
+function upsertChild(statement, kind, row) {
+    if (statement.run(row).changes === 0) {
+        throw new Error(`${kind} ${row.id} belongs to another series`);
+    }
+}
+
+// Remove child rows of a parent that are no longer in keepIds
+function deleteMissing(table, parentColumn, parentId, keepIds) {
+    const placeholders = keepIds.map(() => '?').join(', ');
+    const notIn = keepIds.length > 0 ? ` AND id NOT IN (${placeholders})` : '';
+    db.prepare(`DELETE FROM ${table} WHERE ${parentColumn} = ?${notIn}`).run(parentId, ...keepIds);
+}
+
+/**
+ * IDs of the episodes, media items and music tracks in a series object (e.g.
+ * one a client sent to be saved) that are stored under a different series.
+ * Check before saving client data: saveSeries refuses to save them.
+ */
+function findForeignIds(series) {
+    const belongsElsewhere = (statement, id) => {
+        const row = id ? statement.get(id) : null;
+        return row && row.series_id !== series.id;
+    };
+
+    const foreign = [];
+    (series.episodes || []).forEach(episode => {
+        if (belongsElsewhere(statements.getEpisodeSeriesId, episode.id)) foreign.push(episode.id);
+        (episode.media || []).forEach(media => {
+            if (belongsElsewhere(statements.getMediaSeriesId, media.id)) foreign.push(media.id);
+        });
+        (episode.musicTracks || []).forEach(track => {
+            if (belongsElsewhere(statements.getMusicTrackSeriesId, track.id)) foreign.push(track.id);
+        });
+    });
+    return foreign;
+}
+
+function deleteSeries(seriesId) {
+    return statements.deleteSeries.run(seriesId).changes > 0;
+}
+
+/**
+ * Assign every series without an owner (e.g. imported from showData.json) to a user
+ */
+function claimUnownedSeries(userId) {
+    return statements.claimUnownedSeries.run(userId).changes;
+}
+
+module.exports = {
+    SEARCH_KINDS,
+    SEARCH_SORTS,
+    listSeries,
+    listSeriesVersions,
+    listAllSeries,
+    getSeries,
+    getSeriesVersion,
+    getFirstSeries,
+    listMediaByStatus,
+    listTracksWithoutDuration,
+    listTags,
+    countSeries,
+    searchLibrary,
+    saveSeries,
+    findForeignIds,
+    deleteSeries,
+    claimUnownedSeries
+};
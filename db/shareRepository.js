@@ -0,0 +1,76 @@
+/**
+ * Share Link Repository
+ * Read-only viewer links for a series, with optional passcode and expiry.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./index');
+
+const statements = {
+    insertShare: db.prepare(`
+        INSERT INTO share_links (id, series_id, token, label, passcode_hash, expires_at, created_by, created_at)
+        VALUES (@id, @series_id, @token, @label, @passcode_hash, @expires_at, @created_by, @created_at)
+    `),
+    listShares: db.prepare('SELECT * FROM share_links WHERE series_id = ? ORDER BY created_at'),
+    getShare: db.prepare('SELECT * FROM share_links WHERE id = ? AND series_id = ?'),
+    getShareByToken: db.prepare('SELECT * FROM share_links WHERE token = ?'),
+    revokeShare: db.prepare('UPDATE share_links SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+};
+
+function shareFromRow(row) {
+    return {
+        id: row.id,
+        seriesId: row.series_id,
+        token: row.token,
+        label: row.label,
+        hasPasscode: !!row.passcode_hash,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at,
+        createdAt: row.created_at
+    };
+}
+
+function createShare({ seriesId, label, passcodeHash, expiresAt, createdBy }) {
+    const row = {
+        id: uuidv4(),
+        series_id: seriesId,
+        token: crypto.randomBytes(24).toString('base64url'),
+        label: label || null,
+        passcode_hash: passcodeHash || null,
+        expires_at: expiresAt || null,
+        created_by: createdBy || null,
+        created_at: new Date().toISOString()
+    };
+    statements.insertShare.run(row);
+    return shareFromRow(row);
+}
+
+function listShares(seriesId) {
+    return statements.listShares.all(seriesId).map(shareFromRow);
+}
+
+function getShare(seriesId, shareId) {
+    const row = statements.getShare.get(shareId, seriesId);
+    return row ? shareFromRow(row) : null;
+}
+
+/**
+ * Look up a share by its token, including the passcode hash for verification
+ */
+function getShareByToken(token) {
+    const row = statements.getShareByToken.get(token);
+    return row ? { share: shareFromRow(row), passcodeHash: row.passcode_hash } : null;
+}
+
+function revokeShare(shareId) {
+    return statements.revokeShare.run(new Date().toISOString(), shareId).changes > 0;
+}
+
+module.exports = {
+    createShare,
+    listShares,
+    getShare,
+    getShareByToken,
+    revokeShare
+};
@@ -0,0 +1,101 @@
+/**
+ * Trash Repository
+ * Deleted series, episodes, media items and music, and replaced images, are
+ * kept here as JSON snapshots (with where they came from) until they are
+ * restored or purged.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./index');
+
+const statements = {
+    insertItem: db.prepare(`
+        INSERT INTO trash (id, owner_id, kind, series_id, episode_id, position, title, data, deleted_at)
+        VALUES (@id, @owner_id, @kind, @series_id, @episode_id, @position, @title, @data, @deleted_at)
+    `),
+    listItems: db.prepare('SELECT * FROM trash WHERE owner_id = ? ORDER BY deleted_at DESC'),
+    listAllItems: db.prepare('SELECT * FROM trash ORDER BY deleted_at DESC'),
+    getItem: db.prepare('SELECT * FROM trash WHERE id = ? AND owner_id = ?'),
+    updateItem: db.prepare('UPDATE trash SET data = ? WHERE id = ?'),
+    deleteItem: db.prepare('DELETE FROM trash WHERE id = ?'),
+    listExpiredItems: db.prepare('SELECT * FROM trash WHERE deleted_at < ?')
+};
+
+function itemFromRow(row) {
+    return {
+        id: row.id,
+        ownerId: row.owner_id,
+        kind: row.kind,
+        seriesId: row.series_id,
+        episodeId: row.episode_id,
+        position: row.position,
+        title: row.title,
+        item: JSON.parse(row.data),
+        deletedAt: row.deleted_at
+    };
+}
+
+/**
+ * Store a deleted item.
+ * kind is 'series', 'episode', 'media', 'music' or 'image' (a replaced
+ * thumbnail or banner: { field, url }); item is its snapshot.
+ */
+function addToTrash({ ownerId, kind, seriesId, episodeId, position, title, item }) {
+    const row = {
+        id: uuidv4(),
+        owner_id: ownerId,
+        kind,
+        series_id: seriesId,
+        episode_id: episodeId || null,
+        position: Number.isInteger(position) ? position : null,
+        title: title || null,
+        data: JSON.stringify(item),
+        deleted_at: new Date().toISOString()
+    };
+    statements.insertItem.run(row);
+    return itemFromRow(row);
+}
+
+function listTrash(ownerId) {
+    return statements.listItems.all(ownerId).map(itemFromRow);
+}
+
+/**
+ * Every user's trash (for maintenance jobs)
+ */
+function listAllTrash() {
+    return statements.listAllItems.all().map(itemFromRow);
+}
+
+function getTrashItem(ownerId, trashId) {
+    const row = statements.getItem.get(trashId, ownerId);
+    return row ? itemFromRow(row) : null;
+}
+
+/**
+ * Replace a trash item's snapshot, e.g. when part of it has been restored
+ */
+function updateTrashItem(trashId, item) {
+    return statements.updateItem.run(JSON.stringify(item), trashId).changes > 0;
+}
+
+function deleteTrashItem(trashId) {
+    return statements.deleteItem.run(trashId).changes > 0;
+}
+
+/**
+ * Items deleted before the given date
+ */
+function listExpiredTrash(before) {
+    return statements.listExpiredItems.all(before.toISOString()).map(itemFromRow);
+}
+
+module.exports = {
+    addToTrash,
+    listTrash,
+    listAllTrash,
+    getTrashItem,
+    updateTrashItem,
+    deleteTrashItem,
+    listExpiredTrash
+};
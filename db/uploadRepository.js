@@ -0,0 +1,85 @@
+/**
+ * Pending Upload Repository
+ * Tracks uploads that clients send straight to storage, from the moment a
+ * presigned URL is issued until the upload is completed or aborted.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./index');
+
+const statements = {
+    insertUpload: db.prepare(`
+        INSERT INTO pending_uploads (id, series_id, episode_id, key, original_name, content_type, size,
+            multipart_upload_id, part_size, created_by, created_at)
+        VALUES (@id, @series_id, @episode_id, @key, @original_name, @content_type, @size,
+            @multipart_upload_id, @part_size, @created_by, @created_at)
+    `),
+    getUpload: db.prepare('SELECT * FROM pending_uploads WHERE id = ? AND series_id = ?'),
+    deleteUpload: db.prepare('DELETE FROM pending_uploads WHERE id = ?'),
+    listStaleUploads: db.prepare('SELECT * FROM pending_uploads WHERE created_at < ?'),
+    listUploads: db.prepare('SELECT * FROM pending_uploads')
+};
+
+function uploadFromRow(row) {
+    return {
+        id: row.id,
+        seriesId: row.series_id,
+        episodeId: row.episode_id,
+        key: row.key,
+        originalName: row.original_name,
+        contentType: row.content_type,
+        size: row.size,
+        multipartUploadId: row.multipart_upload_id,
+        partSize: row.part_size,
+        createdAt: row.created_at
+    };
+}
+
+function createPendingUpload(upload) {
+    const row = {
+        id: uuidv4(),
+        series_id: upload.seriesId,
+        episode_id: upload.episodeId,
+        key: upload.key,
+        original_name: upload.originalName,
+        content_type: upload.contentType || null,
+        size: upload.size || null,
+        multipart_upload_id: upload.multipartUploadId || null,
+        part_size: upload.partSize || null,
+        created_by: upload.createdBy || null,
+        created_at: new Date().toISOString()
+    };
+    statements.insertUpload.run(row);
+    return uploadFromRow(row);
+}
+
+function getPendingUpload(seriesId, uploadId) {
+    const row = statements.getUpload.get(uploadId, seriesId);
+    return row ? uploadFromRow(row) : null;
+}
+
+function deletePendingUpload(uploadId) {
+    statements.deleteUpload.run(uploadId);
+}
+
+/**
+ * Uploads started before the given date that were never completed or aborted
+ */
+function listStalePendingUploads(before) {
+    return statements.listStaleUploads.all(before.toISOString()).map(uploadFromRow);
+}
+
+/**
+ * Every direct upload that is still in progress
+ */
+function listPendingUploads() {
+    return statements.listUploads.all().map(uploadFromRow);
+}
+
+module.exports = {
+    createPendingUpload,
+    getPendingUpload,
+    deletePendingUpload,
+    listStalePendingUploads,
+    listPendingUploads
+};
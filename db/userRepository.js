@@ -0,0 +1,117 @@
+/**
+ * User Repository
+ * User accounts and login sessions. Session tokens are stored hashed so a
+ * leaked database cannot be used to log in.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./index');
+
+const statements = {
+    insertUser: db.prepare(`
+        INSERT INTO users (id, username, password_hash, display_name, created_at)
+        VALUES (@id, @username, @password_hash, @display_name, @created_at)
+    `),
+    getUserById: db.prepare('SELECT * FROM users WHERE id = ?'),
+    getUserByUsername: db.prepare('SELECT * FROM users WHERE username = ?'),
+    getFirstUser: db.prepare('SELECT * FROM users ORDER BY created_at, rowid LIMIT 1'),
+    countUsers: db.prepare('SELECT COUNT(*) AS count FROM users'),
+    insertSession: db.prepare(`
+        INSERT INTO sessions (token_hash, user_id, created_at, expires_at)
+        VALUES (?, ?, ?, ?)
+    `),
+    getSessionUser: db.prepare(`
+        SELECT users.* FROM sessions
+        JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = ? AND sessions.expires_at > ?
+    `),
+    deleteSession: db.prepare('DELETE FROM sessions WHERE token_hash = ?'),
+    deleteExpiredSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public representation of a user (never includes the password hash)
+ */
+function userFromRow(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        displayName: row.display_name || row.username,
+        createdAt: row.created_at
+    };
+}
+
+function createUser({ username, passwordHash, displayName }) {
+    const row = {
+        id: uuidv4(),
+        username,
+        password_hash: passwordHash,
+        display_name: displayName || null,
+        created_at: new Date().toISOString()
+    };
+    statements.insertUser.run(row);
+    return userFromRow(row);
+}
+
+function getUserById(userId) {
+    const row = statements.getUserById.get(userId);
+    return row ? userFromRow(row) : null;
+}
+
+/**
+ * Look up a user with the password hash, for login
+ */
+function getUserCredentials(username) {
+    const row = statements.getUserByUsername.get(username);
+    return row ? { user: userFromRow(row), passwordHash: row.password_hash } : null;
+}
+
+function getFirstUser() {
+    const row = statements.getFirstUser.get();
+    return row ? userFromRow(row) : null;
+}
+
+function countUsers() {
+    return statements.countUsers.get().count;
+}
+
+/**
+ * Create a session and return its (unhashed) bearer token
+ */
+function createSession(userId, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    statements.deleteExpiredSessions.run(new Date(now).toISOString());
+    statements.insertSession.run(
+        hashToken(token),
+        userId,
+        new Date(now).toISOString(),
+        new Date(now + ttlMs).toISOString()
+    );
+    return token;
+}
+
+function getSessionUser(token) {
+    const row = statements.getSessionUser.get(hashToken(token), new Date().toISOString());
+    return row ? userFromRow(row) : null;
+}
+
+function deleteSession(token) {
+    statements.deleteSession.run(hashToken(token));
+}
+
+module.exports = {
+    createUser,
+    getUserById,
+    getUserCredentials,
+    getFirstUser,
+    countUsers,
+    createSession,
+    getSessionUser,
+    deleteSession
+};
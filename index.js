@@ -1,61 +1,40 @@
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const apiRoutes = require('./routes/api');
+const app = require('./app');
+const { uploadsDir } = require('./config/uploadsDir');
+const { importShowDataIfNeeded } = require('./db/importShowData');
+const { startUploadCleanup } = require('./services/uploadCleanup');
+const { startTrashCleanup } = require('./services/trash');
+const { resumePendingTranscodes } = require('./services/transcoder');
+const { resumePendingRenders } = require('./services/episodeRenderer');
+const { resumeMusicProcessing } = require('./services/musicTracks');
 
-const app = express();
 const PORT = process.env.PORT || 3001;
-const isProduction = process.env.NODE_ENV === 'production';
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Serve uploaded files (for legacy local files only)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// API routes
-app.use('/api', apiRoutes);
-
-// In production, serve the React build
-if (isProduction) {
-    const clientBuildPath = path.join(__dirname, '..', 'client', 'dist');
-    
-    // Serve static files from the React build
-    app.use(express.static(clientBuildPath));
-    
-    // Handle React routing - serve index.html for all non-API routes
-    app.get('*', (req, res) => {
-        res.sendFile(path.join(clientBuildPath, 'index.html'));
-    });
-    
-    console.log('🚀 Running in PRODUCTION mode - serving static files from client/dist');
-}
-
-// Create uploads directory for showData.json only
-const uploadsDir = path.join(__dirname, 'uploads');
+// Create uploads directory (local storage driver and legacy files)
 if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
     console.log(`Created directory: ${uploadsDir}`);
 }
 
-// Initialize show data file if it doesn't exist
-const showDataPath = path.join(__dirname, 'uploads', 'showData.json');
-if (!fs.existsSync(showDataPath)) {
-    const defaultData = {
-        showTitle: 'The Story of My Life',
-        episodeCount: 1,
-        episodes: [{
-            title: 'Episode 1',
-            thumbnail: null,
-            media: []
-        }]
-    };
-    fs.writeFileSync(showDataPath, JSON.stringify(defaultData, null, 2));
-    console.log('Created default show data file');
-}
+// One-time import of the legacy showData.json into the database
+importShowDataIfNeeded(path.join(uploadsDir, 'showData.json'));
+
+// Abort direct uploads that were abandoned part-way
+startUploadCleanup();
+
+// Purge trash older than TRASH_RETENTION_DAYS
+startTrashCleanup();
+
+// Pick up video transcodes interrupted by a restart
+resumePendingTranscodes();
+
+// Read music track durations that are still missing
+resumeMusicProcessing();
+
+// Pick up episode renders interrupted by a restart
+resumePendingRenders();
 
 // Start server
 app.listen(PORT, () => {
@@ -0,0 +1,36 @@
+/**
+ * Authentication Middleware
+ * Resolves the "Authorization: Bearer <token>" header to a logged-in user.
+ */
+
+const { getSessionUser } = require('../db/userRepository');
+
+/**
+ * Extract the bearer token from a request, if any
+ */
+function getBearerToken(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Require a valid session; sets req.user and req.sessionToken
+ */
+function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+    const user = token ? getSessionUser(token) : null;
+
+    if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    req.sessionToken = token;
+    next();
+}
+
+module.exports = {
+    getBearerToken,
+    requireAuth
+};
@@ -1,131 +1,381 @@
 /**
  * Netflix Life Story - API Routes
- * Handles file uploads to AWS S3 and show data management with multi-series support
+ * Handles file uploads (S3 or local storage) and show data management with multi-series support.
+ * Mounted behind requireAuth: every route acts on the logged-in user's series only.
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const {
     seriesThumbnailStorage,
+    seriesBannerStorage,
     thumbnailStorage,
     mediaStorage,
     musicStorage,
-    getS3Url,
-    deleteFromS3,
-    getKeyFromUrl
-} = require('../config/s3');
+    getFileUrl,
+    deleteFile,
+    getKeyFromUrl,
+    headObject,
+    getObjectStream,
+    createKey,
+    directUploads
+} = require('../config/storage');
+const {
+    SEARCH_KINDS,
+    SEARCH_SORTS,
+    listSeries,
+    listSeriesVersions,
+    getSeries,
+    getSeriesVersion,
+    getFirstSeries,
+    listTags,
+    searchLibrary,
+    saveSeries,
+    findForeignIds
+} = require('../db/seriesRepository');
+const {
+    createShare,
+    listShares,
+    getShare,
+    revokeShare
+} = require('../db/shareRepository');
+const {
+    createPendingUpload,
+    getPendingUpload,
+    deletePendingUpload
+} = require('../db/uploadRepository');
+const { listTrash, getTrashItem, deleteTrashItem } = require('../db/trashRepository');
+const { listRevisions, getRevision } = require('../db/revisionRepository');
+const { saveProgress, getProgress, listProgress, deleteProgress } = require('../db/progressRepository');
+const {
+    createComment,
+    listComments,
+    getComment,
+    setCommentHidden,
+    deleteComment,
+    addReaction,
+    listReactions,
+    getReaction,
+    deleteReaction
+} = require('../db/feedbackRepository');
+const { createRender, getRender, listEpisodeRenders } = require('../db/renderRepository');
+const { transaction } = require('../db');
+const { hashPassword } = require('../utils/password');
+const {
+    IMAGE_TYPES,
+    VIDEO_TYPES,
+    detectFileType,
+    unsupportedFileTypeError,
+    peekStream
+} = require('../utils/fileType');
+const {
+    MEDIA_FILE_FIELDS,
+    TRACK_FILE_FIELDS,
+    createMediaRecord,
+    createMusicTrack,
+    createEpisode
+} = require('../services/seriesRecords');
+const { parseMediaSettings } = require('../services/mediaSettings');
+const { TAG_TYPES, parseTags, applyTagChanges, matchExistingSpelling } = require('../services/mediaTags');
+const {
+    VIEWS,
+    parseSeriesView,
+    presentSeries,
+    mediaPreview,
+    summarizeSeries,
+    summarizeEpisode
+} = require('../services/seriesViews');
+const { parsePosition, describeProgress, findRecentlyAdded } = require('../services/watchProgress');
+const {
+    findTarget,
+    parseCommentBody,
+    parseReactionKind,
+    userAuthorKey,
+    placeFeedback,
+    formatComment,
+    formatReaction,
+    summarizeReactions
+} = require('../services/feedback');
+const { parseSeriesMetadata, parseEpisodeMetadata } = require('../services/catalogMetadata');
+const { parseTrackSettings, musicTimeline, queueMusicProcessing } = require('../services/musicTracks');
+const { queueMediaProcessing } = require('../services/mediaProcessing');
+const { TEMP_DIR, removeTemp } = require('../services/tempFiles');
+const { prepareSeriesArchive, writeSeriesArchive, importSeriesArchive } = require('../services/seriesArchive');
+const { queueTranscode } = require('../services/transcoder');
+const { sortByCaptureDate, readStoredMetadata } = require('../services/mediaMetadata');
+const { GROUP_BY, groupMedia } = require('../services/episodeGrouping');
+const { moveToTrash, trashSeries, getPurgeDate, purgeTrashItem } = require('../services/trash');
+const { diffSeries, restoreRevision } = require('../services/revisions');
+const {
+    RESOLUTIONS,
+    TRANSITIONS,
+    DEFAULT_RENDER_OPTIONS,
+    estimateEpisodeDuration,
+    queueRender,
+    deleteRenders
+} = require('../services/episodeRenderer');
 
 const router = express.Router();
 
-// File paths
-const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
-const SHOW_DATA_PATH = path.join(UPLOADS_DIR, 'showData.json');
-
-// Configure multer with S3 storage
+// Configure multer with the active storage driver.
+// The storages check each file's content (not its name) and reject other types with a 415.
 const uploadSeriesThumbnail = multer({
     storage: seriesThumbnailStorage,
-    limits: { fileSize: 50 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        cb(null, allowedTypes.test(ext));
-    }
+    limits: { fileSize: 50 * 1024 * 1024 }
+});
+
+const uploadSeriesBanner = multer({
+    storage: seriesBannerStorage,
+    limits: { fileSize: 50 * 1024 * 1024 }
 });
 
 const uploadThumbnail = multer({ 
     storage: thumbnailStorage,
-    limits: { fileSize: 50 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        cb(null, allowedTypes.test(ext));
-    }
+    limits: { fileSize: 50 * 1024 * 1024 }
 });
 
 const uploadMedia = multer({ 
     storage: mediaStorage,
-    limits: { fileSize: 500 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp|mp4|webm|mov|avi|mkv/;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        cb(null, allowedTypes.test(ext));
-    }
+    limits: { fileSize: 500 * 1024 * 1024 }
 });
 
 const uploadMusic = multer({ 
     storage: musicStorage,
-    limits: { fileSize: 100 * 1024 * 1024 }, // 100MB for audio
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /mp3|wav|ogg|aac|m4a|flac/;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        cb(null, allowedTypes.test(ext));
-    }
+    limits: { fileSize: 100 * 1024 * 1024 } // 100MB for audio
 });
 
-// Helper: Read all data
-function getData() {
-    try {
-        const data = fs.readFileSync(SHOW_DATA_PATH, 'utf8');
-        const parsed = JSON.parse(data);
-        
-        // Migration: If old format (single show), convert to new format
-        if (!parsed.series && parsed.showTitle) {
-            const migratedData = {
-                series: [{
-                    id: uuidv4(),
-                    title: parsed.showTitle,
-                    description: 'A personal documentary',
-                    thumbnail: null,
-                    createdAt: new Date().toISOString(),
-                    episodeCount: parsed.episodeCount || 1,
-                    episodes: parsed.episodes || []
-                }]
-            };
-            saveData(migratedData);
-            return migratedData;
+// Series archives are read from local disk, whatever the storage driver
+const uploadArchive = multer({
+    dest: TEMP_DIR,
+    limits: { fileSize: 5 * 1024 * 1024 * 1024 } // 5GB
+});
+
+const MEDIA_TYPES = [...IMAGE_TYPES, ...VIDEO_TYPES];
+const MAX_PAGE_SIZE = 100;
+
+// Full saves send back IDs; ones stored under another series are refused
+const FOREIGN_IDS_ERROR = 'episodes contain episode, media or music track IDs of another series';
+const NEW_FILES_ERROR = 'episodes contain media, music or thumbnails that were not uploaded to this series';
+
+// Helper: Find an episode by ID, or by array index for legacy routes
+function findEpisode(series, episodeRef) {
+    const byId = series.episodes.find(e => e.id === episodeRef);
+    if (byId) return byId;
+    
+    if (!/^\d+$/.test(episodeRef)) return null;
+    return series.episodes[parseInt(episodeRef)] || null;
+}
+
+// Helper: Reorder items by a list of IDs, keeping unlisted items at the end
+function reorderByIds(items, ids) {
+    const itemMap = new Map();
+    items.forEach(item => itemMap.set(item.id, item));
+    
+    const reordered = [];
+    ids.forEach(id => {
+        if (itemMap.has(id)) {
+            reordered.push(itemMap.get(id));
+            itemMap.delete(id);
         }
-        
-        return parsed;
-    } catch (e) {
-        return { series: [] };
+    });
+    
+    // Add any remaining items that weren't in the list (safety)
+    itemMap.forEach(item => reordered.push(item));
+    return reordered;
+}
+
+// Helper: Read limit and offset query parameters
+function parsePagination(query, defaultLimit) {
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a whole number >= 0' };
     }
+    return { limit, offset };
 }
 
-// Helper: Save data
-function saveData(data) {
-    fs.writeFileSync(SHOW_DATA_PATH, JSON.stringify(data, null, 2));
+// Helper: Tag a GET response (ETag) and answer 304 if the client's copy is current.
+// version identifies the stored data the response is built from; the URL is part
+// of the tag because the query changes the response. Returns true once answered.
+function sendNotModified(req, res, version) {
+    const tag = crypto.createHash('sha1').update(`${version}|${req.originalUrl}`).digest('base64url');
+    res.set({ ETag: `"${tag}"`, 'Cache-Control': 'private, no-cache' });
+    
+    if (!req.fresh) return false;
+    res.status(304).end();
+    return true;
 }
 
-// Helper: Find series by ID
-function findSeries(seriesId) {
-    const data = getData();
-    return data.series.find(s => s.id === seriesId);
+// Helper: Revision details for a user edit, passed to saveSeries
+function userEdit(req, action) {
+    return { userId: req.user.id, action };
 }
 
+// Helper: Trash entry for an episode removed from a series at position
+function episodeTrashEntry(ownerId, episode, position) {
+    return { ownerId, kind: 'episode', position, title: episode.title, item: episode };
+}
+
+// Helper: Trash entry for a media item removed from an episode at position
+function mediaTrashEntry(ownerId, episode, media, position) {
+    return { ownerId, kind: 'media', episodeId: episode.id, position, title: media.originalName, item: media };
+}
+
+// Helper: Trash entry for a music track removed from an episode at position
+function musicTrashEntry(ownerId, episode, track, position) {
+    return { ownerId, kind: 'music', episodeId: episode.id, position, title: track.originalName || 'Music', item: track };
+}
+
+// Helper: Trash entry for an image replaced by a new upload: the series thumbnail
+// or banner (field), or the thumbnail of episode when given
+function imageTrashEntry(ownerId, field, url, episode = null) {
+    const title = episode ? `${episode.title} ${field}` : `Series ${field}`;
+    return { ownerId, kind: 'image', episodeId: episode ? episode.id : null, title, item: { field, url } };
+}
+
+// Helper: Trash entries for what a whole-series save (PUT, legacy /show) leaves
+// out of the current series: episodes (if they had content), and media and music
+// tracks of the episodes it keeps. Items moved to another episode stay live.
+function removedItemsTrashEntries(ownerId, current, series) {
+    const kept = new Set(series.episodes.flatMap(episode => [
+        episode.id,
+        ...(episode.media || []).map(m => m.id),
+        ...(episode.musicTracks || []).map(t => t.id)
+    ]));
+    
+    const entries = [];
+    current.episodes.forEach((episode, position) => {
+        if (!kept.has(episode.id)) {
+            const removed = {
+                ...episode,
+                media: episode.media.filter(m => !kept.has(m.id)),
+                musicTracks: episode.musicTracks.filter(t => !kept.has(t.id))
+            };
+            if (removed.media.length > 0 || removed.thumbnail || removed.musicTracks.length > 0) {
+                entries.push(episodeTrashEntry(ownerId, removed, position));
+            }
+            return;
+        }
+        episode.media.forEach((media, i) => {
+            if (!kept.has(media.id)) entries.push(mediaTrashEntry(ownerId, episode, media, i));
+        });
+        episode.musicTracks.forEach((track, i) => {
+            if (!kept.has(track.id)) entries.push(musicTrashEntry(ownerId, episode, track, i));
+        });
+    });
+    return entries;
+}
+
+// Helper: Episodes sent by clients that predate music tracks keep their current tracks
+function keepMusicTracks(episodes, current) {
+    episodes.forEach(episode => {
+        if (Array.isArray(episode.musicTracks)) return;
+        const existing = current.episodes.find(e => e.id === episode.id);
+        episode.musicTracks = existing ? existing.musicTracks : [];
+    });
+    return episodes;
+}
+
+// Helper: Full saves take the stored files of every episode, media item and
+// music track from the stored record with the same ID, whatever the client sent,
+// so a save can't point a record at files it doesn't own. Records the series
+// doesn't have yet can't bring files: media and music are added by uploading.
+// Returns an error, or null once the episodes are fixed up.
+function keepStoredFiles(episodes, current) {
+    const storedEpisodes = new Map();
+    const storedMedia = new Map();
+    const storedTracks = new Map();
+    (current ? current.episodes : []).forEach(episode => {
+        storedEpisodes.set(episode.id, episode);
+        episode.media.forEach(media => storedMedia.set(media.id, media));
+        episode.musicTracks.forEach(track => storedTracks.set(track.id, track));
+    });
+    const copyFields = (record, stored, fields) => {
+        fields.forEach(field => { record[field] = stored[field]; });
+    };
+    
+    for (const episode of episodes) {
+        const stored = storedEpisodes.get(episode.id);
+        if (stored) {
+            episode.thumbnail = stored.thumbnail;
+        } else if (episode.thumbnail) {
+            return NEW_FILES_ERROR;
+        }
+        for (const media of episode.media || []) {
+            if (!storedMedia.has(media.id)) return NEW_FILES_ERROR;
+            copyFields(media, storedMedia.get(media.id), MEDIA_FILE_FIELDS);
+        }
+        for (const track of episode.musicTracks || []) {
+            if (!storedTracks.has(track.id)) return NEW_FILES_ERROR;
+            copyFields(track, storedTracks.get(track.id), TRACK_FILE_FIELDS);
+        }
+    }
+    return null;
+}
+
+// Only the owner may touch a series. Runs before any upload middleware, so
+// files are never stored for a series the caller does not own.
+router.param('seriesId', (req, res, next, seriesId) => {
+    const series = getSeries(seriesId);
+    if (!series || series.ownerId !== req.user.id) {
+        return res.status(404).json({ error: 'Series not found' });
+    }
+    next();
+});
+
 // ============================================
 // SERIES ROUTES
 // ============================================
 
 // GET /api/series - Get all series
+// Query: view (full|summary), expand (episodes), fields, and optionally limit/offset
+// for one page (the total is in X-Total-Count). Responses carry an ETag.
 router.get('/series', (req, res) => {
-    const data = getData();
-    res.json(data.series);
+    const { options, error } = parseSeriesView(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    let page = null;
+    if (req.query.limit !== undefined || req.query.offset !== undefined) {
+        page = parsePagination(req.query, 20);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+    }
+    
+    const versions = listSeriesVersions(req.user.id);
+    res.set('X-Total-Count', String(versions.length));
+    if (sendNotModified(req, res, versions.map(v => `${v.id}:${v.version}`).join(','))) return;
+    
+    res.json(listSeries(req.user.id, page).map(series => presentSeries(series, options)));
 });
 
 // POST /api/series - Create new series
+// Also takes the catalog metadata: genres, yearStart, yearEnd, maturityRating, cast
 router.post('/series', (req, res) => {
     try {
         const { title, description, episodeCount } = req.body;
-        const data = getData();
+        
+        const { metadata, error } = parseSeriesMetadata({}, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
         
         const newSeries = {
             id: uuidv4(),
+            ownerId: req.user.id,
             title: title || 'Untitled Series',
             description: description || '',
             thumbnail: null,
+            banner: null,
+            ...metadata,
             createdAt: new Date().toISOString(),
             episodeCount: episodeCount || 1,
             episodes: []
@@ -133,15 +383,10 @@ router.post('/series', (req, res) => {
         
         // Initialize episodes
         for (let i = 0; i < newSeries.episodeCount; i++) {
-            newSeries.episodes.push({
-                title: `Episode ${i + 1}`,
-                thumbnail: null,
-                media: []
-            });
+            newSeries.episodes.push(createEpisode(`Episode ${i + 1}`));
         }
         
-        data.series.push(newSeries);
-        saveData(data);
+        saveSeries(newSeries, userEdit(req, 'Create series'));
         
         res.json({ success: true, series: newSeries });
     } catch (error) {
@@ -151,48 +396,78 @@ router.post('/series', (req, res) => {
 });
 
 // GET /api/series/:seriesId - Get single series
+// Query: view (full|summary), expand (episodes), fields. Responses carry an ETag.
 router.get('/series/:seriesId', (req, res) => {
-    const series = findSeries(req.params.seriesId);
+    const { options, error } = parseSeriesView(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (sendNotModified(req, res, `${req.params.seriesId}:${getSeriesVersion(req.params.seriesId)}`)) return;
+    
+    const series = getSeries(req.params.seriesId);
     if (!series) {
         return res.status(404).json({ error: 'Series not found' });
     }
-    res.json(series);
+    res.json(presentSeries(series, options));
 });
 
 // PUT /api/series/:seriesId - Update series
+// Catalog metadata (genres, yearStart, yearEnd, maturityRating, cast) is
+// validated, as are the synopsis and airDate of any episodes sent
 router.put('/series/:seriesId', (req, res) => {
     try {
         const { title, description, episodeCount, episodes } = req.body;
-        const data = getData();
-        const seriesIndex = data.series.findIndex(s => s.id === req.params.seriesId);
+        const current = getSeries(req.params.seriesId);
         
-        if (seriesIndex === -1) {
+        if (!current) {
             return res.status(404).json({ error: 'Series not found' });
         }
+        const series = { ...current, episodes: [...current.episodes] };
+        
+        const { metadata, error } = parseSeriesMetadata(series, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
         
-        const series = data.series[seriesIndex];
+        if (episodes !== undefined) {
+            if (!Array.isArray(episodes) || !episodes.every(e => e && typeof e === 'object')) {
+                return res.status(400).json({ error: 'episodes must be an array of episodes' });
+            }
+            for (const [index, episode] of episodes.entries()) {
+                const result = parseEpisodeMetadata(episode, episode);
+                if (result.error) {
+                    return res.status(400).json({ error: `Episode ${index + 1}: ${result.error}` });
+                }
+                Object.assign(episode, result.metadata);
+            }
+        }
         
         if (title !== undefined) series.title = title;
         if (description !== undefined) series.description = description;
-        if (episodes !== undefined) series.episodes = episodes;
+        Object.assign(series, metadata);
+        if (episodes !== undefined) series.episodes = keepMusicTracks(episodes, series);
+        if (findForeignIds(series).length > 0) {
+            return res.status(400).json({ error: FOREIGN_IDS_ERROR });
+        }
+        const filesError = keepStoredFiles(series.episodes, current);
+        if (filesError) {
+            return res.status(400).json({ error: filesError });
+        }
         
         if (episodeCount !== undefined && episodeCount !== series.episodeCount) {
             series.episodeCount = episodeCount;
             
             // Add new episodes if count increased
             while (series.episodes.length < episodeCount) {
-                series.episodes.push({
-                    title: `Episode ${series.episodes.length + 1}`,
-                    thumbnail: null,
-                    media: []
-                });
+                series.episodes.push(createEpisode(`Episode ${series.episodes.length + 1}`));
             }
             
             // Trim if count reduced
             series.episodes = series.episodes.slice(0, episodeCount);
         }
         
-        saveData(data);
+        // Episodes, media and music left out of the update go to the trash
+        moveToTrash(series, removedItemsTrashEntries(req.user.id, current, series), userEdit(req, 'Update series'));
         res.json({ success: true, series });
     } catch (error) {
         console.error('Error updating series:', error);
@@ -200,43 +475,19 @@ router.put('/series/:seriesId', (req, res) => {
     }
 });
 
-// DELETE /api/series/:seriesId - Delete series
-router.delete('/series/:seriesId', async (req, res) => {
+// DELETE /api/series/:seriesId - Move a series to the trash
+router.delete('/series/:seriesId', (req, res) => {
     try {
-        const data = getData();
-        const seriesIndex = data.series.findIndex(s => s.id === req.params.seriesId);
+        const series = getSeries(req.params.seriesId);
         
-        if (seriesIndex === -1) {
+        if (!series) {
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        const series = data.series[seriesIndex];
-        
-        // Delete associated S3 files
-        if (series.thumbnail) {
-            const key = getKeyFromUrl(series.thumbnail);
-            if (key) await deleteFromS3(key);
-        }
-        
-        for (const episode of series.episodes) {
-            if (episode.thumbnail) {
-                const key = getKeyFromUrl(episode.thumbnail);
-                if (key) await deleteFromS3(key);
-            }
-            if (episode.music) {
-                const key = getKeyFromUrl(episode.music);
-                if (key) await deleteFromS3(key);
-            }
-            for (const media of episode.media || []) {
-                const key = getKeyFromUrl(media.url);
-                if (key) await deleteFromS3(key);
-            }
-        }
-        
-        data.series.splice(seriesIndex, 1);
-        saveData(data);
+        // Files stay in storage until the trash is purged
+        const trashItem = trashSeries(series);
         
-        res.json({ success: true });
+        res.json({ success: true, trashId: trashItem.id });
     } catch (error) {
         console.error('Error deleting series:', error);
         res.status(500).json({ error: error.message });
@@ -244,553 +495,2139 @@ router.delete('/series/:seriesId', async (req, res) => {
 });
 
 // POST /api/series/:seriesId/upload/thumbnail - Upload series thumbnail
-router.post('/series/:seriesId/upload/thumbnail', uploadSeriesThumbnail.single('thumbnail'), async (req, res) => {
+router.post('/series/:seriesId/upload/thumbnail', uploadSeriesThumbnail.single('thumbnail'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const data = getData();
-    const series = data.series.find(s => s.id === req.params.seriesId);
+    const series = getSeries(req.params.seriesId);
     
     if (!series) {
         return res.status(404).json({ error: 'Series not found' });
     }
     
-    // Delete old thumbnail from S3 if exists
-    if (series.thumbnail) {
-        const oldKey = getKeyFromUrl(series.thumbnail);
-        if (oldKey) await deleteFromS3(oldKey);
-    }
+    const oldThumbnail = series.thumbnail;
+    
+    // Store full file URL
+    const fileUrl = getFileUrl(req.file.key);
+    series.thumbnail = fileUrl;
     
-    // Store full S3 URL
-    const s3Url = getS3Url(req.file.key);
-    series.thumbnail = s3Url;
-    saveData(data);
+    // The old thumbnail stays restorable in the trash until it is purged
+    const trashEntries = oldThumbnail ? [imageTrashEntry(req.user.id, 'thumbnail', oldThumbnail)] : [];
+    moveToTrash(series, trashEntries, userEdit(req, 'Upload series thumbnail'));
     
     console.log(`[API] ✅ Series thumbnail uploaded successfully`);
-    console.log(`[API]    S3 URL: ${s3Url}`);
+    console.log(`[API]    URL: ${fileUrl}`);
     
     res.json({
         success: true,
         filename: req.file.key,
-        url: s3Url
+        url: fileUrl
     });
 });
 
-// ============================================
-// EPISODE ROUTES (with series context)
-// ============================================
-
-// POST /api/series/:seriesId/upload/thumbnail/:episodeIndex - Upload episode thumbnail
-router.post('/series/:seriesId/upload/thumbnail/:episodeIndex', uploadThumbnail.single('thumbnail'), async (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
-    
+// POST /api/series/:seriesId/upload/banner - Upload the series banner (wide hero image)
+router.post('/series/:seriesId/upload/banner', uploadSeriesBanner.single('banner'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const data = getData();
-    const series = data.series.find(s => s.id === req.params.seriesId);
+    const series = getSeries(req.params.seriesId);
     
     if (!series) {
         return res.status(404).json({ error: 'Series not found' });
     }
     
-    if (episodeIndex >= series.episodes.length) {
-        return res.status(400).json({ error: 'Invalid episode index' });
-    }
+    const oldBanner = series.banner;
     
-    // Delete old thumbnail from S3 if exists
-    if (series.episodes[episodeIndex].thumbnail) {
-        const oldKey = getKeyFromUrl(series.episodes[episodeIndex].thumbnail);
-        if (oldKey) await deleteFromS3(oldKey);
-    }
+    const fileUrl = getFileUrl(req.file.key);
+    series.banner = fileUrl;
     
-    // Store full S3 URL
-    const s3Url = getS3Url(req.file.key);
-    series.episodes[episodeIndex].thumbnail = s3Url;
-    saveData(data);
+    // The old banner stays restorable in the trash until it is purged
+    const trashEntries = oldBanner ? [imageTrashEntry(req.user.id, 'banner', oldBanner)] : [];
+    moveToTrash(series, trashEntries, userEdit(req, 'Upload series banner'));
     
-    console.log(`[API] ✅ Episode ${episodeIndex} thumbnail uploaded successfully`);
-    console.log(`[API]    S3 URL: ${s3Url}`);
+    console.log(`[API] ✅ Series banner uploaded to series ${series.id}`);
     
     res.json({
         success: true,
         filename: req.file.key,
-        url: s3Url
+        url: fileUrl
     });
 });
 
-// POST /api/series/:seriesId/upload/media/:episodeIndex - Upload episode media files
-router.post('/series/:seriesId/upload/media/:episodeIndex', uploadMedia.array('media', 50), (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
+// ============================================
+// EPISODE ROUTES (with series context)
+// ============================================
+
+// Episode routes below accept an episode ID; the :episodeIndex upload/media
+// routes also accept a numeric array index for backward compatibility.
+
+// POST /api/series/:seriesId/episodes - Create an episode (optionally with synopsis and airDate)
+router.post('/series/:seriesId/episodes', (req, res) => {
+    const { title, position } = req.body;
     
-    if (!req.files || req.files.length === 0) {
-        return res.status(400).json({ error: 'No files uploaded' });
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+        return res.status(400).json({ error: 'title must be a non-empty string' });
+    }
+    
+    const { metadata, error } = parseEpisodeMetadata({}, req.body);
+    if (error) {
+        return res.status(400).json({ error });
     }
     
-    const data = getData();
-    const series = data.series.find(s => s.id === req.params.seriesId);
+    const series = getSeries(req.params.seriesId);
     
     if (!series) {
         return res.status(404).json({ error: 'Series not found' });
     }
     
-    if (episodeIndex >= series.episodes.length) {
-        return res.status(400).json({ error: 'Invalid episode index' });
-    }
-    
-    const newMedia = req.files.map(file => {
-        const isVideo = /mp4|webm|mov|avi|mkv/.test(path.extname(file.originalname).toLowerCase());
-        const s3Url = getS3Url(file.key);
-        return {
-            id: uuidv4(),
-            filename: file.key,
-            originalName: file.originalname,
-            type: isVideo ? 'video' : 'image',
-            url: s3Url
-        };
-    });
+    const episode = {
+        ...createEpisode(title ? title.trim() : `Episode ${series.episodes.length + 1}`),
+        ...metadata
+    };
     
-    series.episodes[episodeIndex].media.push(...newMedia);
-    saveData(data);
+    // Insert at the requested position, or append
+    if (Number.isInteger(position) && position >= 0 && position < series.episodes.length) {
+        series.episodes.splice(position, 0, episode);
+    } else {
+        series.episodes.push(episode);
+    }
     
-    console.log(`[API] ✅ ${newMedia.length} media file(s) uploaded to Episode ${episodeIndex}`);
-    newMedia.forEach(m => console.log(`[API]    - ${m.type}: ${m.url}`));
+    series.episodeCount = series.episodes.length;
+    saveSeries(series, userEdit(req, 'Add episode'));
     
-    res.json({
-        success: true,
-        files: newMedia
-    });
+    res.json({ success: true, episode });
 });
 
-// POST /api/series/:seriesId/upload/music/:episodeIndex - Upload episode background music
-router.post('/series/:seriesId/upload/music/:episodeIndex', uploadMusic.single('music'), async (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
+// POST /api/series/:seriesId/episodes/reorder - Reorder episodes
+router.post('/series/:seriesId/episodes/reorder', (req, res) => {
+    const { episodeIds } = req.body;
     
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+    if (!Array.isArray(episodeIds)) {
+        return res.status(400).json({ error: 'episodeIds must be an array' });
     }
     
-    const data = getData();
-    const series = data.series.find(s => s.id === req.params.seriesId);
+    const series = getSeries(req.params.seriesId);
     
     if (!series) {
         return res.status(404).json({ error: 'Series not found' });
     }
     
-    if (episodeIndex >= series.episodes.length) {
-        return res.status(400).json({ error: 'Invalid episode index' });
-    }
-    
-    // Delete old music from S3 if exists
-    if (series.episodes[episodeIndex].music) {
-        const oldKey = getKeyFromUrl(series.episodes[episodeIndex].music);
-        if (oldKey) await deleteFromS3(oldKey);
-    }
-    
-    // Store full S3 URL
-    const s3Url = getS3Url(req.file.key);
-    series.episodes[episodeIndex].music = s3Url;
-    series.episodes[episodeIndex].musicOriginalName = req.file.originalname;
-    saveData(data);
+    series.episodes = reorderByIds(series.episodes, episodeIds);
+    saveSeries(series, userEdit(req, 'Reorder episodes'));
     
-    console.log(`[API] ✅ Music uploaded to Episode ${episodeIndex}`);
-    console.log(`[API]    Original: ${req.file.originalname}`);
-    console.log(`[API]    S3 URL: ${s3Url}`);
-    
-    res.json({
-        success: true,
-        filename: req.file.key,
-        originalName: req.file.originalname,
-        url: s3Url
-    });
+    res.json({ success: true, episodes: series.episodes });
 });
 
-// DELETE /api/series/:seriesId/music/:episodeIndex - Delete episode music
-router.delete('/series/:seriesId/music/:episodeIndex', async (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
+// GET /api/series/:seriesId/episodes/:episodeId - Get a single episode
+// ?view=summary for counts and a preview instead of every media item. Responses carry an ETag.
+router.get('/series/:seriesId/episodes/:episodeId', (req, res) => {
+    const { view = 'full' } = req.query;
+    if (!VIEWS.includes(view)) {
+        return res.status(400).json({ error: `view must be one of: ${VIEWS.join(', ')}` });
+    }
+    if (sendNotModified(req, res, `${req.params.seriesId}:${getSeriesVersion(req.params.seriesId)}`)) return;
     
-    const data = getData();
-    const series = data.series.find(s => s.id === req.params.seriesId);
+    const series = getSeries(req.params.seriesId);
     
     if (!series) {
         return res.status(404).json({ error: 'Series not found' });
     }
     
-    if (episodeIndex >= series.episodes.length) {
-        return res.status(400).json({ error: 'Invalid episode index' });
-    }
-    
-    const episode = series.episodes[episodeIndex];
-    
-    if (episode.music) {
-        const key = getKeyFromUrl(episode.music);
-        if (key) await deleteFromS3(key);
-        episode.music = null;
-        episode.musicOriginalName = null;
-        saveData(data);
+    const episode = series.episodes.find(e => e.id === req.params.episodeId);
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
     }
     
-    res.json({ success: true });
+    res.json(view === 'summary' ? summarizeEpisode(episode) : episode);
 });
 
-// DELETE /api/series/:seriesId/media/:episodeIndex/:mediaId - Delete a media file
-router.delete('/series/:seriesId/media/:episodeIndex/:mediaId', async (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
-    const mediaId = req.params.mediaId;
-    
-    const data = getData();
-    const series = data.series.find(s => s.id === req.params.seriesId);
-    
-    if (!series) {
-        return res.status(404).json({ error: 'Series not found' });
-    }
-    
-    if (episodeIndex >= series.episodes.length) {
-        return res.status(400).json({ error: 'Invalid episode index' });
+// GET /api/series/:seriesId/episodes/:episodeId/media - List an episode's media a page at a time
+// Query: limit (default 50), offset. Responses carry an ETag.
+router.get('/series/:seriesId/episodes/:episodeId/media', (req, res) => {
+    const page = parsePagination(req.query, 50);
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
     }
+    if (sendNotModified(req, res, `${req.params.seriesId}:${getSeriesVersion(req.params.seriesId)}`)) return;
     
-    const episode = series.episodes[episodeIndex];
-    const mediaIndex = episode.media.findIndex(m => m.id === mediaId);
-    
-    if (mediaIndex === -1) {
-        return res.status(404).json({ error: 'Media not found' });
+    const series = getSeries(req.params.seriesId);
+    const episode = series.episodes.find(e => e.id === req.params.episodeId);
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
     }
     
-    // Delete file from S3
-    const mediaFile = episode.media[mediaIndex];
-    const key = getKeyFromUrl(mediaFile.url);
-    if (key) await deleteFromS3(key);
-    
-    // Remove from data
-    episode.media.splice(mediaIndex, 1);
-    saveData(data);
-    
-    res.json({ success: true });
+    res.json({
+        total: episode.media.length,
+        limit: page.limit,
+        offset: page.offset,
+        media: episode.media.slice(page.offset, page.offset + page.limit)
+    });
 });
 
-// POST /api/series/:seriesId/media/:episodeIndex/reorder - Reorder media items
-router.post('/series/:seriesId/media/:episodeIndex/reorder', (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
-    const { mediaIds } = req.body;
+// PATCH /api/series/:seriesId/episodes/:episodeId - Update episode fields (title, synopsis, airDate)
+router.patch('/series/:seriesId/episodes/:episodeId', (req, res) => {
+    const { title } = req.body;
     
-    if (!Array.isArray(mediaIds)) {
-        return res.status(400).json({ error: 'mediaIds must be an array' });
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+        return res.status(400).json({ error: 'title must be a non-empty string' });
     }
     
-    const data = getData();
-    const series = data.series.find(s => s.id === req.params.seriesId);
+    const series = getSeries(req.params.seriesId);
     
     if (!series) {
         return res.status(404).json({ error: 'Series not found' });
     }
     
-    if (episodeIndex >= series.episodes.length) {
-        return res.status(400).json({ error: 'Invalid episode index' });
+    const episode = series.episodes.find(e => e.id === req.params.episodeId);
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
     }
     
-    const episode = series.episodes[episodeIndex];
-    
-    // Create a map of existing media by ID
-    const mediaMap = new Map();
-    episode.media.forEach(m => mediaMap.set(m.id, m));
-    
-    // Reorder based on provided IDs
-    const reorderedMedia = [];
-    mediaIds.forEach(id => {
-        if (mediaMap.has(id)) {
-            reorderedMedia.push(mediaMap.get(id));
-            mediaMap.delete(id);
-        }
-    });
-    
-    // Add any remaining media that wasn't in the list (safety)
-    mediaMap.forEach(m => reorderedMedia.push(m));
+    const { metadata, error } = parseEpisodeMetadata(episode, req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
     
-    episode.media = reorderedMedia;
-    saveData(data);
+    if (title !== undefined) episode.title = title.trim();
+    Object.assign(episode, metadata);
+    saveSeries(series, userEdit(req, 'Update episode'));
     
-    res.json({ success: true, media: reorderedMedia });
-});
-
-// ============================================
-// LEGACY ROUTES (for backward compatibility during migration)
-// ============================================
-
-// GET /api/show - Get first series (legacy)
-router.get('/show', (req, res) => {
-    const data = getData();
-    if (data.series.length > 0) {
-        const series = data.series[0];
-        res.json({
-            showTitle: series.title,
-            episodeCount: series.episodeCount,
-            episodes: series.episodes
-        });
-    } else {
-        res.json({
-            showTitle: 'The Story of My Life',
-            episodeCount: 1,
-            episodes: [{ title: 'Episode 1', thumbnail: null, media: [] }]
-        });
-    }
+    res.json({ success: true, episode });
 });
 
-// POST /api/show - Legacy save (creates/updates first series)
-router.post('/show', (req, res) => {
+// DELETE /api/series/:seriesId/episodes/:episodeId - Move an episode to the trash
+router.delete('/series/:seriesId/episodes/:episodeId', (req, res) => {
     try {
-        const { showTitle, episodeCount, episodes } = req.body;
-        const data = getData();
+        const series = getSeries(req.params.seriesId);
         
-        if (data.series.length === 0) {
-            // Create new series
-            const newSeries = {
-                id: uuidv4(),
-                title: showTitle || 'The Story of My Life',
-                description: '',
-                thumbnail: null,
-                createdAt: new Date().toISOString(),
-                episodeCount: episodeCount || 1,
-                episodes: episodes || []
-            };
-            
-            while (newSeries.episodes.length < newSeries.episodeCount) {
-                newSeries.episodes.push({
-                    title: `Episode ${newSeries.episodes.length + 1}`,
-                    thumbnail: null,
-                    media: []
-                });
-            }
-            
-            data.series.push(newSeries);
-        } else {
-            // Update first series
-            const series = data.series[0];
-            series.title = showTitle || series.title;
-            series.episodeCount = episodeCount || series.episodeCount;
-            series.episodes = episodes || series.episodes;
-            
-            while (series.episodes.length < series.episodeCount) {
-                series.episodes.push({
-                    title: `Episode ${series.episodes.length + 1}`,
-                    thumbnail: null,
-                    media: []
-                });
-            }
-            
-            series.episodes = series.episodes.slice(0, series.episodeCount);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
         }
         
-        saveData(data);
-        const series = data.series[0];
-        res.json({ success: true, data: { showTitle: series.title, episodeCount: series.episodeCount, episodes: series.episodes } });
+        const episodeIndex = series.episodes.findIndex(e => e.id === req.params.episodeId);
+        if (episodeIndex === -1) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+        
+        const [episode] = series.episodes.splice(episodeIndex, 1);
+        series.episodeCount = series.episodes.length;
+        const [trashItem] = moveToTrash(series, [episodeTrashEntry(req.user.id, episode, episodeIndex)], userEdit(req, 'Delete episode'));
+        
+        res.json({ success: true, trashId: trashItem.id });
     } catch (error) {
-        console.error('Error saving show data:', error);
+        console.error('Error deleting episode:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Legacy upload routes - now use S3
-router.post('/upload/thumbnail/:episodeIndex', uploadThumbnail.single('thumbnail'), async (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
-    
+// POST /api/series/:seriesId/upload/thumbnail/:episodeIndex - Upload episode thumbnail
+router.post('/series/:seriesId/upload/thumbnail/:episodeIndex', uploadThumbnail.single('thumbnail'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const data = getData();
-    if (data.series.length === 0) {
-        return res.status(400).json({ error: 'No series found' });
+    const series = getSeries(req.params.seriesId);
+    
+    if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
     }
     
-    const series = data.series[0];
-    if (episodeIndex >= series.episodes.length) {
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
         return res.status(400).json({ error: 'Invalid episode index' });
     }
     
-    // Delete old thumbnail from S3 if it's an S3 URL
-    if (series.episodes[episodeIndex].thumbnail) {
-        const oldKey = getKeyFromUrl(series.episodes[episodeIndex].thumbnail);
-        if (oldKey) await deleteFromS3(oldKey);
-    }
+    const oldThumbnail = episode.thumbnail;
     
-    const s3Url = getS3Url(req.file.key);
-    series.episodes[episodeIndex].thumbnail = s3Url;
-    saveData(data);
+    // Store full file URL
+    const fileUrl = getFileUrl(req.file.key);
+    episode.thumbnail = fileUrl;
+    
+    // The old thumbnail stays restorable in the trash until it is purged
+    const trashEntries = oldThumbnail ? [imageTrashEntry(req.user.id, 'thumbnail', oldThumbnail, episode)] : [];
+    moveToTrash(series, trashEntries, userEdit(req, 'Upload episode thumbnail'));
+    
+    console.log(`[API] ✅ episode ${episode.id} thumbnail uploaded successfully`);
+    console.log(`[API]    URL: ${fileUrl}`);
     
     res.json({
         success: true,
         filename: req.file.key,
-        url: s3Url
+        url: fileUrl
     });
 });
 
-router.post('/upload/media/:episodeIndex', uploadMedia.array('media', 50), (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
-    
+// POST /api/series/:seriesId/upload/media/:episodeIndex - Upload episode media files
+router.post('/series/:seriesId/upload/media/:episodeIndex', uploadMedia.array('media', 50), (req, res) => {
     if (!req.files || req.files.length === 0) {
         return res.status(400).json({ error: 'No files uploaded' });
     }
     
-    const data = getData();
-    if (data.series.length === 0) {
-        return res.status(400).json({ error: 'No series found' });
+    const series = getSeries(req.params.seriesId);
+    
+    if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
     }
     
-    const series = data.series[0];
-    if (episodeIndex >= series.episodes.length) {
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
         return res.status(400).json({ error: 'Invalid episode index' });
     }
     
-    const newMedia = req.files.map(file => {
-        const isVideo = /mp4|webm|mov|avi|mkv/.test(path.extname(file.originalname).toLowerCase());
-        const s3Url = getS3Url(file.key);
-        return {
-            id: uuidv4(),
-            filename: file.key,
-            originalName: file.originalname,
-            type: isVideo ? 'video' : 'image',
-            url: s3Url
-        };
-    });
+    const newMedia = req.files.map(file => createMediaRecord(file.key, file.originalname, file.detectedType.kind));
     
-    series.episodes[episodeIndex].media.push(...newMedia);
-    saveData(data);
+    episode.media.push(...newMedia);
+    saveSeries(series, userEdit(req, 'Upload media'));
+    queueMediaProcessing(series.id, newMedia);
     
-    res.json({ success: true, files: newMedia });
+    console.log(`[API] ✅ ${newMedia.length} media file(s) uploaded to episode ${episode.id}`);
+    newMedia.forEach(m => console.log(`[API]    - ${m.type}: ${m.url}`));
+    
+    res.json({
+        success: true,
+        files: newMedia
+    });
 });
 
-router.post('/upload/music/:episodeIndex', uploadMusic.single('music'), async (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
-    
+// POST /api/series/:seriesId/upload/music/:episodeIndex - Add a music track to the end of the episode's playlist
+router.post('/series/:seriesId/upload/music/:episodeIndex', uploadMusic.single('music'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const data = getData();
-    if (data.series.length === 0) {
-        return res.status(400).json({ error: 'No series found' });
-    }
+    const series = getSeries(req.params.seriesId);
     
-    const series = data.series[0];
-    if (episodeIndex >= series.episodes.length) {
-        return res.status(400).json({ error: 'Invalid episode index' });
+    if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
     }
     
-    // Delete old music from S3 if it's an S3 URL
-    if (series.episodes[episodeIndex].music) {
-        const oldKey = getKeyFromUrl(series.episodes[episodeIndex].music);
-        if (oldKey) await deleteFromS3(oldKey);
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
     }
     
-    const s3Url = getS3Url(req.file.key);
-    series.episodes[episodeIndex].music = s3Url;
-    series.episodes[episodeIndex].musicOriginalName = req.file.originalname;
-    saveData(data);
+    const track = createMusicTrack(req.file.key, req.file.originalname);
+    episode.musicTracks.push(track);
+    saveSeries(series, userEdit(req, 'Upload music'));
+    queueMusicProcessing(series.id, [track]);
+    
+    console.log(`[API] ✅ Music track added to episode ${episode.id}`);
+    console.log(`[API]    Original: ${req.file.originalname}`);
+    console.log(`[API]    URL: ${track.url}`);
     
     res.json({
         success: true,
+        track,
         filename: req.file.key,
         originalName: req.file.originalname,
-        url: s3Url
+        url: track.url
     });
 });
 
-router.delete('/music/:episodeIndex', async (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
+// DELETE /api/series/:seriesId/music/:episodeIndex - Move all of an episode's music tracks to the trash
+router.delete('/series/:seriesId/music/:episodeIndex', (req, res) => {
+    const series = getSeries(req.params.seriesId);
     
-    const data = getData();
-    if (data.series.length === 0) {
-        return res.status(400).json({ error: 'No series found' });
+    if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
     }
     
-    const series = data.series[0];
-    if (episodeIndex >= series.episodes.length) {
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
         return res.status(400).json({ error: 'Invalid episode index' });
     }
     
-    const episode = series.episodes[episodeIndex];
+    const entries = episode.musicTracks.map((track, position) => musicTrashEntry(req.user.id, episode, track, position));
+    episode.musicTracks = [];
+    const trashItems = entries.length > 0 ? moveToTrash(series, entries, userEdit(req, 'Delete music')) : [];
     
-    if (episode.music) {
-        const key = getKeyFromUrl(episode.music);
-        if (key) await deleteFromS3(key);
-        episode.music = null;
-        episode.musicOriginalName = null;
-        saveData(data);
+    res.json({ success: true, trashIds: trashItems.map(item => item.id) });
+});
+
+// GET /api/series/:seriesId/music/:episodeIndex - The episode's music timeline
+// Returns the tracks with start/end times, how long the music runs and the
+// expected length of the episode's render, so clients can fit one to the other
+router.get('/series/:seriesId/music/:episodeIndex', (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
     }
     
-    res.json({ success: true });
+    const tracks = musicTimeline(episode.musicTracks);
+    const musicDuration = tracks.some(track => track.end === null)
+        ? null
+        : Math.max(0, ...tracks.map(track => track.end));
+    
+    res.json({
+        tracks,
+        musicDuration,
+        episodeDuration: estimateEpisodeDuration(episode)
+    });
+});
+
+// POST /api/series/:seriesId/music/:episodeIndex/reorder - Reorder music tracks
+router.post('/series/:seriesId/music/:episodeIndex/reorder', (req, res) => {
+    const { trackIds } = req.body;
+    
+    if (!Array.isArray(trackIds)) {
+        return res.status(400).json({ error: 'trackIds must be an array' });
+    }
+    
+    const series = getSeries(req.params.seriesId);
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    episode.musicTracks = reorderByIds(episode.musicTracks, trackIds);
+    saveSeries(series, userEdit(req, 'Reorder music'));
+    
+    res.json({ success: true, musicTracks: episode.musicTracks });
+});
+
+// PATCH /api/series/:seriesId/music/:episodeIndex/:trackId - Update a music track's settings
+// Fields: startOffset (seconds into the episode, null to follow the previous track), fadeIn, fadeOut, volume
+router.patch('/series/:seriesId/music/:episodeIndex/:trackId', (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    const track = episode.musicTracks.find(t => t.id === req.params.trackId);
+    if (!track) {
+        return res.status(404).json({ error: 'Music track not found' });
+    }
+    
+    const { settings, error } = parseTrackSettings(track, req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    Object.assign(track, settings);
+    saveSeries(series, userEdit(req, 'Update music track'));
+    
+    res.json({ success: true, track });
+});
+
+// DELETE /api/series/:seriesId/music/:episodeIndex/:trackId - Move a music track to the trash
+router.delete('/series/:seriesId/music/:episodeIndex/:trackId', (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    const position = episode.musicTracks.findIndex(t => t.id === req.params.trackId);
+    if (position === -1) {
+        return res.status(404).json({ error: 'Music track not found' });
+    }
+    
+    // The file stays in storage until the trash is purged
+    const [track] = episode.musicTracks.splice(position, 1);
+    const [trashItem] = moveToTrash(series, [musicTrashEntry(req.user.id, episode, track, position)], userEdit(req, 'Delete music'));
+    
+    res.json({ success: true, trashId: trashItem.id });
 });
 
-router.delete('/media/:episodeIndex/:mediaId', async (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
+// DELETE /api/series/:seriesId/media/:episodeIndex/:mediaId - Delete a media file
+router.delete('/series/:seriesId/media/:episodeIndex/:mediaId', (req, res) => {
     const mediaId = req.params.mediaId;
     
-    const data = getData();
-    if (data.series.length === 0) {
-        return res.status(400).json({ error: 'No series found' });
+    const series = getSeries(req.params.seriesId);
+    
+    if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
     }
     
-    const series = data.series[0];
-    if (episodeIndex >= series.episodes.length) {
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
         return res.status(400).json({ error: 'Invalid episode index' });
     }
     
-    const episode = series.episodes[episodeIndex];
     const mediaIndex = episode.media.findIndex(m => m.id === mediaId);
     
     if (mediaIndex === -1) {
         return res.status(404).json({ error: 'Media not found' });
     }
     
-    const mediaFile = episode.media[mediaIndex];
-    const key = getKeyFromUrl(mediaFile.url);
-    if (key) await deleteFromS3(key);
+    // Files stay in storage until the trash is purged
+    const [mediaFile] = episode.media.splice(mediaIndex, 1);
+    const [trashItem] = moveToTrash(series, [mediaTrashEntry(req.user.id, episode, mediaFile, mediaIndex)], userEdit(req, 'Delete media'));
     
-    episode.media.splice(mediaIndex, 1);
-    saveData(data);
+    res.json({ success: true, trashId: trashItem.id });
+});
+
+// GET /api/series/:seriesId/processing - Media still being processed or that failed
+router.get('/series/:seriesId/processing', (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    
+    const items = [];
+    series.episodes.forEach(episode => {
+        episode.media
+            .filter(m => m.status !== 'ready')
+            .forEach(m => items.push({
+                episodeId: episode.id,
+                mediaId: m.id,
+                originalName: m.originalName,
+                status: m.status,
+                error: m.statusError
+            }));
+    });
     
-    res.json({ success: true });
+    res.json(items);
 });
 
-router.post('/media/:episodeIndex/reorder', (req, res) => {
-    const episodeIndex = parseInt(req.params.episodeIndex);
-    const { mediaIds } = req.body;
+// GET /api/series/:seriesId/media/:episodeIndex/:mediaId - Get a media item (including processing status)
+router.get('/series/:seriesId/media/:episodeIndex/:mediaId', (req, res) => {
+    const series = getSeries(req.params.seriesId);
     
-    if (!Array.isArray(mediaIds)) {
-        return res.status(400).json({ error: 'mediaIds must be an array' });
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
     }
     
-    const data = getData();
-    if (data.series.length === 0) {
-        return res.status(400).json({ error: 'No series found' });
+    const media = episode.media.find(m => m.id === req.params.mediaId);
+    if (!media) {
+        return res.status(404).json({ error: 'Media not found' });
+    }
+    
+    res.json(media);
+});
+
+// PATCH /api/series/:seriesId/media/:episodeIndex/:mediaId - Update a media item's settings
+// Fields: caption, duration (images), trimStart/trimEnd (videos), kenBurns (images), transition; null clears one
+router.patch('/series/:seriesId/media/:episodeIndex/:mediaId', (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    const media = episode.media.find(m => m.id === req.params.mediaId);
+    if (!media) {
+        return res.status(404).json({ error: 'Media not found' });
     }
     
-    const series = data.series[0];
-    if (episodeIndex >= series.episodes.length) {
+    const { settings, error } = parseMediaSettings(media, req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    Object.assign(media, settings);
+    saveSeries(series, userEdit(req, 'Update media'));
+    
+    res.json({ success: true, media });
+});
+
+// POST /api/series/:seriesId/media/:episodeIndex/:mediaId/retry - Retry a failed transcode
+router.post('/series/:seriesId/media/:episodeIndex/:mediaId/retry', (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
         return res.status(400).json({ error: 'Invalid episode index' });
     }
     
-    const episode = series.episodes[episodeIndex];
+    const media = episode.media.find(m => m.id === req.params.mediaId);
+    if (!media) {
+        return res.status(404).json({ error: 'Media not found' });
+    }
+    
+    if (media.status !== 'failed') {
+        return res.status(409).json({ error: `Media is ${media.status}, only failed media can be retried` });
+    }
     
-    const mediaMap = new Map();
-    episode.media.forEach(m => mediaMap.set(m.id, m));
+    // Only processing fields change, which revisions never roll back, so like
+    // the transcode job itself this saves without recording a revision
+    media.status = 'pending';
+    media.statusError = null;
+    saveSeries(series);
+    queueTranscode(series.id, media.id);
     
-    const reorderedMedia = [];
-    mediaIds.forEach(id => {
-        if (mediaMap.has(id)) {
-            reorderedMedia.push(mediaMap.get(id));
-            mediaMap.delete(id);
-        }
-    });
+    res.json({ success: true, media });
+});
+
+// POST /api/series/:seriesId/media/:episodeIndex/reorder - Reorder media items
+// Send { mediaIds } for a manual order, or { sortBy: 'capturedAt', order: 'asc'|'desc' }
+// to arrange by capture date (items without one go last)
+router.post('/series/:seriesId/media/:episodeIndex/reorder', (req, res) => {
+    const { mediaIds, sortBy, order } = req.body;
+    
+    if (sortBy !== undefined && sortBy !== 'capturedAt') {
+        return res.status(400).json({ error: 'sortBy must be "capturedAt"' });
+    }
+    if (order !== undefined && order !== 'asc' && order !== 'desc') {
+        return res.status(400).json({ error: 'order must be "asc" or "desc"' });
+    }
+    if (!sortBy && !Array.isArray(mediaIds)) {
+        return res.status(400).json({ error: 'mediaIds must be an array' });
+    }
+    
+    const series = getSeries(req.params.seriesId);
+    
+    if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
+    }
     
-    mediaMap.forEach(m => reorderedMedia.push(m));
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
     
+    const reorderedMedia = sortBy
+        ? sortByCaptureDate(episode.media, order === 'desc')
+        : reorderByIds(episode.media, mediaIds);
     episode.media = reorderedMedia;
-    saveData(data);
+    saveSeries(series, userEdit(req, 'Reorder media'));
     
     res.json({ success: true, media: reorderedMedia });
 });
 
+// ============================================
+// AUTO-SPLIT INTO EPISODES
+// ============================================
+
+// Helper: Validate auto-split options (form fields arrive as strings)
+function parseGroupingOptions(body) {
+    const groupBy = body.groupBy || 'gap';
+    if (!GROUP_BY.includes(groupBy)) {
+        return { error: `groupBy must be one of: ${GROUP_BY.join(', ')}` };
+    }
+    
+    const options = { groupBy };
+    for (const name of ['gapHours', 'radiusKm']) {
+        if (body[name] === undefined || body[name] === '') continue;
+        const value = Number(body[name]);
+        if (!(value > 0)) {
+            return { error: `${name} must be a positive number` };
+        }
+        options[name] = value;
+    }
+    
+    options.removeEmptyEpisodes = body.removeEmptyEpisodes === true || body.removeEmptyEpisodes === 'true';
+    return options;
+}
+
+// POST /api/series/:seriesId/auto-split - Group a batch of media into new episodes
+// Upload files as "media" (multipart) and/or pass mediaIds of media already in the series
+// (e.g. finished direct uploads) to move them. Options: groupBy (gap|month|year|location),
+// gapHours, radiusKm, and removeEmptyEpisodes to drop the series' empty placeholder episodes.
+router.post('/series/:seriesId/auto-split', uploadMedia.array('media', 500), async (req, res) => {
+    const uploadedFiles = req.files || [];
+    const discardUploads = () => Promise.all(uploadedFiles.map(file => deleteFile(file.key)));
+    let saved = false;
+    
+    try {
+        const options = parseGroupingOptions(req.body);
+        const mediaIds = [].concat(req.body.mediaIds || []);
+        
+        if (options.error) {
+            await discardUploads();
+            return res.status(400).json({ error: options.error });
+        }
+        if (uploadedFiles.length === 0 && mediaIds.length === 0) {
+            return res.status(400).json({ error: 'Upload media files or pass mediaIds' });
+        }
+        
+        // Grouping needs capture dates and locations now, not after the background job
+        const newMedia = [];
+        for (const file of uploadedFiles) {
+            const media = createMediaRecord(file.key, file.originalname, file.detectedType.kind);
+            try {
+                media.metadata = await readStoredMetadata(file.key, media.type);
+            } catch (error) {
+                console.error(`[API] Could not read metadata of ${file.originalname}:`, error.message);
+            }
+            newMedia.push(media);
+        }
+        
+        // Read the series only after the awaits so no concurrent change is lost
+        const series = getSeries(req.params.seriesId);
+        if (!series) {
+            await discardUploads(); // deleted while the metadata was read
+            return res.status(404).json({ error: 'Series not found' });
+        }
+        
+        const movedMedia = [];
+        for (const mediaId of mediaIds) {
+            const episode = series.episodes.find(e => e.media.some(m => m.id === mediaId));
+            if (!episode) {
+                await discardUploads();
+                return res.status(400).json({ error: `Media ${mediaId} not found in this series` });
+            }
+            const index = episode.media.findIndex(m => m.id === mediaId);
+            movedMedia.push(...episode.media.splice(index, 1));
+        }
+        
+        const episodes = groupMedia([...movedMedia, ...newMedia], options).map(group => {
+            const episode = createEpisode(group.title);
+            episode.media = group.media;
+            return episode;
+        });
+        
+        if (options.removeEmptyEpisodes) {
+            series.episodes = series.episodes.filter(e => e.media.length > 0 || e.thumbnail || e.musicTracks.length > 0);
+        }
+        series.episodes.push(...episodes);
+        series.episodeCount = series.episodes.length;
+        saveSeries(series, userEdit(req, 'Auto-split media into episodes'));
+        saved = true;
+        queueMediaProcessing(series.id, newMedia);
+        
+        console.log(`[API] ✅ Split ${movedMedia.length + newMedia.length} media item(s) into ${episodes.length} episode(s) by ${options.groupBy}`);
+        
+        res.json({ success: true, episodes });
+    } catch (error) {
+        console.error('Error auto-splitting media:', error);
+        // Once saved, the uploads are the series' media
+        if (!saved) await discardUploads();
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// DIRECT UPLOAD ROUTES (presigned, client -> storage)
+// ============================================
+
+// Large files are uploaded in parts; S3 allows at most 10,000 parts of >= 5 MB
+const MAX_DIRECT_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
+const MULTIPART_THRESHOLD = 100 * 1024 * 1024;
+const MIN_PART_SIZE = 10 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+// Helper: Presigned URLs for every part of a multipart upload not in skipPartNumbers
+async function presignMissingParts(upload, skipPartNumbers = new Set()) {
+    const partCount = Math.ceil(upload.size / upload.partSize);
+    const parts = [];
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+        if (skipPartNumbers.has(partNumber)) continue;
+        parts.push({ partNumber, url: await directUploads.presignPart(upload.key, upload.multipartUploadId, partNumber) });
+    }
+    return parts;
+}
+
+// Helper: Whether a client's list of parts ({ partNumber, etag }) names exactly the uploaded parts
+function sameParts(parts, uploadedParts) {
+    const etag = value => value.replace(/"/g, '');
+    const uploaded = new Map(uploadedParts.map(p => [p.partNumber, etag(p.etag)]));
+    return parts.length === uploaded.size && parts.every(p => uploaded.get(p.partNumber) === etag(p.etag));
+}
+
+// Helper: Check the parts storage has received for a multipart upload are parts
+// 1 to N of the announced size, adding up to it. Returns an error or null.
+function checkUploadedParts(upload, uploadedParts) {
+    const partCount = Math.ceil(upload.size / upload.partSize);
+    const receivedBytes = uploadedParts.reduce((total, p) => total + p.size, 0);
+    
+    if (uploadedParts.length < partCount || receivedBytes < upload.size) {
+        return `Upload incomplete: ${receivedBytes} of ${upload.size} bytes received`;
+    }
+    const numbered = uploadedParts.every(p => p.partNumber >= 1 && p.partNumber <= partCount);
+    if (!numbered || uploadedParts.length !== partCount || receivedBytes !== upload.size) {
+        return `Uploaded parts do not add up to the ${upload.size} bytes announced`;
+    }
+    return null;
+}
+
+// Helper: Sniff the type of a file already in storage from its first bytes
+async function detectStoredFileType(key) {
+    const stream = await getObjectStream(key);
+    try {
+        const { head } = await peekStream(stream);
+        return detectFileType(head);
+    } finally {
+        stream.destroy();
+    }
+}
+
+// POST /api/series/:seriesId/upload/media/:episodeIndex/presign - Get presigned upload URL(s)
+// Pass resumable: true to always use a multipart upload that can be resumed via GET /uploads/:uploadId
+router.post('/series/:seriesId/upload/media/:episodeIndex/presign', async (req, res) => {
+    try {
+        if (!directUploads) {
+            return res.status(501).json({ error: 'Direct uploads require the S3 storage driver' });
+        }
+        
+        const { filename, contentType, size, resumable } = req.body;
+        
+        // The content itself is checked when the upload is completed
+        if (typeof filename !== 'string' || !filename) {
+            return res.status(400).json({ error: 'filename is required' });
+        }
+        if (!Number.isInteger(size) || size <= 0 || size > MAX_DIRECT_UPLOAD_SIZE) {
+            return res.status(400).json({ error: `size must be between 1 and ${MAX_DIRECT_UPLOAD_SIZE} bytes` });
+        }
+        
+        const series = getSeries(req.params.seriesId);
+        const episode = findEpisode(series, req.params.episodeIndex);
+        if (!episode) {
+            return res.status(400).json({ error: 'Invalid episode index' });
+        }
+        
+        const key = createKey('media', filename);
+        const type = typeof contentType === 'string' && contentType ? contentType : 'application/octet-stream';
+        
+        // Small files: a single PUT
+        if (size <= MULTIPART_THRESHOLD && !resumable) {
+            const url = await directUploads.presignPut(key, type);
+            const upload = createPendingUpload({
+                seriesId: series.id,
+                episodeId: episode.id,
+                key,
+                originalName: filename,
+                contentType: type,
+                size,
+                createdBy: req.user.id
+            });
+            
+            return res.json({
+                success: true,
+                uploadId: upload.id,
+                key,
+                multipart: false,
+                url,
+                headers: { 'Content-Type': type }
+            });
+        }
+        
+        // Large or resumable files: multipart, one presigned URL per part
+        const partSize = Math.max(MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+        const multipartUploadId = await directUploads.createMultipartUpload(key, type);
+        const upload = createPendingUpload({
+            seriesId: series.id,
+            episodeId: episode.id,
+            key,
+            originalName: filename,
+            contentType: type,
+            size,
+            multipartUploadId,
+            partSize,
+            createdBy: req.user.id
+        });
+        
+        res.json({
+            success: true,
+            uploadId: upload.id,
+            key,
+            multipart: true,
+            partSize,
+            parts: await presignMissingParts(upload)
+        });
+    } catch (error) {
+        console.error('Error presigning upload:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/series/:seriesId/uploads/:uploadId - Resume a multipart upload
+// Reports what storage has received and returns fresh URLs for the missing parts
+router.get('/series/:seriesId/uploads/:uploadId', async (req, res) => {
+    try {
+        const upload = getPendingUpload(req.params.seriesId, req.params.uploadId);
+        
+        if (!upload) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        
+        if (!upload.multipartUploadId) {
+            const stored = await headObject(upload.key);
+            return res.json({
+                uploadId: upload.id,
+                key: upload.key,
+                multipart: false,
+                size: upload.size,
+                receivedBytes: stored ? stored.size : 0
+            });
+        }
+        
+        const uploadedParts = await directUploads.listParts(upload.key, upload.multipartUploadId);
+        
+        res.json({
+            uploadId: upload.id,
+            key: upload.key,
+            multipart: true,
+            size: upload.size,
+            partSize: upload.partSize,
+            receivedBytes: uploadedParts.reduce((total, p) => total + p.size, 0),
+            uploadedParts,
+            parts: await presignMissingParts(upload, new Set(uploadedParts.map(p => p.partNumber)))
+        });
+    } catch (error) {
+        console.error('Error getting upload status:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/uploads/:uploadId/complete - Register a finished direct upload as media
+// Multipart uploads are assembled from the parts storage has received; parts
+// ({ partNumber, etag }), if sent, must list exactly those
+router.post('/series/:seriesId/uploads/:uploadId/complete', async (req, res) => {
+    try {
+        const upload = getPendingUpload(req.params.seriesId, req.params.uploadId);
+        
+        if (!upload) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        
+        if (upload.multipartUploadId) {
+            // What storage has received is what gets assembled; a client's list must match it
+            const uploadedParts = await directUploads.listParts(upload.key, upload.multipartUploadId);
+            const { parts } = req.body;
+            
+            if (parts !== undefined) {
+                if (!Array.isArray(parts) || !parts.every(p => p && Number.isInteger(p.partNumber) && typeof p.etag === 'string')) {
+                    return res.status(400).json({ error: 'parts must be an array of { partNumber, etag }' });
+                }
+                if (!sameParts(parts, uploadedParts)) {
+                    return res.status(400).json({ error: 'parts do not match the parts storage has received' });
+                }
+            }
+            
+            const partsError = checkUploadedParts(upload, uploadedParts);
+            if (partsError) {
+                return res.status(400).json({ error: partsError });
+            }
+            
+            await directUploads.completeMultipartUpload(upload.key, upload.multipartUploadId, uploadedParts);
+        }
+        
+        const stored = await headObject(upload.key);
+        if (!stored) {
+            return res.status(400).json({ error: 'Uploaded file not found in storage' });
+        }
+        // The presign route only allowed the announced size (at most MAX_DIRECT_UPLOAD_SIZE)
+        if (stored.size !== upload.size) {
+            await deleteFile(upload.key);
+            deletePendingUpload(upload.id);
+            return res.status(400).json({ error: `Uploaded file is ${stored.size} bytes, not the ${upload.size} announced` });
+        }
+        
+        const detected = await detectStoredFileType(upload.key);
+        if (!detected || !MEDIA_TYPES.includes(detected.ext)) {
+            await deleteFile(upload.key);
+            deletePendingUpload(upload.id);
+            const error = unsupportedFileTypeError(upload.originalName, detected, MEDIA_TYPES);
+            return res.status(415).json({ error: error.message, allowedTypes: MEDIA_TYPES });
+        }
+        
+        // Another request may have completed this upload while we were waiting
+        if (!getPendingUpload(req.params.seriesId, upload.id)) {
+            return res.status(409).json({ error: 'Upload already completed' });
+        }
+        
+        const series = getSeries(req.params.seriesId);
+        const episode = series.episodes.find(e => e.id === upload.episodeId);
+        if (!episode) {
+            await deleteFile(upload.key);
+            deletePendingUpload(upload.id);
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+        
+        const media = createMediaRecord(upload.key, upload.originalName, detected.kind);
+        episode.media.push(media);
+        saveSeries(series, userEdit(req, 'Upload media'));
+        deletePendingUpload(upload.id);
+        queueMediaProcessing(series.id, [media]);
+        
+        console.log(`[API] ✅ Direct upload completed for episode ${episode.id}`);
+        console.log(`[API]    - ${media.type}: ${media.url}`);
+        
+        res.json({
+            success: true,
+            files: [media]
+        });
+    } catch (error) {
+        console.error('Error completing upload:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/series/:seriesId/uploads/:uploadId - Abort a direct upload
+router.delete('/series/:seriesId/uploads/:uploadId', async (req, res) => {
+    const upload = getPendingUpload(req.params.seriesId, req.params.uploadId);
+    
+    if (!upload) {
+        return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    if (upload.multipartUploadId) {
+        await directUploads.abortMultipartUpload(upload.key, upload.multipartUploadId);
+    } else {
+        await deleteFile(upload.key);
+    }
+    deletePendingUpload(upload.id);
+    
+    res.json({ success: true });
+});
+
+// ============================================
+// SHARE LINK ROUTES
+// ============================================
+
+// Wrong passcodes also lock a link for a while (see services/passcodeAttempts.js)
+const MIN_PASSCODE_LENGTH = 6;
+
+// POST /api/series/:seriesId/shares - Create a read-only share link
+router.post('/series/:seriesId/shares', async (req, res) => {
+    try {
+        const { label, passcode, expiresAt } = req.body;
+        
+        if (passcode !== undefined && passcode !== null && (typeof passcode !== 'string' || passcode.length < MIN_PASSCODE_LENGTH)) {
+            return res.status(400).json({ error: `passcode must be at least ${MIN_PASSCODE_LENGTH} characters` });
+        }
+        
+        let expiry = null;
+        if (expiresAt !== undefined && expiresAt !== null) {
+            const date = new Date(expiresAt);
+            if (isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+                return res.status(400).json({ error: 'expiresAt must be a future date' });
+            }
+            expiry = date.toISOString();
+        }
+        
+        const share = createShare({
+            seriesId: req.params.seriesId,
+            label: typeof label === 'string' ? label.trim() : null,
+            passcodeHash: passcode ? await hashPassword(passcode) : null,
+            expiresAt: expiry,
+            createdBy: req.user.id
+        });
+        
+        res.json({ success: true, share });
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/series/:seriesId/shares - List share links
+router.get('/series/:seriesId/shares', (req, res) => {
+    res.json(listShares(req.params.seriesId));
+});
+
+// DELETE /api/series/:seriesId/shares/:shareId - Revoke a share link
+router.delete('/series/:seriesId/shares/:shareId', (req, res) => {
+    const share = getShare(req.params.seriesId, req.params.shareId);
+    
+    if (!share) {
+        return res.status(404).json({ error: 'Share link not found' });
+    }
+    
+    revokeShare(share.id);
+    res.json({ success: true });
+});
+
+// ============================================
+// RENDER ROUTES
+// ============================================
+
+// Renders turn an episode into a downloadable MP4 slideshow in the background;
+// poll GET /renders/:renderId until status is 'ready' (or 'failed').
+
+// Helper: Validate render options, filling in defaults
+function parseRenderOptions(body) {
+    const options = { ...DEFAULT_RENDER_OPTIONS, ...body };
+    
+    if (!RESOLUTIONS[options.resolution]) {
+        return { error: `resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}` };
+    }
+    if (!TRANSITIONS.includes(options.transition)) {
+        return { error: `transition must be one of: ${TRANSITIONS.join(', ')}` };
+    }
+    
+    const limits = {
+        imageDuration: [0.5, 60],
+        transitionDuration: [0, 5],
+        titleDuration: [0, 30],
+        musicVolume: [0, 2]
+    };
+    for (const [name, [min, max]] of Object.entries(limits)) {
+        const value = Number(options[name]);
+        if (!(value >= min && value <= max)) {
+            return { error: `${name} must be a number from ${min} to ${max}` };
+        }
+        options[name] = value;
+    }
+    
+    if (!options.durations || typeof options.durations !== 'object' || Array.isArray(options.durations)
+        || !Object.values(options.durations).every(value => typeof value === 'number' && value > 0)) {
+        return { error: 'durations must map media IDs to positive numbers of seconds' };
+    }
+    
+    return {
+        resolution: options.resolution,
+        transition: options.transition,
+        transitionDuration: options.transitionDuration,
+        imageDuration: options.imageDuration,
+        titleDuration: options.titleDuration,
+        musicVolume: options.musicVolume,
+        durations: options.durations
+    };
+}
+
+// Helper: Find a render of a series
+function findRender(seriesId, renderId) {
+    const render = getRender(renderId);
+    return render && render.seriesId === seriesId ? render : null;
+}
+
+// POST /api/series/:seriesId/episodes/:episodeId/render - Start rendering an episode
+// Options: resolution (720p|1080p), transition (none|fade|crossfade), transitionDuration,
+// imageDuration, titleDuration (0 for no title card), musicVolume, durations ({ mediaId: seconds })
+router.post('/series/:seriesId/episodes/:episodeId/render', (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    
+    const episode = series.episodes.find(e => e.id === req.params.episodeId);
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    if (episode.media.length === 0) {
+        return res.status(409).json({ error: 'The episode has no media to render' });
+    }
+    
+    const options = parseRenderOptions(req.body || {});
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+    
+    const render = createRender({ seriesId: series.id, episodeId: episode.id, options, createdBy: req.user.id });
+    queueRender(render.id);
+    
+    res.status(202).json({ success: true, render });
+});
+
+// GET /api/series/:seriesId/episodes/:episodeId/renders - List an episode's renders, newest first
+router.get('/series/:seriesId/episodes/:episodeId/renders', (req, res) => {
+    res.json(listEpisodeRenders(req.params.seriesId, req.params.episodeId));
+});
+
+// GET /api/series/:seriesId/renders/:renderId - Get a render (status, progress and URL)
+router.get('/series/:seriesId/renders/:renderId', (req, res) => {
+    const render = findRender(req.params.seriesId, req.params.renderId);
+    
+    if (!render) {
+        return res.status(404).json({ error: 'Render not found' });
+    }
+    
+    res.json(render);
+});
+
+// GET /api/series/:seriesId/renders/:renderId/download - Download a finished render
+router.get('/series/:seriesId/renders/:renderId/download', async (req, res) => {
+    const render = findRender(req.params.seriesId, req.params.renderId);
+    
+    if (!render) {
+        return res.status(404).json({ error: 'Render not found' });
+    }
+    if (render.status !== 'ready') {
+        return res.status(409).json({ error: `Render is ${render.status}` });
+    }
+    
+    try {
+        const series = getSeries(req.params.seriesId);
+        const episode = series.episodes.find(e => e.id === render.episodeId);
+        const stream = await getObjectStream(getKeyFromUrl(render.url));
+        
+        res.attachment(`${((episode && episode.title) || 'episode').replace(/[\\/]/g, '-')}.mp4`);
+        if (render.size) res.set('Content-Length', String(render.size));
+        stream.on('error', error => res.destroy(error));
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error downloading render:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/series/:seriesId/renders/:renderId - Delete a render and its file
+router.delete('/series/:seriesId/renders/:renderId', async (req, res) => {
+    try {
+        const render = findRender(req.params.seriesId, req.params.renderId);
+        
+        if (!render) {
+            return res.status(404).json({ error: 'Render not found' });
+        }
+        
+        // A render still in progress notices it was deleted and discards its output
+        await deleteRenders([render]);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting render:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// EXPORT / IMPORT ROUTES
+// ============================================
+
+// GET /api/series/:seriesId/export - Download the series and all its files as a zip
+router.get('/series/:seriesId/export', async (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    
+    try {
+        const archive = await prepareSeriesArchive(series);
+        
+        res.attachment(`${(series.title || 'series').replace(/[\\/]/g, '-')}.zip`);
+        await writeSeriesArchive(archive, res);
+        
+        console.log(`[API] ✅ Exported series ${series.id} (${archive.files.size} files)`);
+    } catch (error) {
+        console.error('Error exporting series:', error);
+        // Once the zip has started there is no way to report the error but to cut it short
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/import - Create a new series from an exported zip (multipart field "archive")
+router.post('/series/import', uploadArchive.single('archive'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    try {
+        const series = await importSeriesArchive(req.file.path, req.user.id);
+        series.episodes.forEach(episode => {
+            queueMediaProcessing(series.id, episode.media);
+            queueMusicProcessing(series.id, episode.musicTracks);
+        });
+        
+        console.log(`[API] ✅ Imported series ${series.id} from ${req.file.originalname}`);
+        res.json({ success: true, series });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error importing series:', error);
+        res.status(500).json({ error: error.message });
+    } finally {
+        removeTemp(req.file.path);
+    }
+});
+
+// ============================================
+// SEARCH ROUTES
+// ============================================
+
+const MAX_SEARCH_TERMS = 10;
+
+// Helper: Validate search query parameters
+function parseSearchQuery(query) {
+    // Repeated parameters (?kind=a&kind=b) arrive as arrays
+    const values = {};
+    for (const name of ['q', 'kind', 'mediaType', 'tag', 'tagType', 'seriesId', 'from', 'to', 'sort', 'order']) {
+        const value = query[name];
+        values[name] = Array.isArray(value) ? value.join(',') : value;
+    }
+    
+    const terms = (values.q || '').split(/\s+/).filter(Boolean);
+    if (terms.length > MAX_SEARCH_TERMS) {
+        return { error: `q can have at most ${MAX_SEARCH_TERMS} words` };
+    }
+    
+    const kinds = values.kind ? values.kind.split(',').map(kind => kind.trim()) : SEARCH_KINDS;
+    const unknownKind = kinds.find(kind => !SEARCH_KINDS.includes(kind));
+    if (unknownKind !== undefined) {
+        return { error: `kind must be one or more of: ${SEARCH_KINDS.join(', ')}` };
+    }
+    if (values.mediaType && !['image', 'video'].includes(values.mediaType)) {
+        return { error: 'mediaType must be image or video' };
+    }
+    if (values.tagType && !TAG_TYPES.includes(values.tagType)) {
+        return { error: `tagType must be one of: ${TAG_TYPES.join(', ')}` };
+    }
+    
+    for (const name of ['from', 'to']) {
+        const value = values[name];
+        const valid = !value || (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))
+            && new Date(value).toISOString().startsWith(value));
+        if (!valid) {
+            return { error: `${name} must be a date as YYYY-MM-DD` };
+        }
+    }
+    if (values.from && values.to && values.to < values.from) {
+        return { error: 'to must not be before from' };
+    }
+    
+    // Best matches first when searching for words, otherwise newest first
+    const sort = values.sort || (terms.length > 0 ? 'relevance' : 'date');
+    if (!SEARCH_SORTS.includes(sort)) {
+        return { error: `sort must be one of: ${SEARCH_SORTS.join(', ')}` };
+    }
+    if (sort === 'relevance' && terms.length === 0) {
+        return { error: 'sort=relevance needs words to search for (q)' };
+    }
+    const order = values.order || (sort === 'title' ? 'asc' : 'desc');
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'order must be asc or desc' };
+    }
+    
+    const page = parsePagination(query, 20);
+    if (page.error) return page;
+    
+    return {
+        filters: {
+            terms,
+            kinds,
+            mediaType: values.mediaType || null,
+            tag: values.tag ? { type: values.tagType || null, name: values.tag } : null,
+            seriesId: values.seriesId || null,
+            from: values.from || null,
+            to: values.to || null,
+            sort,
+            order,
+            ...page
+        }
+    };
+}
+
+// GET /api/search - Search the user's series, episodes and media
+// Query: q (words that must all appear), kind (series,episode,media), mediaType (image|video),
+// tag (media with this tag) and tagType (person|label), from/to (YYYY-MM-DD), seriesId,
+// sort (relevance|date|title), order (asc|desc), limit, offset
+router.get('/search', (req, res) => {
+    try {
+        const { filters, error } = parseSearchQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        if (filters.seriesId) {
+            const series = getSeries(filters.seriesId);
+            if (!series || series.ownerId !== req.user.id) {
+                return res.status(404).json({ error: 'Series not found' });
+            }
+        }
+        
+        const { total, results } = searchLibrary(req.user.id, filters);
+        res.json({ total, limit: filters.limit, offset: filters.offset, results });
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// TAG ROUTES
+// ============================================
+
+// Media items are tagged with people and labels (see services/mediaTags.js).
+// A tag's collection gathers its media from every series.
+
+// POST /api/series/:seriesId/tags - Add and remove tags on media items in bulk
+// Body: { mediaIds: [...], add: [{ type, name }], remove: [{ type, name }] } (plain strings are labels)
+router.post('/series/:seriesId/tags', (req, res) => {
+    try {
+        const { mediaIds, add = [], remove = [] } = req.body;
+        const series = getSeries(req.params.seriesId);
+        
+        if (!Array.isArray(mediaIds) || mediaIds.length === 0 || !mediaIds.every(id => typeof id === 'string')) {
+            return res.status(400).json({ error: 'mediaIds must be a non-empty array of media IDs' });
+        }
+        const mediaById = new Map(series.episodes.flatMap(e => e.media).map(m => [m.id, m]));
+        const unknown = mediaIds.filter(id => !mediaById.has(id));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Media not in this series: ${unknown.join(', ')}` });
+        }
+        
+        const added = parseTags(add);
+        const removed = parseTags(remove);
+        const error = added.error || removed.error;
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (added.tags.length === 0 && removed.tags.length === 0) {
+            return res.status(400).json({ error: 'Provide tags to add or remove' });
+        }
+        
+        // Check every item before changing any
+        const tagsToAdd = matchExistingSpelling(added.tags, listTags(req.user.id));
+        const updates = [];
+        for (const id of new Set(mediaIds)) {
+            const media = mediaById.get(id);
+            const result = applyTagChanges(media.tags, tagsToAdd, removed.tags);
+            if (result.error) {
+                return res.status(400).json({ error: `${media.originalName}: ${result.error}` });
+            }
+            updates.push([media, result.tags]);
+        }
+        
+        updates.forEach(([media, tags]) => {
+            media.tags = tags;
+        });
+        saveSeries(series, userEdit(req, 'Tag media'));
+        
+        console.log(`[API] ✅ Updated tags on ${updates.length} media items`);
+        res.json({ success: true, media: updates.map(([media]) => ({ id: media.id, tags: media.tags })) });
+    } catch (error) {
+        console.error('Error tagging media:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/tags - Every tag with how many media items and series have it (optionally ?type=)
+router.get('/tags', (req, res) => {
+    const { type } = req.query;
+    
+    if (type && !TAG_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${TAG_TYPES.join(', ')}` });
+    }
+    
+    res.json(listTags(req.user.id).filter(tag => !type || tag.type === type));
+});
+
+// GET /api/tags/:type/:name - The tag's collection: its media from every series
+// Takes the search query parameters (q, mediaType, from/to, seriesId, sort, order, limit, offset);
+// newest first by default
+router.get('/tags/:type/:name', (req, res) => {
+    try {
+        const { type, name } = req.params;
+        const tag = listTags(req.user.id).find(t => t.type === type && t.name.toLowerCase() === name.toLowerCase());
+        if (!tag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        
+        const { filters, error } = parseSearchQuery({ ...req.query, kind: 'media', tag: undefined, tagType: undefined });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const { total, results } = searchLibrary(req.user.id, { ...filters, tag: { type, name } });
+        res.json({ tag, total, limit: filters.limit, offset: filters.offset, items: results });
+    } catch (error) {
+        console.error('Error listing tag collection:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// WATCH PROGRESS ROUTES
+// ============================================
+
+// Each user has one position per series: the episode, media item and offset
+// into a video they last watched. Clients save it as playback moves on.
+// Share link viewers keep theirs through the share routes (routes/share.js).
+
+const RECENTLY_ADDED_DAYS = 30;
+
+// PUT /api/series/:seriesId/progress - Save where the user is in the series
+// Body: { episodeId, mediaId (optional), videoOffset (seconds into a video, optional) }
+router.put('/series/:seriesId/progress', (req, res) => {
+    try {
+        const series = getSeries(req.params.seriesId);
+        
+        const { position, error } = parsePosition(series, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const saved = saveProgress({ userId: req.user.id, seriesId: series.id, ...position });
+        
+        res.json({ success: true, progress: describeProgress(series, saved) });
+    } catch (error) {
+        console.error('Error saving watch progress:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/series/:seriesId/progress - Where the user is in the series
+router.get('/series/:seriesId/progress', (req, res) => {
+    const position = getProgress(req.user.id, req.params.seriesId);
+    const progress = position && describeProgress(getSeries(req.params.seriesId), position);
+    
+    if (!progress) {
+        return res.status(404).json({ error: 'No watch progress for this series' });
+    }
+    
+    res.json(progress);
+});
+
+// DELETE /api/series/:seriesId/progress - Forget the user's place (removes it from Continue Watching)
+router.delete('/series/:seriesId/progress', (req, res) => {
+    if (!deleteProgress(req.user.id, req.params.seriesId)) {
+        return res.status(404).json({ error: 'No watch progress for this series' });
+    }
+    
+    res.json({ success: true });
+});
+
+// GET /api/continue-watching - Series the user is part-way through, most recently watched first
+// Query: limit (default 20)
+router.get('/continue-watching', (req, res) => {
+    try {
+        const page = parsePagination({ limit: req.query.limit }, 20);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        
+        const rows = [];
+        for (const position of listProgress(req.user.id)) {
+            if (rows.length === page.limit) break;
+            
+            // Series in the trash keep their progress but aren't shown
+            const series = getSeries(position.seriesId);
+            if (!series || series.ownerId !== req.user.id) continue;
+            
+            const progress = describeProgress(series, position);
+            if (!progress || progress.finished) continue;
+            
+            const episode = series.episodes[progress.episodeIndex];
+            rows.push({
+                ...progress,
+                series: summarizeSeries(series),
+                episode: summarizeEpisode(episode),
+                media: mediaPreview(episode.media[progress.mediaIndex])
+            });
+        }
+        
+        res.json(rows);
+    } catch (error) {
+        console.error('Error listing continue watching:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/recently-added - Series created or given new media lately, most recent first
+// Query: days (default 30), limit (default 20)
+router.get('/recently-added', (req, res) => {
+    try {
+        const days = req.query.days === undefined ? RECENTLY_ADDED_DAYS : Number(req.query.days);
+        if (!(days > 0 && days <= 365)) {
+            return res.status(400).json({ error: 'days must be a number from 1 to 365' });
+        }
+        const page = parsePagination({ limit: req.query.limit }, 20);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const rows = findRecentlyAdded(listSeries(req.user.id), since)
+            .slice(0, page.limit)
+            .map(({ series, addedAt, isNew, newMedia }) => ({
+                series: summarizeSeries(series),
+                addedAt,
+                isNew,
+                newMediaCount: newMedia.length,
+                newMedia: newMedia.slice(0, 10).map(mediaPreview)
+            }));
+        
+        res.json(rows);
+    } catch (error) {
+        console.error('Error listing recently added:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// COMMENT AND REACTION ROUTES
+// ============================================
+
+// Comments and reactions are left on an episode or on a media item in it,
+// by the owner here or by share link viewers (see routes/share.js). The owner
+// moderates: hidden comments are only shown here, and anything can be deleted.
+// Lists take ?episodeId= (the episode and its media) and ?mediaId= filters.
+
+// GET /api/series/:seriesId/comments - List comments, including hidden ones
+router.get('/series/:seriesId/comments', (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    const comments = placeFeedback(series, listComments(series.id), req.query);
+    
+    res.json(comments.map(comment => formatComment(comment, userAuthorKey(req.user))));
+});
+
+// POST /api/series/:seriesId/comments - Comment as the owner ({ episodeId, mediaId, body })
+router.post('/series/:seriesId/comments', (req, res) => {
+    try {
+        const series = getSeries(req.params.seriesId);
+        
+        const target = findTarget(series, req.body);
+        if (target.error) {
+            return res.status(400).json({ error: target.error });
+        }
+        const { body, error } = parseCommentBody(req.body.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const comment = createComment({
+            seriesId: series.id,
+            episodeId: target.episode.id,
+            mediaId: target.media ? target.media.id : null,
+            authorKey: userAuthorKey(req.user),
+            authorName: req.user.displayName,
+            body
+        });
+        
+        res.json({ success: true, comment: formatComment(comment, userAuthorKey(req.user)) });
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /api/series/:seriesId/comments/:commentId - Hide a comment from viewers, or show it ({ hidden })
+router.patch('/series/:seriesId/comments/:commentId', (req, res) => {
+    const { hidden } = req.body;
+    
+    if (typeof hidden !== 'boolean') {
+        return res.status(400).json({ error: 'hidden must be true or false' });
+    }
+    
+    const comment = getComment(req.params.seriesId, req.params.commentId);
+    if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    setCommentHidden(comment.id, hidden);
+    
+    console.log(`[API] ✅ ${hidden ? 'Hid' : 'Unhid'} comment ${comment.id}`);
+    res.json({
+        success: true,
+        comment: formatComment(getComment(req.params.seriesId, comment.id), userAuthorKey(req.user))
+    });
+});
+
+// DELETE /api/series/:seriesId/comments/:commentId - Delete any comment
+router.delete('/series/:seriesId/comments/:commentId', (req, res) => {
+    const comment = getComment(req.params.seriesId, req.params.commentId);
+    
+    if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    deleteComment(comment.id);
+    res.json({ success: true });
+});
+
+// GET /api/series/:seriesId/reactions - List reactions with counts per kind
+router.get('/series/:seriesId/reactions', (req, res) => {
+    const series = getSeries(req.params.seriesId);
+    const reactions = placeFeedback(series, listReactions(series.id), req.query);
+    
+    res.json(summarizeReactions(reactions, userAuthorKey(req.user)));
+});
+
+// POST /api/series/:seriesId/reactions - React as the owner ({ episodeId, mediaId, kind })
+router.post('/series/:seriesId/reactions', (req, res) => {
+    try {
+        const series = getSeries(req.params.seriesId);
+        
+        const target = findTarget(series, req.body);
+        if (target.error) {
+            return res.status(400).json({ error: target.error });
+        }
+        const { kind, error } = parseReactionKind(req.body.kind);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const reaction = addReaction({
+            seriesId: series.id,
+            episodeId: target.episode.id,
+            mediaId: target.media ? target.media.id : null,
+            authorKey: userAuthorKey(req.user),
+            authorName: req.user.displayName,
+            kind
+        });
+        
+        res.json({ success: true, reaction: formatReaction(reaction, userAuthorKey(req.user)) });
+    } catch (error) {
+        console.error('Error adding reaction:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/series/:seriesId/reactions/:reactionId - Delete any reaction
+router.delete('/series/:seriesId/reactions/:reactionId', (req, res) => {
+    const reaction = getReaction(req.params.seriesId, req.params.reactionId);
+    
+    if (!reaction) {
+        return res.status(404).json({ error: 'Reaction not found' });
+    }
+    
+    deleteReaction(reaction.id);
+    res.json({ success: true });
+});
+
+// ============================================
+// TRASH ROUTES
+// ============================================
+
+// Deleted series, episodes, media and music, and replaced thumbnails and banners
+// (kind 'image'), stay restorable until the scheduled purge (TRASH_RETENTION_DAYS).
+// A restored series does not get its share links back.
+
+// Helper: Trash item as returned by the API
+function formatTrashItem(trashItem) {
+    const { ownerId, ...rest } = trashItem;
+    return { ...rest, purgeAt: getPurgeDate(trashItem) };
+}
+
+// GET /api/trash - List deleted items (optionally ?seriesId= and ?kind=)
+router.get('/trash', (req, res) => {
+    const { seriesId, kind } = req.query;
+    const items = listTrash(req.user.id)
+        .filter(item => !seriesId || item.seriesId === seriesId)
+        .filter(item => !kind || item.kind === kind);
+    
+    res.json(items.map(formatTrashItem));
+});
+
+// POST /api/trash/:trashId/restore - Put a deleted item back where it was
+router.post('/trash/:trashId/restore', (req, res) => {
+    try {
+        const trashItem = getTrashItem(req.user.id, req.params.trashId);
+        
+        if (!trashItem) {
+            return res.status(404).json({ error: 'Trash item not found' });
+        }
+        
+        const { kind, item } = trashItem;
+        
+        if (kind === 'series') {
+            transaction(() => {
+                saveSeries(item, userEdit(req, 'Restore series from trash'));
+                deleteTrashItem(trashItem.id);
+            });
+            item.episodes.forEach(episode => {
+                queueMediaProcessing(item.id, episode.media);
+                queueMusicProcessing(item.id, episode.musicTracks);
+            });
+            
+            console.log(`[API] ✅ Restored series ${item.id} from the trash`);
+            return res.json({ success: true, kind, series: item });
+        }
+        
+        const series = getSeries(trashItem.seriesId);
+        if (!series) {
+            return res.status(409).json({ error: 'The series this item belonged to is deleted; restore it first' });
+        }
+        
+        // A restored image takes its place back; the image there now goes to the trash
+        if (kind === 'image') {
+            const episode = trashItem.episodeId ? series.episodes.find(e => e.id === trashItem.episodeId) : null;
+            if (trashItem.episodeId && !episode) {
+                return res.status(409).json({ error: 'The episode this item belonged to is deleted; restore it first' });
+            }
+            
+            const target = episode || series;
+            const replaced = target[item.field];
+            target[item.field] = item.url;
+            transaction(() => {
+                const trashEntries = replaced ? [imageTrashEntry(req.user.id, item.field, replaced, episode)] : [];
+                moveToTrash(series, trashEntries, userEdit(req, `Restore ${item.field} from trash`));
+                deleteTrashItem(trashItem.id);
+            });
+            
+            console.log(`[API] ✅ Restored ${kind} "${trashItem.title}" to series ${series.id}`);
+            return res.json({ success: true, kind, seriesId: series.id, episodeId: trashItem.episodeId, item });
+        }
+        
+        let restoredMedia = [];
+        let restoredTracks = [];
+        if (kind === 'episode') {
+            series.episodes.splice(Math.min(trashItem.position, series.episodes.length), 0, item);
+            series.episodeCount = series.episodes.length;
+            restoredMedia = item.media;
+            restoredTracks = item.musicTracks;
+        } else {
+            const episode = series.episodes.find(e => e.id === trashItem.episodeId);
+            if (!episode) {
+                return res.status(409).json({ error: 'The episode this item belonged to is deleted; restore it first' });
+            }
+            
+            if (kind === 'media') {
+                episode.media.splice(Math.min(trashItem.position, episode.media.length), 0, item);
+                restoredMedia = [item];
+            } else {
+                episode.musicTracks.splice(Math.min(trashItem.position ?? Infinity, episode.musicTracks.length), 0, item);
+                restoredTracks = [item];
+            }
+        }
+        
+        transaction(() => {
+            saveSeries(series, userEdit(req, `Restore ${kind} from trash`));
+            deleteTrashItem(trashItem.id);
+        });
+        queueMediaProcessing(series.id, restoredMedia);
+        queueMusicProcessing(series.id, restoredTracks);
+        
+        console.log(`[API] ✅ Restored ${kind} "${trashItem.title}" to series ${series.id}`);
+        res.json({ success: true, kind, seriesId: series.id, episodeId: trashItem.episodeId, item });
+    } catch (error) {
+        console.error('Error restoring from trash:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/trash/:trashId - Permanently delete an item and its files now
+router.delete('/trash/:trashId', async (req, res) => {
+    try {
+        const trashItem = getTrashItem(req.user.id, req.params.trashId);
+        
+        if (!trashItem) {
+            return res.status(404).json({ error: 'Trash item not found' });
+        }
+        
+        await purgeTrashItem(trashItem);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error purging trash item:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/trash - Empty the trash
+router.delete('/trash', async (req, res) => {
+    try {
+        const items = listTrash(req.user.id);
+        for (const trashItem of items) {
+            await purgeTrashItem(trashItem);
+        }
+        res.json({ success: true, purged: items.length });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// REVISION ROUTES
+// ============================================
+
+// Every edit stores a revision (a snapshot of the whole series). Restoring one
+// brings back its text, episodes and media order; see services/revisions.js.
+
+// Helper: Revision list entry (without the snapshot itself)
+function formatRevisionSummary(revision) {
+    const { series, ...rest } = revision;
+    return {
+        ...rest,
+        title: series.title,
+        episodeCount: series.episodes.length,
+        mediaCount: series.episodes.reduce((count, episode) => count + episode.media.length, 0)
+    };
+}
+
+// GET /api/series/:seriesId/revisions - List revisions, newest first
+router.get('/series/:seriesId/revisions', (req, res) => {
+    res.json(listRevisions(req.params.seriesId).map(formatRevisionSummary));
+});
+
+// GET /api/series/:seriesId/revisions/diff?from=&to= - Compare two revisions
+// Leave out "to" to compare against the current series
+router.get('/series/:seriesId/revisions/diff', (req, res) => {
+    const { seriesId } = req.params;
+    const { from, to } = req.query;
+    
+    if (!from) {
+        return res.status(400).json({ error: 'from (a revision ID) is required' });
+    }
+    
+    const fromRevision = getRevision(seriesId, from);
+    const toRevision = to ? getRevision(seriesId, to) : null;
+    if (!fromRevision || (to && !toRevision)) {
+        return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.json({
+        from: formatRevisionSummary(fromRevision),
+        to: toRevision ? formatRevisionSummary(toRevision) : null,
+        diff: diffSeries(fromRevision.series, toRevision ? toRevision.series : getSeries(seriesId))
+    });
+});
+
+// GET /api/series/:seriesId/revisions/:revisionId - Get a revision with its snapshot
+router.get('/series/:seriesId/revisions/:revisionId', (req, res) => {
+    const revision = getRevision(req.params.seriesId, req.params.revisionId);
+    
+    if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.json(revision);
+});
+
+// POST /api/series/:seriesId/revisions/:revisionId/restore - Roll the series back to a revision
+// Current episodes and media the revision doesn't have go to the trash
+router.post('/series/:seriesId/revisions/:revisionId/restore', (req, res) => {
+    try {
+        const revision = getRevision(req.params.seriesId, req.params.revisionId);
+        
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        const { series, skipped, trashed, restoredMedia } = restoreRevision(revision, req.user.id);
+        queueMediaProcessing(series.id, restoredMedia);
+        
+        console.log(`[API] ✅ Restored series ${series.id} to revision ${revision.number}`);
+        res.json({ success: true, series, skipped, trashed });
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// LEGACY ROUTES (for backward compatibility during migration)
+// ============================================
+
+// Legacy routes act on the caller's first series
+
+// GET /api/show - Get first series (legacy)
+router.get('/show', (req, res) => {
+    const series = getFirstSeries(req.user.id);
+    if (series) {
+        res.json({
+            showTitle: series.title,
+            episodeCount: series.episodeCount,
+            episodes: series.episodes
+        });
+    } else {
+        res.json({
+            showTitle: 'The Story of My Life',
+            episodeCount: 1,
+            episodes: [{ title: 'Episode 1', thumbnail: null, media: [] }]
+        });
+    }
+});
+
+// POST /api/show - Legacy save (creates/updates first series)
+router.post('/show', (req, res) => {
+    try {
+        const { showTitle, episodeCount, episodes } = req.body;
+        const current = getFirstSeries(req.user.id);
+        let series = current && { ...current, episodes: [...current.episodes] };
+        
+        if (!series) {
+            // Create new series
+            series = {
+                id: uuidv4(),
+                ownerId: req.user.id,
+                title: showTitle || 'The Story of My Life',
+                description: '',
+                thumbnail: null,
+                createdAt: new Date().toISOString(),
+                episodeCount: episodeCount || 1,
+                episodes: episodes || []
+            };
+            
+            while (series.episodes.length < series.episodeCount) {
+                series.episodes.push(createEpisode(`Episode ${series.episodes.length + 1}`));
+            }
+        } else {
+            // Update first series
+            series.title = showTitle || series.title;
+            series.episodeCount = episodeCount || series.episodeCount;
+            series.episodes = episodes ? keepMusicTracks(episodes, series) : series.episodes;
+            
+            while (series.episodes.length < series.episodeCount) {
+                series.episodes.push(createEpisode(`Episode ${series.episodes.length + 1}`));
+            }
+            
+            series.episodes = series.episodes.slice(0, series.episodeCount);
+        }
+        if (findForeignIds(series).length > 0) {
+            return res.status(400).json({ error: FOREIGN_IDS_ERROR });
+        }
+        const filesError = keepStoredFiles(series.episodes, current);
+        if (filesError) {
+            return res.status(400).json({ error: filesError });
+        }
+        
+        // Episodes, media and music left out of the save go to the trash
+        const trashEntries = current ? removedItemsTrashEntries(req.user.id, current, series) : [];
+        moveToTrash(series, trashEntries, userEdit(req, 'Save show'));
+        res.json({ success: true, data: { showTitle: series.title, episodeCount: series.episodeCount, episodes: series.episodes } });
+    } catch (error) {
+        console.error('Error saving show data:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Legacy upload routes - now use the storage driver
+router.post('/upload/thumbnail/:episodeIndex', uploadThumbnail.single('thumbnail'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    const series = getFirstSeries(req.user.id);
+    if (!series) {
+        return res.status(400).json({ error: 'No series found' });
+    }
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    const oldThumbnail = episode.thumbnail;
+    
+    const fileUrl = getFileUrl(req.file.key);
+    episode.thumbnail = fileUrl;
+    
+    // The old thumbnail stays restorable in the trash until it is purged
+    const trashEntries = oldThumbnail ? [imageTrashEntry(req.user.id, 'thumbnail', oldThumbnail, episode)] : [];
+    moveToTrash(series, trashEntries, userEdit(req, 'Upload episode thumbnail'));
+    
+    res.json({
+        success: true,
+        filename: req.file.key,
+        url: fileUrl
+    });
+});
+
+router.post('/upload/media/:episodeIndex', uploadMedia.array('media', 50), (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+    }
+    
+    const series = getFirstSeries(req.user.id);
+    if (!series) {
+        return res.status(400).json({ error: 'No series found' });
+    }
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    const newMedia = req.files.map(file => createMediaRecord(file.key, file.originalname, file.detectedType.kind));
+    
+    episode.media.push(...newMedia);
+    saveSeries(series, userEdit(req, 'Upload media'));
+    queueMediaProcessing(series.id, newMedia);
+    
+    res.json({ success: true, files: newMedia });
+});
+
+router.post('/upload/music/:episodeIndex', uploadMusic.single('music'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    const series = getFirstSeries(req.user.id);
+    if (!series) {
+        return res.status(400).json({ error: 'No series found' });
+    }
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    const track = createMusicTrack(req.file.key, req.file.originalname);
+    episode.musicTracks.push(track);
+    saveSeries(series, userEdit(req, 'Upload music'));
+    queueMusicProcessing(series.id, [track]);
+    
+    res.json({
+        success: true,
+        track,
+        filename: req.file.key,
+        originalName: req.file.originalname,
+        url: track.url
+    });
+});
+
+router.delete('/music/:episodeIndex', (req, res) => {
+    const series = getFirstSeries(req.user.id);
+    if (!series) {
+        return res.status(400).json({ error: 'No series found' });
+    }
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    const entries = episode.musicTracks.map((track, position) => musicTrashEntry(req.user.id, episode, track, position));
+    episode.musicTracks = [];
+    const trashItems = entries.length > 0 ? moveToTrash(series, entries, userEdit(req, 'Delete music')) : [];
+    
+    res.json({ success: true, trashIds: trashItems.map(item => item.id) });
+});
+
+router.delete('/media/:episodeIndex/:mediaId', (req, res) => {
+    const mediaId = req.params.mediaId;
+    
+    const series = getFirstSeries(req.user.id);
+    if (!series) {
+        return res.status(400).json({ error: 'No series found' });
+    }
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    const mediaIndex = episode.media.findIndex(m => m.id === mediaId);
+    
+    if (mediaIndex === -1) {
+        return res.status(404).json({ error: 'Media not found' });
+    }
+    
+    const [mediaFile] = episode.media.splice(mediaIndex, 1);
+    const [trashItem] = moveToTrash(series, [mediaTrashEntry(req.user.id, episode, mediaFile, mediaIndex)], userEdit(req, 'Delete media'));
+    
+    res.json({ success: true, trashId: trashItem.id });
+});
+
+router.post('/media/:episodeIndex/reorder', (req, res) => {
+    const { mediaIds, sortBy, order } = req.body;
+    
+    if (sortBy !== undefined && sortBy !== 'capturedAt') {
+        return res.status(400).json({ error: 'sortBy must be "capturedAt"' });
+    }
+    if (order !== undefined && order !== 'asc' && order !== 'desc') {
+        return res.status(400).json({ error: 'order must be "asc" or "desc"' });
+    }
+    if (!sortBy && !Array.isArray(mediaIds)) {
+        return res.status(400).json({ error: 'mediaIds must be an array' });
+    }
+    
+    const series = getFirstSeries(req.user.id);
+    if (!series) {
+        return res.status(400).json({ error: 'No series found' });
+    }
+    
+    const episode = findEpisode(series, req.params.episodeIndex);
+    if (!episode) {
+        return res.status(400).json({ error: 'Invalid episode index' });
+    }
+    
+    const reorderedMedia = sortBy
+        ? sortByCaptureDate(episode.media, order === 'desc')
+        : reorderByIds(episode.media, mediaIds);
+    episode.media = reorderedMedia;
+    saveSeries(series, userEdit(req, 'Reorder media'));
+    
+    res.json({ success: true, media: reorderedMedia });
+});
+
+// ============================================
+// UPLOAD ERRORS
+// ============================================
+
+// Turn upload failures into JSON: 415 for rejected file types, 400 for multer limits
+router.use((error, req, res, next) => {
+    if (error.status === 415) {
+        return res.status(415).json({ error: error.message, allowedTypes: error.allowedTypes });
+    }
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: error.message });
+    }
+    next(error);
+});
+
 module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Netflix Life Story - Auth Routes
+ * Account registration, login and logout with bearer session tokens
+ */
+
+const express = require('express');
+const { transaction } = require('../db');
+const {
+    createUser,
+    getUserCredentials,
+    countUsers,
+    createSession,
+    deleteSession
+} = require('../db/userRepository');
+const { claimUnownedSeries } = require('../db/seriesRepository');
+const { requireAuth } = require('../middleware/auth');
+const { hashPassword, verifyPassword } = require('../utils/password');
+
+const router = express.Router();
+
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const allowRegistration = process.env.ALLOW_REGISTRATION !== 'false';
+
+// Helper: Validate username/password from a request body
+function validateCredentials(body) {
+    const { username, password } = body || {};
+    
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,32}$/.test(username)) {
+        return 'username must be 3-32 letters, numbers, dots, dashes or underscores';
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+        return 'password must be at least 8 characters';
+    }
+    return null;
+}
+
+// POST /api/auth/register - Create an account and log in
+router.post('/register', async (req, res) => {
+    try {
+        if (!allowRegistration) {
+            return res.status(403).json({ error: 'Registration is disabled' });
+        }
+        
+        const validationError = validateCredentials(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { username, password, displayName } = req.body;
+        if (getUserCredentials(username)) {
+            return res.status(409).json({ error: 'Username already taken' });
+        }
+        
+        const passwordHash = await hashPassword(password);
+        
+        const user = transaction(() => {
+            const isFirstUser = countUsers() === 0;
+            const user = createUser({ username, passwordHash, displayName });
+            
+            // The first account takes over series created before accounts existed
+            if (isFirstUser) {
+                const claimed = claimUnownedSeries(user.id);
+                if (claimed > 0) console.log(`[AUTH] ${username} claimed ${claimed} existing series`);
+            }
+            return user;
+        });
+        
+        const token = createSession(user.id, SESSION_TTL_MS);
+        res.json({ success: true, token, user });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'Username already taken' });
+        }
+        console.error('Error registering user:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/auth/login - Log in with username and password
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const credentials = typeof username === 'string' ? getUserCredentials(username) : null;
+        
+        if (!credentials || typeof password !== 'string'
+            || !(await verifyPassword(password, credentials.passwordHash))) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        
+        const token = createSession(credentials.user.id, SESSION_TTL_MS);
+        res.json({ success: true, token, user: credentials.user });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', requireAuth, (req, res) => {
+    deleteSession(req.sessionToken);
+    res.json({ success: true });
+});
+
+// GET /api/auth/me - Get the logged-in user
+router.get('/me', requireAuth, (req, res) => {
+    res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+/**
+ * Netflix Life Story - Shared Viewer Routes
+ * Public, read-only access to a series through a share link token.
+ * A passcode, when set, is sent in the X-Share-Passcode header; a client that
+ * sends too many wrong ones is locked out for a while (see services/passcodeAttempts.js).
+ * Viewers can leave comments and reactions (see services/feedback.js) and
+ * save their watch progress, identified by the X-Viewer-Id their client keeps.
+ */
+
+const express = require('express');
+const { getSeries } = require('../db/seriesRepository');
+const { getShareByToken } = require('../db/shareRepository');
+const {
+    createComment,
+    listComments,
+    getComment,
+    deleteComment,
+    addReaction,
+    listReactions,
+    getReaction,
+    deleteReaction
+} = require('../db/feedbackRepository');
+const { saveViewerProgress, getViewerProgress, deleteViewerProgress } = require('../db/progressRepository');
+const {
+    findTarget,
+    parseCommentBody,
+    parseReactionKind,
+    parseViewer,
+    placeFeedback,
+    formatComment,
+    formatReaction,
+    summarizeReactions
+} = require('../services/feedback');
+const { parsePosition, describeProgress } = require('../services/watchProgress');
+const { getLockoutRemaining, recordFailedAttempt, clearFailedAttempts } = require('../services/passcodeAttempts');
+const { verifyPassword } = require('../utils/password');
+
+const router = express.Router();
+
+// Share links never allow changes to the series; viewers may only add and
+// remove their comments and reactions, and save their watch progress
+const VIEWER_PATH = /^\/[^/]+\/((comments|reactions)(\/[^/]+)?|progress)$/;
+
+router.use((req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD' && !VIEWER_PATH.test(req.path)) {
+        return res.status(405).json({ error: 'Share links are read-only' });
+    }
+    next();
+});
+
+// Validate the token (and passcode) and load the shared series into req.series
+router.param('token', async (req, res, next, token) => {
+    try {
+        const found = getShareByToken(token);
+        
+        if (!found || found.share.revokedAt) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        
+        if (found.share.expiresAt && new Date(found.share.expiresAt).getTime() <= Date.now()) {
+            return res.status(410).json({ error: 'Share link has expired' });
+        }
+        
+        if (found.passcodeHash) {
+            const shareId = found.share.id;
+            const passcode = req.get('x-share-passcode');
+            if (!passcode) {
+                return res.status(401).json({ error: 'Passcode required', passcodeRequired: true });
+            }
+            
+            // Guesses from a locked out client aren't checked at all. The lockout
+            // is checked again after a wrong guess: of guesses sent all at once,
+            // only the ones finished before the lockout get an answer.
+            const client = req.ip;
+            const valid = getLockoutRemaining(shareId, client) === 0 && await verifyPassword(passcode, found.passcodeHash);
+            if (!valid) {
+                const lockedFor = getLockoutRemaining(shareId, client);
+                if (lockedFor > 0) {
+                    res.set('Retry-After', String(Math.ceil(lockedFor / 1000)));
+                    return res.status(429).json({ error: 'Too many wrong passcodes; try again later', passcodeRequired: true });
+                }
+                recordFailedAttempt(shareId, client);
+                return res.status(401).json({ error: 'Wrong passcode', passcodeRequired: true });
+            }
+            clearFailedAttempts(shareId, client);
+        }
+        
+        const series = getSeries(found.share.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        
+        // Viewers don't need to know who owns the series
+        const { ownerId, ...publicSeries } = series;
+        req.series = publicSeries;
+        req.share = found.share;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/shared/:token - Get the shared series with episodes and media
+router.get('/:token', (req, res) => {
+    res.json(req.series);
+});
+
+// GET /api/shared/:token/episodes/:episodeId - Get a single shared episode
+router.get('/:token/episodes/:episodeId', (req, res) => {
+    const episode = req.series.episodes.find(e => e.id === req.params.episodeId);
+    
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    res.json(episode);
+});
+
+// Helper: The viewer making a request (X-Viewer-Id) as { authorKey, authorName }, or { error }
+function requestViewer(req, authorName, requireName) {
+    return parseViewer(req.get('x-viewer-id'), authorName, requireName);
+}
+
+// Helper: The author key of the viewer, if they identified themselves
+function optionalAuthorKey(req) {
+    const viewer = requestViewer(req);
+    return viewer.error ? null : viewer.authorKey;
+}
+
+// GET /api/shared/:token/comments - List comments (optionally ?episodeId= and ?mediaId=)
+// Comments the owner hid are left out; send X-Viewer-Id to have your own marked as mine
+router.get('/:token/comments', (req, res) => {
+    const comments = placeFeedback(req.series, listComments(req.series.id), req.query)
+        .filter(comment => !comment.hiddenAt);
+    
+    res.json(comments.map(comment => formatComment(comment, optionalAuthorKey(req))));
+});
+
+// POST /api/shared/:token/comments - Comment as a viewer ({ episodeId, mediaId, body, authorName })
+router.post('/:token/comments', (req, res) => {
+    const viewer = requestViewer(req, req.body.authorName, true);
+    if (viewer.error) {
+        return res.status(400).json({ error: viewer.error });
+    }
+    const target = findTarget(req.series, req.body);
+    if (target.error) {
+        return res.status(400).json({ error: target.error });
+    }
+    const { body, error } = parseCommentBody(req.body.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    const comment = createComment({
+        seriesId: req.series.id,
+        episodeId: target.episode.id,
+        mediaId: target.media ? target.media.id : null,
+        authorKey: viewer.authorKey,
+        authorName: viewer.authorName,
+        body
+    });
+    
+    res.json({ success: true, comment: formatComment(comment, viewer.authorKey) });
+});
+
+// DELETE /api/shared/:token/comments/:commentId - Delete one of your comments (X-Viewer-Id)
+router.delete('/:token/comments/:commentId', (req, res) => {
+    const comment = getComment(req.series.id, req.params.commentId);
+    
+    if (!comment || comment.authorKey !== optionalAuthorKey(req)) {
+        return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    deleteComment(comment.id);
+    res.json({ success: true });
+});
+
+// GET /api/shared/:token/reactions - List reactions with counts per kind (optionally ?episodeId= and ?mediaId=)
+router.get('/:token/reactions', (req, res) => {
+    const reactions = placeFeedback(req.series, listReactions(req.series.id), req.query);
+    
+    res.json(summarizeReactions(reactions, optionalAuthorKey(req)));
+});
+
+// POST /api/shared/:token/reactions - React as a viewer ({ episodeId, mediaId, kind, authorName })
+router.post('/:token/reactions', (req, res) => {
+    const viewer = requestViewer(req, req.body.authorName, true);
+    if (viewer.error) {
+        return res.status(400).json({ error: viewer.error });
+    }
+    const target = findTarget(req.series, req.body);
+    if (target.error) {
+        return res.status(400).json({ error: target.error });
+    }
+    const { kind, error } = parseReactionKind(req.body.kind);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    const reaction = addReaction({
+        seriesId: req.series.id,
+        episodeId: target.episode.id,
+        mediaId: target.media ? target.media.id : null,
+        authorKey: viewer.authorKey,
+        authorName: viewer.authorName,
+        kind
+    });
+    
+    res.json({ success: true, reaction: formatReaction(reaction, viewer.authorKey) });
+});
+
+// DELETE /api/shared/:token/reactions/:reactionId - Delete one of your reactions (X-Viewer-Id)
+router.delete('/:token/reactions/:reactionId', (req, res) => {
+    const reaction = getReaction(req.series.id, req.params.reactionId);
+    
+    if (!reaction || reaction.authorKey !== optionalAuthorKey(req)) {
+        return res.status(404).json({ error: 'Reaction not found' });
+    }
+    
+    deleteReaction(reaction.id);
+    res.json({ success: true });
+});
+
+// Viewers' watch progress is kept per share link and X-Viewer-Id, so they can
+// resume where they left off; it goes when the link does
+
+// GET /api/shared/:token/progress - Where the viewer (X-Viewer-Id) is in the series
+router.get('/:token/progress', (req, res) => {
+    const viewer = requestViewer(req);
+    if (viewer.error) {
+        return res.status(400).json({ error: viewer.error });
+    }
+    
+    const position = getViewerProgress(req.share.id, viewer.authorKey);
+    const progress = position && describeProgress(req.series, position);
+    if (!progress) {
+        return res.status(404).json({ error: 'No watch progress for this series' });
+    }
+    
+    res.json(progress);
+});
+
+// PUT /api/shared/:token/progress - Save where the viewer is
+// Body: { episodeId, mediaId (optional), videoOffset (seconds into a video, optional) }
+router.put('/:token/progress', (req, res) => {
+    const viewer = requestViewer(req);
+    if (viewer.error) {
+        return res.status(400).json({ error: viewer.error });
+    }
+    const { position, error } = parsePosition(req.series, req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    const saved = saveViewerProgress({
+        shareId: req.share.id,
+        viewerKey: viewer.authorKey,
+        seriesId: req.series.id,
+        ...position
+    });
+    
+    res.json({ success: true, progress: describeProgress(req.series, saved) });
+});
+
+// DELETE /api/shared/:token/progress - Forget the viewer's place
+router.delete('/:token/progress', (req, res) => {
+    const viewer = requestViewer(req);
+    if (viewer.error) {
+        return res.status(400).json({ error: viewer.error });
+    }
+    
+    if (!deleteViewerProgress(req.share.id, viewer.authorKey)) {
+        return res.status(404).json({ error: 'No watch progress for this series' });
+    }
+    
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * Import a showData.json file into the database.
+ * Usage: npm run import-data [-- path/to/showData.json]
+ * (defaults to showData.json in the uploads directory, see UPLOADS_DIR)
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { importShowData } = require('../db/importShowData');
+const { uploadsDir } = require('../config/uploadsDir');
+
+const filePath = process.argv[2] || path.join(uploadsDir, 'showData.json');
+
+try {
+    importShowData(path.resolve(filePath));
+} catch (error) {
+    console.error(`[IMPORT] ❌ Failed to import ${filePath}:`, error.message);
+    process.exit(1);
+}
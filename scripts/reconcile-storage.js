@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Compare storage with the database and report orphaned files and
+ * references to missing files.
+ * Usage: npm run reconcile-storage [-- options]
+ *   --delete-orphans     delete files nothing references
+ *   --flag-broken        mark media whose file is missing as failed
+ *   --min-age-hours=N    only treat files older than N hours as orphans (default 24)
+ *   --json               print the full report as JSON
+ */
+
+require('dotenv').config();
+const { reconcileStorage, DEFAULT_MIN_AGE_HOURS } = require('../services/storageReconciliation');
+
+const args = process.argv.slice(2);
+const minAgeArg = args.find(arg => arg.startsWith('--min-age-hours='));
+const minAgeHours = minAgeArg ? Number(minAgeArg.split('=')[1]) : DEFAULT_MIN_AGE_HOURS;
+
+if (!Number.isFinite(minAgeHours) || minAgeHours < 0) {
+    console.error('[RECONCILE] ❌ --min-age-hours must be a number >= 0');
+    process.exit(1);
+}
+
+function describeLocation(location) {
+    return Object.entries(location).map(([name, value]) => `${name}=${value}`).join(' ');
+}
+
+reconcileStorage({
+    deleteOrphans: args.includes('--delete-orphans'),
+    flagBroken: args.includes('--flag-broken'),
+    minAgeHours
+}).then(report => {
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    console.log(`[RECONCILE] Scanned ${report.scanned} stored file(s), ${report.referenced} referenced key(s)`);
+    if (report.unmanaged > 0) {
+        console.log(`[RECONCILE] Skipped ${report.unmanaged} URL(s) not managed by this storage driver`);
+    }
+
+    console.log(`[RECONCILE] Orphaned files: ${report.orphans.length}`);
+    report.orphans.forEach(orphan => console.log(`    ${orphan.key} (${orphan.size} bytes)`));
+
+    console.log(`[RECONCILE] Dangling references: ${report.dangling.length}`);
+    report.dangling.forEach(reference => console.log(`    ${reference.key} <- ${describeLocation(reference.location)}`));
+
+    if (args.includes('--delete-orphans')) {
+        console.log(`[RECONCILE] ✅ Deleted ${report.deleted} orphaned file(s)`);
+    }
+    if (args.includes('--flag-broken')) {
+        console.log(`[RECONCILE] ✅ Flagged ${report.flagged} broken media item(s)`);
+    }
+}).catch(error => {
+    console.error('[RECONCILE] ❌ Reconciliation failed:', error.message);
+    process.exit(1);
+});
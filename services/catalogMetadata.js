@@ -0,0 +1,163 @@
+/**
+ * Catalog Metadata
+ * Validation for the browse-row details of series and episodes.
+ *
+ * Series:
+ *   genres         - up to 20 genre/tag names
+ *   yearStart      - first year the series covers
+ *   yearEnd        - last year (null while ongoing)
+ *   maturityRating - one of MATURITY_RATINGS
+ *   cast           - people appearing: [{ name, role }] (role optional)
+ * Episodes:
+ *   synopsis       - longer text than the title
+ *   airDate        - YYYY-MM-DD
+ * null (or an empty list) clears a field.
+ */
+
+const SERIES_METADATA = ['genres', 'yearStart', 'yearEnd', 'maturityRating', 'cast'];
+const EPISODE_METADATA = ['synopsis', 'airDate'];
+const MATURITY_RATINGS = ['ALL', '7+', '13+', '16+', '18+'];
+
+const MAX_GENRES = 20;
+const MAX_GENRE_LENGTH = 40;
+const MAX_CAST = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_SYNOPSIS_LENGTH = 2000;
+const MIN_YEAR = 1800;
+
+const isString = value => typeof value === 'string';
+
+function parseGenres(value) {
+    if (!Array.isArray(value) || !value.every(isString)) {
+        return { error: 'genres must be an array of strings' };
+    }
+    if (value.length > MAX_GENRES) {
+        return { error: `genres can have at most ${MAX_GENRES} entries` };
+    }
+
+    // Trimmed, without blanks or case-insensitive duplicates
+    const genres = [];
+    for (const genre of value.map(g => g.trim()).filter(Boolean)) {
+        if (genre.length > MAX_GENRE_LENGTH) {
+            return { error: `Genres must be at most ${MAX_GENRE_LENGTH} characters` };
+        }
+        if (!genres.some(g => g.toLowerCase() === genre.toLowerCase())) genres.push(genre);
+    }
+    return { genres };
+}
+
+function parseCast(value) {
+    if (!Array.isArray(value)) {
+        return { error: 'cast must be an array of { name, role }' };
+    }
+    if (value.length > MAX_CAST) {
+        return { error: `cast can have at most ${MAX_CAST} people` };
+    }
+
+    const cast = [];
+    for (const person of value) {
+        if (!person || typeof person !== 'object' || !isString(person.name) || !person.name.trim()) {
+            return { error: 'Every cast entry needs a name' };
+        }
+        if (person.role !== undefined && person.role !== null && !isString(person.role)) {
+            return { error: 'cast role must be a string' };
+        }
+        const name = person.name.trim();
+        const role = person.role ? person.role.trim() : '';
+        if (name.length > MAX_NAME_LENGTH || role.length > MAX_NAME_LENGTH) {
+            return { error: `cast names and roles must be at most ${MAX_NAME_LENGTH} characters` };
+        }
+        cast.push({ name, role: role || null });
+    }
+    return { cast };
+}
+
+/**
+ * Validate changes to a series' metadata. Fields of changes that aren't
+ * metadata (title, episodes, ...) are ignored.
+ * Returns { metadata } holding the series' complete metadata after the
+ * change, or { error } describing the first invalid value.
+ */
+function parseSeriesMetadata(series, changes) {
+    const metadata = {
+        genres: series.genres || [],
+        yearStart: series.yearStart ?? null,
+        yearEnd: series.yearEnd ?? null,
+        maturityRating: series.maturityRating || null,
+        cast: series.cast || []
+    };
+    const maxYear = new Date().getFullYear() + 10;
+
+    for (const name of SERIES_METADATA.filter(field => changes[field] !== undefined)) {
+        const value = changes[name];
+
+        if (name === 'genres' || name === 'cast') {
+            if (value === null) {
+                metadata[name] = [];
+                continue;
+            }
+            const result = name === 'genres' ? parseGenres(value) : parseCast(value);
+            if (result.error) return result;
+            metadata[name] = result[name];
+        }
+        if (name === 'yearStart' || name === 'yearEnd') {
+            if (value !== null && !(Number.isInteger(value) && value >= MIN_YEAR && value <= maxYear)) {
+                return { error: `${name} must be a year from ${MIN_YEAR} to ${maxYear} (or null)` };
+            }
+            metadata[name] = value;
+        }
+        if (name === 'maturityRating') {
+            if (value !== null && !MATURITY_RATINGS.includes(value)) {
+                return { error: `maturityRating must be one of: ${MATURITY_RATINGS.join(', ')} (or null)` };
+            }
+            metadata.maturityRating = value;
+        }
+    }
+
+    if (metadata.yearStart !== null && metadata.yearEnd !== null && metadata.yearEnd < metadata.yearStart) {
+        return { error: 'yearEnd must not be before yearStart' };
+    }
+    return { metadata };
+}
+
+/**
+ * Validate changes to an episode's metadata, like parseSeriesMetadata
+ */
+function parseEpisodeMetadata(episode, changes) {
+    const metadata = {
+        synopsis: episode.synopsis || '',
+        airDate: episode.airDate || null
+    };
+
+    if (changes.synopsis !== undefined) {
+        if (changes.synopsis !== null && !isString(changes.synopsis)) {
+            return { error: 'synopsis must be a string' };
+        }
+        const synopsis = (changes.synopsis || '').trim();
+        if (synopsis.length > MAX_SYNOPSIS_LENGTH) {
+            return { error: `synopsis must be at most ${MAX_SYNOPSIS_LENGTH} characters` };
+        }
+        metadata.synopsis = synopsis;
+    }
+
+    if (changes.airDate !== undefined) {
+        const { airDate } = changes;
+        // Date.parse accepts impossible days like 2024-02-30; the round trip doesn't
+        const valid = airDate === null || (isString(airDate) && /^\d{4}-\d{2}-\d{2}$/.test(airDate)
+            && !isNaN(Date.parse(airDate)) && new Date(airDate).toISOString().startsWith(airDate));
+        if (!valid) {
+            return { error: 'airDate must be a date as YYYY-MM-DD (or null)' };
+        }
+        metadata.airDate = airDate;
+    }
+
+    return { metadata };
+}
+
+module.exports = {
+    SERIES_METADATA,
+    EPISODE_METADATA,
+    MATURITY_RATINGS,
+    parseSeriesMetadata,
+    parseEpisodeMetadata
+};
@@ -0,0 +1,161 @@
+/**
+ * Episode Grouping
+ * Splits a batch of media into titled groups, each of which becomes an episode:
+ *   gap      - a new group starts after a pause of more than gapHours between captures
+ *   month    - one group per calendar month
+ *   year     - one group per calendar year
+ *   location - photos taken within radiusKm of each other form a group
+ *
+ * Grouping uses media.metadata (see mediaMetadata.js). Items without a capture
+ * date (or, for location, without GPS) are collected into a final group.
+ * Dates are grouped and titled in UTC.
+ */
+
+const { sortByCaptureDate } = require('./mediaMetadata');
+
+const GROUP_BY = ['gap', 'month', 'year', 'location'];
+const DEFAULT_GAP_HOURS = 12;
+const DEFAULT_RADIUS_KM = 25;
+const EARTH_RADIUS_KM = 6371;
+
+const monthFormat = new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+const dayFormat = new Intl.DateTimeFormat('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+function capturedAt(media) {
+    return media.metadata && media.metadata.capturedAt ? new Date(media.metadata.capturedAt) : null;
+}
+
+function locationOf(media) {
+    return media.metadata && media.metadata.location ? media.metadata.location : null;
+}
+
+/**
+ * "April 11, 2025", or "April 11, 2025 – April 14, 2025" for a range
+ */
+function formatDateRange(first, last) {
+    const start = dayFormat.format(first);
+    const end = dayFormat.format(last);
+    return start === end ? start : `${start} – ${end}`;
+}
+
+// Great-circle distance between two { latitude, longitude } points
+function distanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function formatCoordinates({ latitude, longitude }) {
+    const lat = `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}`;
+    const lon = `${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`;
+    return `${lat} ${lon}`;
+}
+
+function groupByGap(dated, gapHours) {
+    const groups = [];
+    let previous = null;
+
+    dated.forEach(media => {
+        const date = capturedAt(media);
+        if (!previous || date - previous > gapHours * 60 * 60 * 1000) {
+            groups.push({ media: [] });
+        }
+        groups[groups.length - 1].media.push(media);
+        previous = date;
+    });
+
+    groups.forEach(group => {
+        group.title = formatDateRange(capturedAt(group.media[0]), capturedAt(group.media[group.media.length - 1]));
+    });
+    return groups;
+}
+
+function groupByPeriod(dated, keyOf, titleOf) {
+    const groups = new Map();
+    dated.forEach(media => {
+        const date = capturedAt(media);
+        const key = keyOf(date);
+        if (!groups.has(key)) groups.set(key, { title: titleOf(date), media: [] });
+        groups.get(key).media.push(media);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Add each photo to the nearest cluster within radiusKm of its centre,
+ * otherwise start a new cluster
+ */
+function groupByLocation(located, radiusKm) {
+    const clusters = [];
+
+    located.forEach(media => {
+        const location = locationOf(media);
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        clusters.forEach(cluster => {
+            const distance = distanceKm(cluster.center, location);
+            if (distance <= radiusKm && distance < nearestDistance) {
+                nearest = cluster;
+                nearestDistance = distance;
+            }
+        });
+
+        if (!nearest) {
+            nearest = { center: { ...location }, media: [] };
+            clusters.push(nearest);
+        }
+        nearest.media.push(media);
+
+        const count = nearest.media.length;
+        nearest.center.latitude += (location.latitude - nearest.center.latitude) / count;
+        nearest.center.longitude += (location.longitude - nearest.center.longitude) / count;
+    });
+
+    return clusters.map(cluster => {
+        const dates = cluster.media.map(capturedAt).filter(Boolean);
+        const place = `Near ${formatCoordinates(cluster.center)}`;
+        return {
+            title: dates.length > 0 ? `${place}, ${formatDateRange(dates[0], dates[dates.length - 1])}` : place,
+            media: cluster.media
+        };
+    });
+}
+
+/**
+ * Split media into [{ title, media }] groups in chronological order.
+ * options: { groupBy, gapHours, radiusKm }
+ */
+function groupMedia(mediaList, { groupBy = 'gap', gapHours = DEFAULT_GAP_HOURS, radiusKm = DEFAULT_RADIUS_KM } = {}) {
+    const sorted = sortByCaptureDate(mediaList);
+
+    let groups;
+    let rest;
+    if (groupBy === 'location') {
+        groups = groupByLocation(sorted.filter(locationOf), radiusKm);
+        rest = { title: 'Unknown location', media: sorted.filter(m => !locationOf(m)) };
+    } else {
+        const dated = sorted.filter(capturedAt);
+        if (groupBy === 'month') {
+            groups = groupByPeriod(dated, date => date.toISOString().slice(0, 7), date => monthFormat.format(date));
+        } else if (groupBy === 'year') {
+            groups = groupByPeriod(dated, date => date.getUTCFullYear(), date => String(date.getUTCFullYear()));
+        } else {
+            groups = groupByGap(dated, gapHours);
+        }
+        rest = { title: 'Undated', media: sorted.filter(m => !capturedAt(m)) };
+    }
+
+    if (rest.media.length > 0) groups.push(rest);
+    return groups;
+}
+
+module.exports = {
+    GROUP_BY,
+    DEFAULT_GAP_HOURS,
+    DEFAULT_RADIUS_KM,
+    groupMedia
+};
@@ -0,0 +1,578 @@
+/**
+ * Episode Rendering
+ * Turns an episode into a single downloadable MP4 slideshow: a title card,
+ * then each image (shown for a set time) and clip in order, joined with
+ * transitions, with the episode's music tracks mixed under the clips' own sound.
+ * Each item's own settings (caption, duration, trim, Ken Burns pan/zoom and
+ * transition, see mediaSettings.js) are applied on top of the render options.
+ *
+ * Every item is first rendered to a uniform segment (same size, frame rate
+ * and audio format) and the segments are then joined. Crossfades are built
+ * from overlay and alpha fades rather than xfade so older ffmpeg builds work.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getFileUrl, putFile, deleteFile, getKeyFromUrl } = require('../config/storage');
+const { getSeries } = require('../db/seriesRepository');
+const { getRender, updateRender, listRendersByStatus, listEpisodeRenders, listSeriesRenders, deleteRender } = require('../db/renderRepository');
+const { ffmpeg, ffprobe } = require('./ffmpeg');
+const { createTempPath, downloadToTemp, removeTemp } = require('./tempFiles');
+const { enqueue } = require('./jobQueue');
+const { musicTimeline } = require('./musicTracks');
+
+const RESOLUTIONS = {
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 }
+};
+const TRANSITIONS = ['none', 'fade', 'crossfade'];
+const DEFAULT_RENDER_OPTIONS = {
+    resolution: '720p',
+    transition: 'crossfade',
+    transitionDuration: 1, // seconds
+    imageDuration: 4, // seconds per image unless set in durations
+    titleDuration: 3, // seconds, 0 for no title card
+    musicVolume: 0.8,
+    durations: {} // mediaId -> seconds (clips are cut to this length)
+};
+
+const FRAME_RATE = 30;
+const MUSIC_FADE_OUT_SECONDS = 2;
+
+/**
+ * Seconds an item is shown for: render options override the item's own
+ * duration; clips run from trimStart to trimEnd. null for a clip played to its end.
+ */
+function itemDuration(media, options) {
+    if (options.durations[media.id]) return options.durations[media.id];
+    if (media.type === 'image') return media.duration || options.imageDuration;
+    return media.trimEnd ? media.trimEnd - (media.trimStart || 0) : null;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+// ============================================
+// SEGMENTS
+// ============================================
+
+// Fade in at the start and/or out at the end of a segment ('fade' transitions)
+function segmentFades({ fadeIn, fadeOut }, options, duration) {
+    const d = options.transitionDuration;
+    const fades = { video: '', audio: '' };
+    if (d <= 0) return fades;
+    if (fadeIn) {
+        fades.video += `,fade=t=in:st=0:d=${d}`;
+        fades.audio += `,afade=t=in:st=0:d=${d}`;
+    }
+    if (fadeOut) {
+        const out = (duration - d).toFixed(3);
+        fades.video += `,fade=t=out:st=${out}:d=${d}`;
+        fades.audio += `,afade=t=out:st=${out}:d=${d}`;
+    }
+    return fades;
+}
+
+function segmentOutputArgs(duration, outputPath) {
+    return [
+        '-t', duration.toFixed(3),
+        '-r', String(FRAME_RATE),
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-crf', '20',
+        '-pix_fmt', 'yuv420p',
+        // Same time base in every segment, so they can be joined without re-encoding
+        '-video_track_timescale', String(FRAME_RATE * 512),
+        '-c:a', 'aac',
+        '-b:a', '160k',
+        '-ar', '48000',
+        '-ac', '2',
+        outputPath
+    ];
+}
+
+/**
+ * Transparent frame with the caption in a box along the bottom
+ */
+async function renderCaptionFrame(caption, options, outputPath) {
+    const { width, height } = RESOLUTIONS[options.resolution];
+    const fontSize = Math.round(height / 24);
+    const lineHeight = Math.round(fontSize * 1.3);
+    const maxChars = Math.floor(width * 0.85 / (fontSize * 0.55));
+
+    const lines = [];
+    caption.split(/\s+/).forEach(word => {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    });
+
+    const boxHeight = lines.length * lineHeight + fontSize;
+    const boxTop = height - boxHeight - Math.round(height / 20);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <rect x="${Math.round(width * 0.05)}" y="${boxTop}" width="${Math.round(width * 0.9)}" height="${boxHeight}"
+            rx="${Math.round(fontSize / 3)}" fill="black" fill-opacity="0.6"/>
+        ${lines.map((line, i) => `<text x="50%" y="${boxTop + Math.round(fontSize * 0.5) + (i + 1) * lineHeight - Math.round(lineHeight * 0.25)}"
+            font-family="sans-serif" font-size="${fontSize}" fill="white" text-anchor="middle">${escapeXml(line)}</text>`).join('\n')}
+    </svg>`;
+
+    await sharp(Buffer.from(svg)).png().toFile(outputPath);
+    return outputPath;
+}
+
+/**
+ * Encode one segment from a picture input (ffmpeg input args; its first video
+ * stream is used). videoFilter turns it into output-sized frames; the
+ * source's own audio is kept when hasAudio, otherwise the segment is silent.
+ * look is { fadeIn, fadeOut, caption }.
+ */
+async function encodeSegment({ input, videoFilter, hasAudio, duration }, look, options, outputPath) {
+    const fades = segmentFades(look, options, duration);
+    const args = [...input];
+    let nextInput = 1;
+    let audio = '[0:a:0]aresample=48000';
+    if (!hasAudio) {
+        args.push('-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=stereo');
+        audio = `[${nextInput++}:a]anull`;
+    }
+
+    const filters = [];
+    if (look.caption) {
+        args.push('-i', await renderCaptionFrame(look.caption, options, `${outputPath}.caption.png`));
+        filters.push(`[0:v:0]${videoFilter}[picture]`);
+        // Fades come after the overlay so the caption fades with the picture
+        filters.push(`[picture][${nextInput}:v]overlay,format=yuv420p${fades.video}[video]`);
+    } else {
+        filters.push(`[0:v:0]${videoFilter},format=yuv420p${fades.video}[video]`);
+    }
+    filters.push(`${audio}${fades.audio}[audio]`);
+
+    await ffmpeg([
+        ...args,
+        '-filter_complex', filters.join(';'),
+        '-map', '[video]',
+        '-map', '[audio]',
+        ...segmentOutputArgs(duration, outputPath)
+    ]);
+    return { path: outputPath, duration };
+}
+
+async function renderTitleSegment(series, episode, look, options, workDir) {
+    const { width, height } = RESOLUTIONS[options.resolution];
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <rect width="100%" height="100%" fill="black"/>
+        <text x="50%" y="47%" font-family="sans-serif" font-size="${Math.round(height / 10)}" font-weight="bold"
+            fill="white" text-anchor="middle">${escapeXml(episode.title || '')}</text>
+        <text x="50%" y="58%" font-family="sans-serif" font-size="${Math.round(height / 24)}"
+            fill="#b3b3b3" text-anchor="middle">${escapeXml(series.title || '')}</text>
+    </svg>`;
+
+    const framePath = path.join(workDir, 'title.png');
+    await sharp(Buffer.from(svg)).png().toFile(framePath);
+    return encodeSegment({
+        input: ['-loop', '1', '-framerate', String(FRAME_RATE), '-i', framePath],
+        videoFilter: 'null',
+        hasAudio: false,
+        duration: options.titleDuration
+    }, look, options, path.join(workDir, 'title.mp4'));
+}
+
+// zoompan expressions moving linearly from start to end over the segment
+function kenBurnsFilter(kenBurns, frames, width, height) {
+    const { startZoom, endZoom, startX, startY, endX, endY } = kenBurns;
+    const progress = `on/${Math.max(frames - 1, 1)}`;
+    const lerp = (from, to) => `(${from}+${to - from}*${progress})`;
+    // Keep the focal point centred unless that would show past the edge of the photo
+    const position = (from, to, size) => `max(0,min(${size}-${size}/zoom,${lerp(from, to)}*${size}-${size}/zoom/2))`;
+    return `zoompan=z='${lerp(startZoom, endZoom)}':x='${position(startX, endX, 'iw')}'`
+        + `:y='${position(startY, endY, 'ih')}':d=${frames}:s=${width}x${height}:fps=${FRAME_RATE}`;
+}
+
+async function renderImageSegment(sourcePath, media, duration, look, options, outputPath) {
+    const { width, height } = RESOLUTIONS[options.resolution];
+    // Pan/zoom works on a larger frame so the motion stays smooth
+    const scale = media.kenBurns ? 2 : 1;
+    const framePath = `${outputPath}.png`;
+    // sharp applies the EXIF orientation, which ffmpeg would ignore
+    await sharp(sourcePath)
+        .rotate()
+        .resize(width * scale, height * scale, { fit: 'contain', background: '#000000' })
+        .flatten({ background: '#000000' })
+        .png()
+        .toFile(framePath);
+
+    const frames = Math.ceil(duration * FRAME_RATE);
+    return encodeSegment(media.kenBurns
+        ? {
+            // zoompan turns the single frame into the whole segment
+            input: ['-i', framePath],
+            videoFilter: kenBurnsFilter(media.kenBurns, frames, width, height),
+            hasAudio: false,
+            duration
+        }
+        : {
+            input: ['-loop', '1', '-framerate', String(FRAME_RATE), '-i', framePath],
+            videoFilter: 'null',
+            hasAudio: false,
+            duration
+        }, look, options, outputPath);
+}
+
+async function renderVideoSegment(sourcePath, media, requestedDuration, look, options, outputPath) {
+    const { width, height } = RESOLUTIONS[options.resolution];
+    const probe = await ffprobe(sourcePath);
+    const clipDuration = parseFloat(probe.format.duration) || media.trimEnd || requestedDuration || 0;
+    const start = Math.min(media.trimStart || 0, clipDuration);
+    const available = Math.min(media.trimEnd || clipDuration, clipDuration) - start;
+    const duration = requestedDuration ? Math.min(requestedDuration, available) : available;
+    if (!(duration > 0)) throw new Error('Could not read the clip duration');
+
+    return encodeSegment({
+        input: [...(start > 0 ? ['-ss', start.toFixed(3)] : []), '-i', sourcePath],
+        videoFilter: `scale=${width}:${height}:force_original_aspect_ratio=decrease,`
+            + `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${FRAME_RATE}`,
+        hasAudio: probe.streams.some(s => s.codec_type === 'audio'),
+        duration
+    }, look, options, outputPath);
+}
+
+// ============================================
+// JOINING
+// ============================================
+
+/**
+ * Join the segments into outputPath, mixing in the music tracks
+ * ({ path, start, duration, fadeIn, fadeOut, volume }). Each segment
+ * crossfades over the previous one when its transition is 'crossfade'.
+ * Resolves with the length of the result in seconds.
+ */
+async function joinSegments(segments, musicTracks, options, outputPath) {
+    const { width, height } = RESOLUTIONS[options.resolution];
+    // Clips may be shorter than the transition; keep every overlap within both segments
+    const overlaps = segments.map((segment, i) => (i > 0 && segment.transition === 'crossfade'
+        ? Math.min(options.transitionDuration, segment.duration / 2, segments[i - 1].duration / 2)
+        : 0));
+    const crossfade = overlaps.some(overlap => overlap > 0);
+    const total = segments.reduce((sum, segment, i) => sum + segment.duration - overlaps[i], 0);
+
+    const args = [];
+    const filters = [];
+    let videoOutput;
+    let audioOutput;
+    let musicInput;
+
+    if (crossfade) {
+        segments.forEach(segment => args.push('-i', segment.path));
+        musicInput = segments.length;
+
+        // Each segment fades in over the previous one, starting `overlap` before it ends
+        filters.push(`color=c=black:s=${width}x${height}:r=${FRAME_RATE}:d=${total.toFixed(3)}[base]`);
+        let offset = 0;
+        segments.forEach((segment, i) => {
+            offset -= overlaps[i];
+            const fadeIn = overlaps[i] > 0 ? `format=yuva420p,fade=t=in:st=0:d=${overlaps[i]}:alpha=1,` : '';
+            filters.push(`[${i}:v]${fadeIn}setpts=PTS-STARTPTS+${offset.toFixed(3)}/TB[v${i}]`);
+            filters.push(`[${i === 0 ? 'base' : `o${i - 1}`}][v${i}]overlay=eof_action=pass[o${i}]`);
+            offset += segment.duration;
+        });
+        filters.push(`[o${segments.length - 1}]format=yuv420p[video]`);
+        videoOutput = '[video]';
+
+        let audio = '[0:a]';
+        for (let i = 1; i < segments.length; i++) {
+            filters.push(overlaps[i] > 0
+                ? `${audio}[${i}:a]acrossfade=d=${overlaps[i]}[a${i}]`
+                : `${audio}[${i}:a]concat=n=2:v=0:a=1[a${i}]`);
+            audio = `[a${i}]`;
+        }
+        audioOutput = audio;
+    } else {
+        const listPath = `${outputPath}.txt`;
+        // Explicit durations keep the AAC padding of each segment from shifting the next one
+        await fs.promises.writeFile(listPath, segments
+            .map(s => `file '${s.path.replace(/'/g, "'\\''")}'\nduration ${s.duration.toFixed(3)}`)
+            .join('\n'));
+        args.push('-f', 'concat', '-safe', '0', '-i', listPath);
+        musicInput = 1;
+        videoOutput = '0:v';
+        audioOutput = '[0:a]';
+    }
+
+    const tracks = musicTracks.filter(track => track.start < total);
+    if (tracks.length > 0) {
+        // Every track is delayed to its start and padded to the full length, so
+        // all stay active in the mix and amix's level never jumps
+        tracks.forEach((track, i) => {
+            args.push('-i', track.path);
+            const delay = Math.round(track.start * 1000);
+            const fades = [
+                track.fadeIn > 0 ? `,afade=t=in:st=0:d=${track.fadeIn}` : '',
+                track.fadeOut > 0 ? `,afade=t=out:st=${(track.duration - track.fadeOut).toFixed(3)}:d=${track.fadeOut}` : '',
+                delay > 0 ? `,adelay=${delay}|${delay}` : ''
+            ].join('');
+            filters.push(`[${musicInput + i}:a]aresample=48000,aformat=channel_layouts=stereo,`
+                + `volume=${track.volume * options.musicVolume}${fades},apad,atrim=0:${total.toFixed(3)}[track${i}]`);
+        });
+        const fadeStart = Math.max(0, total - MUSIC_FADE_OUT_SECONDS).toFixed(3);
+        const musicFade = `afade=t=out:st=${fadeStart}:d=${MUSIC_FADE_OUT_SECONDS}`;
+        filters.push(tracks.length > 1
+            ? `${tracks.map((track, i) => `[track${i}]`).join('')}amix=inputs=${tracks.length}:dropout_transition=0,`
+                + `volume=${tracks.length},${musicFade}[music]`
+            : `[track0]${musicFade}[music]`);
+        // amix halves both inputs; restore the clips' own level
+        filters.push(`${audioOutput}[music]amix=inputs=2:duration=first:dropout_transition=0,volume=2[audio]`);
+        audioOutput = '[audio]';
+    }
+
+    if (filters.length > 0) {
+        args.push('-filter_complex', filters.join(';'));
+    }
+    args.push(
+        '-map', videoOutput,
+        '-map', audioOutput === '[0:a]' ? '0:a' : audioOutput,
+        ...(crossfade
+            ? ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p']
+            : ['-c:v', 'copy']),
+        '-c:a', 'aac',
+        '-b:a', '160k',
+        '-t', total.toFixed(3),
+        '-movflags', '+faststart',
+        outputPath
+    );
+
+    await ffmpeg(args);
+    return total;
+}
+
+// ============================================
+// JOBS
+// ============================================
+
+// Stops a render whose row was deleted while it ran
+function renderDeletedError() {
+    const error = new Error('The render was deleted');
+    error.renderDeleted = true;
+    return error;
+}
+
+/**
+ * Render an episode and store the MP4, recording progress on the render
+ */
+async function processRender(renderId) {
+    const render = getRender(renderId);
+    if (!render || !['queued', 'rendering'].includes(render.status)) return;
+
+    const series = getSeries(render.seriesId);
+    const episode = series && series.episodes.find(e => e.id === render.episodeId);
+    const options = { ...DEFAULT_RENDER_OPTIONS, ...render.options };
+    const workDir = createTempPath();
+    let outputKey = null;
+
+    // Record progress; stops the render if it was deleted meanwhile
+    const setProgress = (progress) => {
+        render.progress = Math.round(progress);
+        if (!updateRender(render)) throw renderDeletedError();
+    };
+
+    try {
+        render.status = 'rendering';
+        render.error = null;
+        setProgress(0);
+
+        if (!episode) throw new Error('The episode no longer exists');
+        const media = episode.media.filter(m => m.status !== 'failed');
+        if (media.length === 0) throw new Error('The episode has no media to render');
+
+        const durationOf = m => itemDuration(m, options);
+        // A crossfade or fade can't be longer than the shortest item allows
+        const shortest = Math.min(
+            ...media.map(durationOf).filter(Boolean),
+            ...(options.titleDuration > 0 ? [options.titleDuration] : [])
+        );
+        if (Number.isFinite(shortest)) {
+            options.transitionDuration = Math.min(options.transitionDuration, shortest / 2);
+        }
+
+        // Each item enters with its own transition, or the render's. A 'fade'
+        // fades the item in and the one before it out.
+        const transitions = [
+            ...(options.titleDuration > 0 ? [options.transition] : []),
+            ...media.map(m => m.transition || options.transition)
+        ];
+        const lookOf = (i, caption = null) => ({
+            fadeIn: transitions[i] === 'fade',
+            fadeOut: (i + 1 < transitions.length ? transitions[i + 1] : options.transition) === 'fade',
+            caption
+        });
+
+        await fs.promises.mkdir(workDir, { recursive: true });
+        const segments = [];
+        if (options.titleDuration > 0) {
+            segments.push(await renderTitleSegment(series, episode, lookOf(0), options, workDir));
+        }
+
+        for (const [index, m] of media.entries()) {
+            const source = await downloadToTemp(m.filename || getKeyFromUrl(m.url));
+            try {
+                const segmentPath = path.join(workDir, `${index}.mp4`);
+                const look = lookOf(segments.length, m.caption);
+                segments.push(m.type === 'video'
+                    ? await renderVideoSegment(source.path, m, durationOf(m), look, options, segmentPath)
+                    : await renderImageSegment(source.path, m, durationOf(m), look, options, segmentPath));
+            } finally {
+                source.cleanup();
+            }
+            setProgress(80 * (index + 1) / media.length);
+        }
+
+        segments.forEach((segment, i) => {
+            segment.transition = transitions[i];
+        });
+
+        // Track lengths are read from the files, so the timeline is right even
+        // before the music job has stored them
+        const downloads = [];
+        const outputPath = path.join(workDir, 'render.mp4');
+        let duration;
+        try {
+            const tracks = [];
+            for (const track of episode.musicTracks) {
+                const key = getKeyFromUrl(track.url);
+                if (!key) continue;
+                const download = await downloadToTemp(key);
+                downloads.push(download);
+                const probe = await ffprobe(download.path);
+                const trackDuration = parseFloat(probe.format.duration);
+                if (!(trackDuration > 0)) throw new Error(`Could not read music track ${track.originalName || track.id}`);
+                tracks.push({ ...track, path: download.path, duration: trackDuration });
+            }
+            duration = await joinSegments(segments, musicTimeline(tracks), options, outputPath);
+        } finally {
+            downloads.forEach(download => download.cleanup());
+        }
+        setProgress(95);
+
+        // Only a stored file is ours to delete if anything fails from here
+        const { size } = await fs.promises.stat(outputPath);
+        const key = `renders/${render.id}.mp4`;
+        await putFile(key, outputPath, 'video/mp4');
+        outputKey = key;
+
+        Object.assign(render, {
+            status: 'ready',
+            progress: 100,
+            url: getFileUrl(outputKey),
+            size,
+            duration: Math.round(duration * 1000) / 1000,
+            completedAt: new Date().toISOString()
+        });
+        if (!updateRender(render)) throw renderDeletedError();
+        console.log(`[RENDER] ✅ Rendered episode "${episode.title}" (${render.id})`);
+    } catch (error) {
+        // A failed cleanup leaves an orphan for storage reconciliation; the
+        // render must still be marked failed, with the error that failed it
+        if (outputKey) {
+            try {
+                await deleteFile(outputKey);
+            } catch (deleteError) {
+                console.error(`[RENDER] ❌ Could not delete ${outputKey}:`, deleteError.message);
+            }
+        }
+        // Never leave a row under this ID 'rendering' (does nothing once it's deleted)
+        render.status = 'failed';
+        render.error = error.message;
+        render.completedAt = new Date().toISOString();
+        updateRender(render);
+        if (error.renderDeleted) {
+            console.log(`[RENDER] Render ${render.id} was deleted; stopped`);
+            return;
+        }
+        throw error;
+    } finally {
+        removeTemp(workDir);
+    }
+}
+
+/**
+ * Expected length in seconds of an episode rendered with options, or null
+ * while the length of a clip is unknown (its metadata hasn't been read yet)
+ */
+function estimateEpisodeDuration(episode, options = DEFAULT_RENDER_OPTIONS) {
+    const media = episode.media.filter(m => m.status !== 'failed');
+    const items = [
+        ...(options.titleDuration > 0 ? [{ duration: options.titleDuration, transition: options.transition }] : []),
+        ...media.map(m => {
+            const clipLength = m.metadata && m.metadata.duration
+                ? Math.min(m.trimEnd || m.metadata.duration, m.metadata.duration) - (m.trimStart || 0)
+                : null;
+            const requested = itemDuration(m, options);
+            return {
+                duration: m.type === 'video' && clipLength !== null ? Math.min(requested || clipLength, clipLength) : requested,
+                transition: m.transition || options.transition
+            };
+        })
+    ];
+    if (items.some(item => !(item.duration > 0))) return null;
+
+    // Same overlaps as joinSegments, with the transition limited as in processRender
+    const shortest = Math.min(
+        ...media.map(m => itemDuration(m, options)).filter(Boolean),
+        ...(options.titleDuration > 0 ? [options.titleDuration] : [])
+    );
+    const transitionDuration = Math.min(options.transitionDuration, shortest / 2);
+    return items.reduce((total, item, i) => {
+        const overlap = i > 0 && item.transition === 'crossfade'
+            ? Math.min(transitionDuration, item.duration / 2, items[i - 1].duration / 2)
+            : 0;
+        return total + item.duration - overlap;
+    }, 0);
+}
+
+function queueRender(renderId) {
+    enqueue(`render ${renderId}`, () => processRender(renderId));
+}
+
+/**
+ * Re-queue renders interrupted by a restart
+ */
+function resumePendingRenders() {
+    const pending = [...listRendersByStatus('rendering'), ...listRendersByStatus('queued')];
+    pending.forEach(render => queueRender(render.id));
+    return pending.length;
+}
+
+/**
+ * Delete renders and their stored files
+ */
+async function deleteRenders(renders) {
+    for (const render of renders) {
+        const key = getKeyFromUrl(render.url);
+        if (key) await deleteFile(key);
+        deleteRender(render.id);
+    }
+}
+
+function deleteEpisodeRenders(seriesId, episodeId) {
+    return deleteRenders(listEpisodeRenders(seriesId, episodeId));
+}
+
+function deleteSeriesRenders(seriesId) {
+    return deleteRenders(listSeriesRenders(seriesId));
+}
+
+module.exports = {
+    RESOLUTIONS,
+    TRANSITIONS,
+    DEFAULT_RENDER_OPTIONS,
+    estimateEpisodeDuration,
+    queueRender,
+    resumePendingRenders,
+    deleteRenders,
+    deleteEpisodeRenders,
+    deleteSeriesRenders
+};
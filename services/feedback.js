@@ -0,0 +1,147 @@
+/**
+ * Feedback
+ * Validation and response shapes for the comments and reactions viewers leave
+ * on an episode or a media item, shared by the owner and share link routes.
+ *
+ * Share link viewers have no account: they give a name with each comment or
+ * reaction and identify themselves with a viewer ID their client generates
+ * and keeps (X-Viewer-Id), which lets them remove their own later.
+ */
+
+const REACTIONS = ['heart', 'like', 'laugh', 'wow', 'sad'];
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_AUTHOR_NAME_LENGTH = 100;
+
+/**
+ * Find what feedback is left on: an episode (by ID), or a media item in it.
+ * Returns { episode, media } (media null for the episode itself), or { error }.
+ */
+function findTarget(series, { episodeId, mediaId = null }) {
+    const episode = typeof episodeId === 'string' ? series.episodes.find(e => e.id === episodeId) : null;
+    if (!episode) {
+        return { error: 'episodeId must be an episode of the series' };
+    }
+    if (mediaId === null) return { episode, media: null };
+
+    const media = episode.media.find(m => m.id === mediaId);
+    if (!media) {
+        return { error: 'mediaId must be a media item of the episode (or null)' };
+    }
+    return { episode, media };
+}
+
+function parseCommentBody(value) {
+    const body = typeof value === 'string' ? value.trim() : '';
+    if (!body) {
+        return { error: 'body must be a non-empty string' };
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        return { error: `body must be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+    return { body };
+}
+
+function parseReactionKind(value) {
+    if (!REACTIONS.includes(value)) {
+        return { error: `kind must be one of: ${REACTIONS.join(', ')}` };
+    }
+    return { kind: value };
+}
+
+/**
+ * Who a share link viewer is: { authorKey, authorName } or { error }.
+ * authorName is only required when writing (pass requireName).
+ */
+function parseViewer(viewerId, authorName, requireName) {
+    if (typeof viewerId !== 'string' || !/^[A-Za-z0-9_-]{8,100}$/.test(viewerId)) {
+        return { error: 'X-Viewer-Id must be 8-100 letters, digits, "-" or "_"' };
+    }
+    const name = typeof authorName === 'string' ? authorName.trim() : '';
+    if (requireName && !name) {
+        return { error: 'authorName is required' };
+    }
+    if (name.length > MAX_AUTHOR_NAME_LENGTH) {
+        return { error: `authorName must be at most ${MAX_AUTHOR_NAME_LENGTH} characters` };
+    }
+    return { authorKey: `viewer:${viewerId}`, authorName: name };
+}
+
+/**
+ * The author key of a logged-in user
+ */
+function userAuthorKey(user) {
+    return `user:${user.id}`;
+}
+
+/**
+ * Feedback whose episode or media item is still in the series, with the
+ * episode it is in now, narrowed to filter ({ episodeId, mediaId }, from the
+ * query). Feedback on items in the trash is left out until they are restored.
+ */
+function placeFeedback(series, items, { episodeId, mediaId } = {}) {
+    const mediaEpisodes = new Map();
+    series.episodes.forEach(episode => {
+        episode.media.forEach(media => mediaEpisodes.set(media.id, episode.id));
+    });
+    const episodeIds = new Set(series.episodes.map(episode => episode.id));
+
+    return items
+        .map(item => {
+            const current = item.mediaId ? mediaEpisodes.get(item.mediaId) : item.episodeId;
+            return current && episodeIds.has(current) ? { ...item, episodeId: current } : null;
+        })
+        .filter(item => item && (!episodeId || item.episodeId === episodeId) && (!mediaId || item.mediaId === mediaId));
+}
+
+/**
+ * A comment as returned to a client. mine tells whether authorKey wrote it.
+ */
+function formatComment(comment, authorKey) {
+    return {
+        id: comment.id,
+        episodeId: comment.episodeId,
+        mediaId: comment.mediaId,
+        authorName: comment.authorName,
+        body: comment.body,
+        hidden: !!comment.hiddenAt,
+        hiddenAt: comment.hiddenAt,
+        createdAt: comment.createdAt,
+        mine: comment.authorKey === authorKey
+    };
+}
+
+function formatReaction(reaction, authorKey) {
+    return {
+        id: reaction.id,
+        episodeId: reaction.episodeId,
+        mediaId: reaction.mediaId,
+        kind: reaction.kind,
+        authorName: reaction.authorName,
+        createdAt: reaction.createdAt,
+        mine: reaction.authorKey === authorKey
+    };
+}
+
+/**
+ * Reactions with how many of each kind there are: { counts, reactions }
+ */
+function summarizeReactions(reactions, authorKey) {
+    const counts = {};
+    REACTIONS.forEach(kind => {
+        counts[kind] = reactions.filter(reaction => reaction.kind === kind).length;
+    });
+    return { counts, reactions: reactions.map(reaction => formatReaction(reaction, authorKey)) };
+}
+
+module.exports = {
+    REACTIONS,
+    findTarget,
+    parseCommentBody,
+    parseReactionKind,
+    parseViewer,
+    userAuthorKey,
+    placeFeedback,
+    formatComment,
+    formatReaction,
+    summarizeReactions
+};
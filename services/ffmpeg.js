@@ -0,0 +1,60 @@
+/**
+ * ffmpeg / ffprobe
+ * Thin wrappers around the command-line tools. Set FFMPEG_PATH and
+ * FFPROBE_PATH if they are not on the PATH.
+ */
+
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+/**
+ * Run a command and resolve with its stdout; rejects on a non-zero exit
+ */
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const stdout = [];
+        let stderr = '';
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => {
+            // Keep only the tail; ffmpeg is chatty
+            stderr = (stderr + chunk).slice(-4000);
+        });
+        child.on('error', error => {
+            if (error.code === 'ENOENT') {
+                error.message = `${command} not found (set ${command === FFMPEG_PATH ? 'FFMPEG_PATH' : 'FFPROBE_PATH'})`;
+            }
+            reject(error);
+        });
+        child.on('close', code => {
+            if (code === 0) return resolve(Buffer.concat(stdout).toString());
+            reject(new Error(`${command} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+        });
+    });
+}
+
+function ffmpeg(args) {
+    return run(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', ...args]);
+}
+
+/**
+ * ffprobe a file and return the parsed JSON (format and streams)
+ */
+async function ffprobe(filePath) {
+    const output = await run(FFPROBE_PATH, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        filePath
+    ]);
+    return JSON.parse(output);
+}
+
+module.exports = {
+    ffmpeg,
+    ffprobe
+};
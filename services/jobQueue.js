@@ -0,0 +1,37 @@
+/**
+ * Background Job Queue
+ * A small in-process queue that runs media processing jobs one at a time
+ * after the upload response has been sent.
+ */
+
+const queue = [];
+let running = false;
+
+/**
+ * Queue an async job. Failures are logged and never reach the caller.
+ */
+function enqueue(name, job) {
+    queue.push({ name, job });
+    console.log(`[JOBS] Queued ${name} (${queue.length} waiting)`);
+    runNext();
+}
+
+async function runNext() {
+    if (running || queue.length === 0) return;
+    running = true;
+
+    const { name, job } = queue.shift();
+    try {
+        await job();
+        console.log(`[JOBS] ✅ ${name}`);
+    } catch (error) {
+        console.error(`[JOBS] ❌ ${name} failed:`, error.message);
+    } finally {
+        running = false;
+        runNext();
+    }
+}
+
+module.exports = {
+    enqueue
+};
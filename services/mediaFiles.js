@@ -0,0 +1,77 @@
+/**
+ * Stored Files
+ * Finds and deletes every stored file that belongs to a series, episode or
+ * media item (originals, generated thumbnails, transcodes, HLS streams and music).
+ *
+ * The delete functions take an optional keep(key) that returns true for keys,
+ * and HLS folder prefixes, that must stay because something else uses them.
+ */
+
+const { deleteFile, getKeyFromUrl, deletePrefix } = require('../config/storage');
+const { getHlsPrefix } = require('./transcoder');
+
+/**
+ * Every stored file URL belonging to a media item (original and generated)
+ */
+function getMediaFileUrls(media) {
+    return [media.url, media.sourceUrl, media.poster, ...Object.values(media.variants || {})];
+}
+
+/**
+ * Every stored file URL a series references
+ */
+function getSeriesFileUrls(series) {
+    const urls = [series.thumbnail, series.banner];
+    (series.episodes || []).forEach(episode => {
+        urls.push(episode.thumbnail, ...(episode.musicTracks || []).map(track => track.url));
+        (episode.media || []).forEach(media => urls.push(...getMediaFileUrls(media)));
+    });
+    return urls.filter(Boolean);
+}
+
+const keepNothing = () => false;
+
+async function deleteUrls(urls, keep) {
+    for (const url of urls) {
+        const key = getKeyFromUrl(url);
+        if (key && !keep(key)) await deleteFile(key);
+    }
+}
+
+/**
+ * Delete the stored files of a media item
+ */
+async function deleteMediaFiles(media, keep = keepNothing) {
+    await deleteUrls(getMediaFileUrls(media), keep);
+
+    const hlsPrefix = getHlsPrefix(media);
+    if (hlsPrefix && !keep(hlsPrefix)) await deletePrefix(hlsPrefix);
+}
+
+/**
+ * Delete every stored file referenced by an episode
+ */
+async function deleteEpisodeFiles(episode, keep = keepNothing) {
+    await deleteUrls([episode.thumbnail, ...(episode.musicTracks || []).map(track => track.url)], keep);
+    for (const media of episode.media || []) {
+        await deleteMediaFiles(media, keep);
+    }
+}
+
+/**
+ * Delete every stored file referenced by a series
+ */
+async function deleteSeriesFiles(series, keep = keepNothing) {
+    await deleteUrls([series.thumbnail, series.banner], keep);
+    for (const episode of series.episodes || []) {
+        await deleteEpisodeFiles(episode, keep);
+    }
+}
+
+module.exports = {
+    getMediaFileUrls,
+    getSeriesFileUrls,
+    deleteMediaFiles,
+    deleteEpisodeFiles,
+    deleteSeriesFiles
+};
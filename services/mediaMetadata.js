@@ -0,0 +1,227 @@
+/**
+ * Media Metadata
+ * Extracts capture date, dimensions, duration, orientation and GPS position
+ * from uploaded photos (EXIF) and videos (container tags) and stores them on
+ * the media record as metadata:
+ *   { capturedAt, width, height, duration, orientation, location: { latitude, longitude, altitude } }
+ *
+ * Width and height are as displayed, i.e. after applying the orientation.
+ * orientation uses the EXIF values 1-8 for videos too (90° rotation -> 6).
+ */
+
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { getKeyFromUrl } = require('../config/storage');
+const { getSeries, saveSeries } = require('../db/seriesRepository');
+const { ffprobe } = require('./ffmpeg');
+const { downloadToTemp } = require('./tempFiles');
+const { enqueue } = require('./jobQueue');
+
+// Video rotation in degrees -> EXIF orientation
+const ROTATION_ORIENTATIONS = { 0: 1, 90: 6, 180: 3, 270: 8 };
+
+function toIsoDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * EXIF dates have no timezone; exif-reader reads them as UTC, so apply the
+ * OffsetTime tag when the camera recorded one
+ */
+function exifCaptureDate(exif) {
+    const photo = exif.Photo || {};
+    const image = exif.Image || {};
+    const date = photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime;
+    if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+
+    const offset = /^([+-])(\d{2}):(\d{2})$/.exec(photo.OffsetTimeOriginal || photo.OffsetTime || '');
+    if (!offset) return date.toISOString();
+
+    const minutes = (parseInt(offset[2]) * 60 + parseInt(offset[3])) * (offset[1] === '-' ? -1 : 1);
+    return new Date(date.getTime() - minutes * 60 * 1000).toISOString();
+}
+
+function exifLocation(gps) {
+    if (!gps || !Array.isArray(gps.GPSLatitude) || !Array.isArray(gps.GPSLongitude)) return null;
+
+    const toDegrees = ([degrees, minutes = 0, seconds = 0]) => degrees + minutes / 60 + seconds / 3600;
+    const latitude = toDegrees(gps.GPSLatitude) * (gps.GPSLatitudeRef === 'S' ? -1 : 1);
+    const longitude = toDegrees(gps.GPSLongitude) * (gps.GPSLongitudeRef === 'W' ? -1 : 1);
+    if (!isFinite(latitude) || !isFinite(longitude)) return null;
+
+    const altitude = typeof gps.GPSAltitude === 'number'
+        ? gps.GPSAltitude * (gps.GPSAltitudeRef === 1 ? -1 : 1)
+        : null;
+    return { latitude, longitude, altitude };
+}
+
+/**
+ * Parse an ISO 6709 location as written by phones into MP4/MOV files,
+ * e.g. "+37.3349-122.0090+010.000/"
+ */
+function parseIso6709(value) {
+    const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(value || '');
+    if (!match) return null;
+    return {
+        latitude: parseFloat(match[1]),
+        longitude: parseFloat(match[2]),
+        altitude: match[3] ? parseFloat(match[3]) : null
+    };
+}
+
+async function readImageMetadata(filePath) {
+    const info = await sharp(filePath).metadata();
+
+    let exif = {};
+    if (info.exif) {
+        try {
+            exif = exifReader(info.exif);
+        } catch (error) {
+            console.error('[METADATA] Ignoring unreadable EXIF:', error.message);
+        }
+    }
+
+    const orientation = info.orientation || 1;
+    const rotated = orientation >= 5; // 5-8 are turned by 90°
+    return {
+        capturedAt: exifCaptureDate(exif),
+        width: (rotated ? info.height : info.width) || null,
+        height: (rotated ? info.width : info.height) || null,
+        duration: null,
+        orientation,
+        location: exifLocation(exif.GPSInfo)
+    };
+}
+
+async function readVideoMetadata(filePath) {
+    const probe = await ffprobe(filePath);
+    const video = probe.streams.find(s => s.codec_type === 'video') || {};
+    const formatTags = (probe.format && probe.format.tags) || {};
+    const videoTags = video.tags || {};
+
+    // Rotation is a stream tag in older files and display-matrix side data in newer ones
+    const displayMatrix = (video.side_data_list || []).find(d => d.rotation !== undefined);
+    const rawRotation = displayMatrix ? -displayMatrix.rotation : parseInt(videoTags.rotate) || 0;
+    const rotation = ((rawRotation % 360) + 360) % 360;
+    const rotated = rotation === 90 || rotation === 270;
+
+    const duration = parseFloat(probe.format && probe.format.duration);
+    const capturedAt = formatTags['com.apple.quicktime.creationdate']
+        || formatTags.creation_time
+        || videoTags.creation_time;
+
+    return {
+        capturedAt: capturedAt ? toIsoDate(capturedAt) : null,
+        width: (rotated ? video.height : video.width) || null,
+        height: (rotated ? video.width : video.height) || null,
+        duration: isFinite(duration) ? duration : null,
+        orientation: ROTATION_ORIENTATIONS[rotation] || 1,
+        location: parseIso6709(formatTags['com.apple.quicktime.location.ISO6709'] || formatTags.location)
+    };
+}
+
+const finiteOrNull = value => (typeof value === 'number' && isFinite(value) ? value : null);
+const positiveOrNull = value => (finiteOrNull(value) !== null && value > 0 ? value : null);
+
+function checkLocation(location) {
+    if (!location || typeof location !== 'object') return null;
+    const latitude = finiteOrNull(location.latitude);
+    const longitude = finiteOrNull(location.longitude);
+    if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return { latitude, longitude, altitude: finiteOrNull(location.altitude) };
+}
+
+/**
+ * Metadata that didn't come from extraction (e.g. an imported archive) in the
+ * shape extraction produces: values that are missing or invalid become null,
+ * so capturedAt is always an ISO date and location always has coordinates
+ */
+function checkMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object') return null;
+    const orientation = Number.isInteger(metadata.orientation) && metadata.orientation >= 1 && metadata.orientation <= 8
+        ? metadata.orientation
+        : 1;
+    return {
+        capturedAt: typeof metadata.capturedAt === 'string' ? toIsoDate(metadata.capturedAt) : null,
+        width: positiveOrNull(metadata.width),
+        height: positiveOrNull(metadata.height),
+        duration: positiveOrNull(metadata.duration),
+        orientation,
+        location: checkLocation(metadata.location)
+    };
+}
+
+/**
+ * Extract metadata from a local file of the given media type ('image' or 'video')
+ */
+function extractMetadata(filePath, type) {
+    return type === 'video' ? readVideoMetadata(filePath) : readImageMetadata(filePath);
+}
+
+/**
+ * Extract metadata from a file in storage
+ */
+async function readStoredMetadata(key, type) {
+    const source = await downloadToTemp(key);
+    try {
+        return await extractMetadata(source.path, type);
+    } finally {
+        source.cleanup();
+    }
+}
+
+/**
+ * Extract and save metadata for one media item
+ */
+async function processMediaMetadata(seriesId, mediaId) {
+    const current = getSeries(seriesId);
+    const currentEpisode = current && current.episodes.find(e => e.media.some(m => m.id === mediaId));
+    if (!currentEpisode) return; // deleted before we got to it
+
+    // Transcoded videos keep the original (with its tags) at sourceUrl
+    const media = currentEpisode.media.find(m => m.id === mediaId);
+    const sourceKey = (media.sourceUrl && getKeyFromUrl(media.sourceUrl)) || media.filename;
+    const metadata = await readStoredMetadata(sourceKey, media.type);
+
+    // Re-read: the series may have changed while we were reading the file
+    const series = getSeries(seriesId);
+    const episode = series && series.episodes.find(e => e.media.some(m => m.id === mediaId));
+    if (!episode) return;
+
+    episode.media.find(m => m.id === mediaId).metadata = metadata;
+    saveSeries(series);
+}
+
+/**
+ * Queue metadata extraction for newly uploaded media
+ */
+function queueMetadata(seriesId, mediaIds) {
+    mediaIds.forEach(mediaId => {
+        enqueue(`metadata for media ${mediaId}`, () => processMediaMetadata(seriesId, mediaId));
+    });
+}
+
+/**
+ * Sort media by capture date (oldest first, or newest with descending).
+ * Items without a capture date keep their relative order at the end.
+ */
+function sortByCaptureDate(media, descending = false) {
+    const dated = media.filter(m => m.metadata && m.metadata.capturedAt);
+    const undated = media.filter(m => !(m.metadata && m.metadata.capturedAt));
+
+    // Array.prototype.sort is stable, so equal dates keep their current order
+    dated.sort((a, b) => {
+        const difference = Date.parse(a.metadata.capturedAt) - Date.parse(b.metadata.capturedAt);
+        return descending ? -difference : difference;
+    });
+    return [...dated, ...undated];
+}
+
+module.exports = {
+    checkMetadata,
+    extractMetadata,
+    readStoredMetadata,
+    queueMetadata,
+    sortByCaptureDate
+};
@@ -0,0 +1,28 @@
+/**
+ * Media Processing
+ * Entry point for everything that happens to media after upload:
+ * metadata extraction and thumbnail generation for all items, and
+ * transcoding for videos.
+ */
+
+const { queueMetadata } = require('./mediaMetadata');
+const { queueThumbnails } = require('./thumbnails');
+const { queueTranscode } = require('./transcoder');
+
+/**
+ * Queue whatever background processing media records still need: new uploads
+ * get everything, restored items only what was interrupted when they were deleted
+ */
+function queueMediaProcessing(seriesId, mediaList) {
+    // Metadata first: it reads the original before a transcode replaces it
+    queueMetadata(seriesId, mediaList.filter(m => !m.metadata).map(m => m.id));
+    queueThumbnails(seriesId, mediaList.filter(m => !m.variants).map(m => m.id));
+
+    mediaList
+        .filter(m => m.type === 'video' && m.status === 'pending')
+        .forEach(m => queueTranscode(seriesId, m.id));
+}
+
+module.exports = {
+    queueMediaProcessing
+};
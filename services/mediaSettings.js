@@ -0,0 +1,147 @@
+/**
+ * Media Settings
+ * Validation for the presentation settings stored on each media item and
+ * used by the episode renderer:
+ *   caption    - text shown over the item
+ *   duration   - seconds a photo stays on screen
+ *   trimStart  - second a clip starts from
+ *   trimEnd    - second a clip stops at
+ *   kenBurns   - pan/zoom across a photo: { startZoom, endZoom, startX, startY, endX, endY }
+ *                where zooms are 1-3 and positions are the focal point (0-1 of width/height)
+ *   transition - how the item enters: none, fade or crossfade
+ * null clears a setting, so the render default applies.
+ */
+
+const { TRANSITIONS } = require('./episodeRenderer');
+
+const MEDIA_SETTINGS = ['caption', 'duration', 'trimStart', 'trimEnd', 'kenBurns', 'transition'];
+const MAX_CAPTION_LENGTH = 500;
+const DURATION_LIMITS = [0.5, 60]; // seconds
+const ZOOM_LIMITS = [1, 3];
+const DEFAULT_KEN_BURNS = {
+    startZoom: 1,
+    endZoom: 1.2,
+    startX: 0.5,
+    startY: 0.5,
+    endX: 0.5,
+    endY: 0.5
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+function parseKenBurns(value) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'kenBurns must be an object or null' };
+    }
+    const unknown = Object.keys(value).find(name => !(name in DEFAULT_KEN_BURNS));
+    if (unknown) {
+        return { error: `Unknown kenBurns field: ${unknown}` };
+    }
+
+    const kenBurns = { ...DEFAULT_KEN_BURNS, ...value };
+    for (const name of ['startZoom', 'endZoom']) {
+        const [min, max] = ZOOM_LIMITS;
+        if (!isNumber(kenBurns[name]) || kenBurns[name] < min || kenBurns[name] > max) {
+            return { error: `kenBurns.${name} must be a number from ${min} to ${max}` };
+        }
+    }
+    for (const name of ['startX', 'startY', 'endX', 'endY']) {
+        if (!isNumber(kenBurns[name]) || kenBurns[name] < 0 || kenBurns[name] > 1) {
+            return { error: `kenBurns.${name} must be a number from 0 to 1` };
+        }
+    }
+    return { kenBurns };
+}
+
+/**
+ * Validate changes to a media item's settings.
+ * Returns { settings } holding the item's complete settings after the change,
+ * or { error } describing the first invalid value.
+ */
+function parseMediaSettings(media, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return { error: 'Request body must be an object' };
+    }
+    const names = Object.keys(changes);
+    const unknown = names.find(name => !MEDIA_SETTINGS.includes(name));
+    if (unknown) {
+        return { error: `Unknown media setting: ${unknown}. Settings are: ${MEDIA_SETTINGS.join(', ')}` };
+    }
+    if (names.length === 0) {
+        return { error: `Provide at least one of: ${MEDIA_SETTINGS.join(', ')}` };
+    }
+
+    const settings = {};
+    MEDIA_SETTINGS.forEach(name => {
+        settings[name] = media[name] ?? null;
+    });
+    const isVideo = media.type === 'video';
+
+    for (const name of names) {
+        const value = changes[name];
+        if (value === null) {
+            settings[name] = null;
+            continue;
+        }
+
+        if (name === 'caption') {
+            if (typeof value !== 'string') return { error: 'caption must be a string or null' };
+            const caption = value.trim();
+            if (caption.length > MAX_CAPTION_LENGTH) {
+                return { error: `caption must be at most ${MAX_CAPTION_LENGTH} characters` };
+            }
+            settings.caption = caption || null;
+        }
+        if (name === 'duration') {
+            if (isVideo) return { error: 'duration only applies to images; trim videos with trimStart and trimEnd' };
+            const [min, max] = DURATION_LIMITS;
+            if (!isNumber(value) || value < min || value > max) {
+                return { error: `duration must be a number of seconds from ${min} to ${max}` };
+            }
+            settings.duration = value;
+        }
+        if (name === 'trimStart' || name === 'trimEnd') {
+            if (!isVideo) return { error: `${name} only applies to videos` };
+            if (!isNumber(value) || value < 0) {
+                return { error: `${name} must be a number of seconds >= 0` };
+            }
+            settings[name] = value;
+        }
+        if (name === 'kenBurns') {
+            if (isVideo) return { error: 'kenBurns only applies to images' };
+            const result = parseKenBurns(value);
+            if (result.error) return result;
+            settings.kenBurns = result.kenBurns;
+        }
+        if (name === 'transition') {
+            if (!TRANSITIONS.includes(value)) {
+                return { error: `transition must be one of: ${TRANSITIONS.join(', ')} (or null)` };
+            }
+            settings.transition = value;
+        }
+    }
+
+    // Trim points are checked together, against the clip length once the metadata job has read it
+    const { trimStart, trimEnd } = settings;
+    if (trimEnd !== null && trimEnd <= (trimStart || 0)) {
+        return { error: 'trimEnd must be after trimStart' };
+    }
+    const clipDuration = media.metadata && media.metadata.duration;
+    if (isNumber(clipDuration)) {
+        if (trimStart !== null && trimStart >= clipDuration) {
+            return { error: `trimStart must be before the end of the clip (${clipDuration}s)` };
+        }
+        if (trimEnd !== null && trimEnd > clipDuration) {
+            return { error: `trimEnd must not be past the end of the clip (${clipDuration}s)` };
+        }
+    }
+
+    return { settings };
+}
+
+module.exports = {
+    MEDIA_SETTINGS,
+    MAX_CAPTION_LENGTH,
+    DEFAULT_KEN_BURNS,
+    parseMediaSettings
+};
@@ -0,0 +1,73 @@
+/**
+ * Media Tags
+ * Media items carry tags: [{ type, name }] where type is 'person' (someone
+ * in the photo or video) or 'label' (anything else: places, events, ...).
+ * Names are matched case-insensitively, so "Grandma" and "grandma" are one tag.
+ */
+
+const TAG_TYPES = ['person', 'label'];
+const MAX_TAGS = 50; // per media item
+const MAX_TAG_LENGTH = 60;
+
+const tagKey = tag => `${tag.type}:${tag.name.toLowerCase()}`;
+
+/**
+ * Validate a list of tags. Plain strings are labels.
+ * Returns { tags } (trimmed, without duplicates) or { error }.
+ */
+function parseTags(value) {
+    if (!Array.isArray(value)) {
+        return { error: 'tags must be an array of { type, name } (or label strings)' };
+    }
+
+    const tags = [];
+    for (const entry of value) {
+        const tag = typeof entry === 'string' ? { type: 'label', name: entry } : entry;
+        if (!tag || typeof tag !== 'object' || typeof tag.name !== 'string' || !tag.name.trim()) {
+            return { error: 'Every tag needs a name' };
+        }
+        if (!TAG_TYPES.includes(tag.type)) {
+            return { error: `tag type must be one of: ${TAG_TYPES.join(', ')}` };
+        }
+        const name = tag.name.trim();
+        if (name.length > MAX_TAG_LENGTH) {
+            return { error: `Tag names must be at most ${MAX_TAG_LENGTH} characters` };
+        }
+        const parsed = { type: tag.type, name };
+        if (!tags.some(t => tagKey(t) === tagKey(parsed))) tags.push(parsed);
+    }
+    return { tags };
+}
+
+/**
+ * A media item's tags with some added and removed.
+ * Returns { tags } or { error } when the item would have more than MAX_TAGS.
+ */
+function applyTagChanges(current, add, remove) {
+    const removed = new Set(remove.map(tagKey));
+    const tags = (current || []).filter(tag => !removed.has(tagKey(tag)));
+    add.forEach(tag => {
+        if (!tags.some(t => tagKey(t) === tagKey(tag))) tags.push(tag);
+    });
+
+    if (tags.length > MAX_TAGS) {
+        return { error: `A media item can have at most ${MAX_TAGS} tags` };
+    }
+    return { tags };
+}
+
+/**
+ * Tags spelled the way the library already spells them, so a new "grandma"
+ * joins the existing "Grandma". existing is a list of { type, name }.
+ */
+function matchExistingSpelling(tags, existing) {
+    const spellings = new Map(existing.map(tag => [tagKey(tag), tag.name]));
+    return tags.map(tag => ({ type: tag.type, name: spellings.get(tagKey(tag)) || tag.name }));
+}
+
+module.exports = {
+    TAG_TYPES,
+    parseTags,
+    applyTagChanges,
+    matchExistingSpelling
+};
@@ -0,0 +1,153 @@
+/**
+ * Music Tracks
+ * Each episode has an ordered playlist of music tracks:
+ *   { id, url, originalName, duration, startOffset, fadeIn, fadeOut, volume }
+ *
+ * duration is read from the file by a background job after upload (null until
+ * then). startOffset is where in the episode the track starts, in seconds;
+ * null plays it straight after the previous track (the first at 0). fadeIn
+ * and fadeOut are seconds, volume scales the render's music volume (1 = as is).
+ */
+
+const { getKeyFromUrl } = require('../config/storage');
+const { getSeries, saveSeries, listTracksWithoutDuration } = require('../db/seriesRepository');
+const { ffprobe } = require('./ffmpeg');
+const { downloadToTemp } = require('./tempFiles');
+const { enqueue } = require('./jobQueue');
+
+const TRACK_SETTINGS = ['startOffset', 'fadeIn', 'fadeOut', 'volume'];
+const TRACK_LIMITS = {
+    startOffset: [0, 24 * 60 * 60],
+    fadeIn: [0, 60],
+    fadeOut: [0, 60],
+    volume: [0, 2]
+};
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Validate changes to a track's settings.
+ * Returns { settings } holding the track's complete settings after the change,
+ * or { error } describing the first invalid value. Only startOffset can be
+ * null (to follow the previous track).
+ */
+function parseTrackSettings(track, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return { error: 'Request body must be an object' };
+    }
+    const names = Object.keys(changes);
+    const unknown = names.find(name => !TRACK_SETTINGS.includes(name));
+    if (unknown) {
+        return { error: `Unknown track setting: ${unknown}. Settings are: ${TRACK_SETTINGS.join(', ')}` };
+    }
+    if (names.length === 0) {
+        return { error: `Provide at least one of: ${TRACK_SETTINGS.join(', ')}` };
+    }
+
+    const settings = {};
+    TRACK_SETTINGS.forEach(name => {
+        settings[name] = track[name];
+    });
+
+    for (const name of names) {
+        const value = changes[name];
+        if (name === 'startOffset' && value === null) {
+            settings.startOffset = null;
+            continue;
+        }
+        const [min, max] = TRACK_LIMITS[name];
+        if (typeof value !== 'number' || !(value >= min && value <= max)) {
+            return { error: `${name} must be a number from ${min} to ${max}${name === 'startOffset' ? ' (or null)' : ''}` };
+        }
+        settings[name] = value;
+    }
+
+    if (track.duration && settings.fadeIn + settings.fadeOut > track.duration) {
+        return { error: `fadeIn and fadeOut together must fit in the track (${track.duration}s)` };
+    }
+
+    return { settings };
+}
+
+/**
+ * The tracks with where each plays in the episode: { ...track, start, end }.
+ * Times after a track of unknown duration that follow it are null.
+ */
+function musicTimeline(tracks) {
+    let previousEnd = 0;
+    return tracks.map(track => {
+        const start = track.startOffset ?? previousEnd;
+        const end = start !== null && track.duration ? Math.round((start + track.duration) * 1000) / 1000 : null;
+        previousEnd = end;
+        return { ...track, start, end };
+    });
+}
+
+// ============================================
+// DURATION JOB
+// ============================================
+
+/**
+ * Read and save the duration of one track
+ */
+async function processTrackDuration(seriesId, trackId) {
+    const findTrack = series => series && series.episodes
+        .flatMap(episode => episode.musicTracks)
+        .find(track => track.id === trackId);
+
+    const current = findTrack(getSeries(seriesId));
+    if (!current) return; // deleted before we got to it
+    const key = getKeyFromUrl(current.url);
+    if (!key) return; // not in our storage
+
+    const source = await downloadToTemp(key);
+    let duration;
+    try {
+        const probe = await ffprobe(source.path);
+        duration = parseFloat(probe.format && probe.format.duration);
+    } finally {
+        source.cleanup();
+    }
+    if (!isFinite(duration)) throw new Error('Could not read the track duration');
+
+    // Re-read: the series may have changed while we were reading the file
+    const series = getSeries(seriesId);
+    const track = findTrack(series);
+    if (!track) return;
+
+    track.duration = duration;
+    saveSeries(series);
+}
+
+function queueTrackDuration(seriesId, trackId) {
+    enqueue(`duration of music track ${trackId}`, () => processTrackDuration(seriesId, trackId));
+}
+
+/**
+ * Queue duration reading for tracks that don't have one yet
+ */
+function queueMusicProcessing(seriesId, tracks) {
+    tracks
+        .filter(track => track.duration === null || track.duration === undefined)
+        .forEach(track => queueTrackDuration(seriesId, track.id));
+}
+
+/**
+ * Queue tracks whose duration was never read (interrupted by a restart, or
+ * stored before durations were read)
+ */
+function resumeMusicProcessing() {
+    const pending = listTracksWithoutDuration();
+    pending.forEach(({ seriesId, trackId }) => queueTrackDuration(seriesId, trackId));
+    return pending.length;
+}
+
+module.exports = {
+    TRACK_SETTINGS,
+    parseTrackSettings,
+    musicTimeline,
+    queueMusicProcessing,
+    resumeMusicProcessing
+};
@@ -0,0 +1,66 @@
+/**
+ * Passcode Attempts
+ * Limits wrong share link passcodes so one can't be found by trying them all:
+ * each client (IP address) may get MAX_FAILED_ATTEMPTS passcodes wrong per
+ * link within WINDOW_MS. A client over the limit has its passcodes refused
+ * unchecked until its oldest failure is WINDOW_MS old; other clients, and
+ * the right passcode from them, are unaffected.
+ *
+ * Failures are kept in process memory only: a restart forgets them, and
+ * servers running side by side each count their own.
+ */
+
+const MAX_FAILED_ATTEMPTS = 5;
+const WINDOW_MS = 15 * 60 * 1000;
+
+// `${shareId} ${client}` -> times of the failures within the window, oldest first
+const failures = new Map();
+
+function attemptKey(shareId, client) {
+    return `${shareId} ${client}`;
+}
+
+// Drop failures older than the window, and clients left without any
+function forgetExpired(now) {
+    failures.forEach((times, key) => {
+        while (times.length > 0 && times[0] <= now - WINDOW_MS) times.shift();
+        if (times.length === 0) failures.delete(key);
+    });
+}
+
+/**
+ * Milliseconds until a client may try passcodes for a share link again
+ * (0 if it may now)
+ */
+function getLockoutRemaining(shareId, client) {
+    const times = failures.get(attemptKey(shareId, client));
+    if (!times || times.length < MAX_FAILED_ATTEMPTS) return 0;
+
+    // Locked until enough of the failures have left the window
+    const unlocksAt = times[times.length - MAX_FAILED_ATTEMPTS] + WINDOW_MS;
+    return Math.max(0, unlocksAt - Date.now());
+}
+
+/**
+ * Count a wrong passcode from a client
+ */
+function recordFailedAttempt(shareId, client) {
+    const now = Date.now();
+    forgetExpired(now);
+
+    const key = attemptKey(shareId, client);
+    const times = failures.get(key) || [];
+    times.push(now);
+    failures.set(key, times);
+}
+
+function clearFailedAttempts(shareId, client) {
+    failures.delete(attemptKey(shareId, client));
+}
+
+module.exports = {
+    MAX_FAILED_ATTEMPTS,
+    getLockoutRemaining,
+    recordFailedAttempt,
+    clearFailedAttempts
+};
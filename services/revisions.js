@@ -0,0 +1,264 @@
+/**
+ * Series Revisions
+ * Compares revision snapshots and rolls a series back to one.
+ *
+ * A rollback restores the revision's text, episode list, media membership and
+ * order, and music playlists with their settings. Stored files are never
+ * resurrected: thumbnails, banners and the files and processing results of
+ * media and music keep their current values, episodes, media and music tracks
+ * come from the live series or the trash, and anything the revision doesn't
+ * contain goes to the trash. Every user edit trashes what it removes, so a revision
+ * can bring back anything deleted since, until the trash is purged.
+ */
+
+const { transaction } = require('../db');
+const { getSeries, saveSeries } = require('../db/seriesRepository');
+const { addToTrash, listTrash, deleteTrashItem, updateTrashItem } = require('../db/trashRepository');
+const { MEDIA_FILE_FIELDS, TRACK_FILE_FIELDS } = require('./seriesRecords');
+
+// Fields that point at stored files or processing results
+const SERIES_FILE_FIELDS = ['thumbnail', 'banner'];
+const EPISODE_FILE_FIELDS = ['thumbnail'];
+
+// Fields that are not user edits and are left out of diffs
+const SERIES_DIFF_IGNORED = ['id', 'ownerId', 'createdAt', 'episodeCount', 'episodes'];
+const EPISODE_DIFF_IGNORED = ['id', 'media', 'musicTracks'];
+const MEDIA_DIFF_IGNORED = ['id', 'addedAt', ...MEDIA_FILE_FIELDS];
+const TRACK_DIFF_IGNORED = ['id', ...TRACK_FILE_FIELDS];
+
+function pick(object, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (field in object) picked[field] = object[field];
+    });
+    return picked;
+}
+
+// ============================================
+// DIFF
+// ============================================
+
+function orNull(value) {
+    return value === undefined ? null : value;
+}
+
+// { field: { from, to } } for every differing field not in ignored
+function changedFields(from, to, ignored) {
+    const changes = {};
+    new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+        if (ignored.includes(field)) return;
+        if (JSON.stringify(orNull(from[field])) !== JSON.stringify(orNull(to[field]))) {
+            changes[field] = { from: orNull(from[field]), to: orNull(to[field]) };
+        }
+    });
+    return changes;
+}
+
+/**
+ * Added, removed, reordered and changed items between two lists with IDs
+ */
+function diffList(fromItems, toItems, describe, diffItem) {
+    const fromById = new Map(fromItems.map(item => [item.id, item]));
+    const toIds = new Set(toItems.map(item => item.id));
+
+    const kept = toItems.filter(item => fromById.has(item.id)).map(item => item.id);
+    const keptBefore = fromItems.filter(item => toIds.has(item.id)).map(item => item.id);
+
+    const changed = [];
+    toItems.forEach(item => {
+        const previous = fromById.get(item.id);
+        const changes = previous && diffItem(previous, item);
+        if (changes) changed.push({ ...describe(item), ...changes });
+    });
+
+    return {
+        added: toItems.filter(item => !fromById.has(item.id)).map(describe),
+        removed: fromItems.filter(item => !toIds.has(item.id)).map(describe),
+        reordered: kept.some((id, index) => id !== keptBefore[index]),
+        changed
+    };
+}
+
+function isEmptyListDiff(diff) {
+    return diff.added.length === 0 && diff.removed.length === 0 && !diff.reordered && diff.changed.length === 0;
+}
+
+function diffMedia(from, to) {
+    const fields = changedFields(from, to, MEDIA_DIFF_IGNORED);
+    return Object.keys(fields).length > 0 ? { fields } : null;
+}
+
+function diffTrack(from, to) {
+    const fields = changedFields(from, to, TRACK_DIFF_IGNORED);
+    return Object.keys(fields).length > 0 ? { fields } : null;
+}
+
+function diffEpisode(from, to) {
+    const fields = changedFields(from, to, EPISODE_DIFF_IGNORED);
+    const media = diffList(from.media, to.media, m => ({ id: m.id, originalName: m.originalName }), diffMedia);
+    // Snapshots from before music tracks have none
+    const musicTracks = diffList(from.musicTracks || [], to.musicTracks || [],
+        t => ({ id: t.id, originalName: t.originalName }), diffTrack);
+    if (Object.keys(fields).length === 0 && isEmptyListDiff(media) && isEmptyListDiff(musicTracks)) return null;
+    return { fields, media, musicTracks };
+}
+
+/**
+ * What changed between two series snapshots
+ */
+function diffSeries(from, to) {
+    return {
+        fields: changedFields(from, to, SERIES_DIFF_IGNORED),
+        episodes: diffList(from.episodes, to.episodes, e => ({ id: e.id, title: e.title }), diffEpisode)
+    };
+}
+
+// ============================================
+// RESTORE
+// ============================================
+
+/**
+ * Roll a series back to a revision on behalf of userId.
+ * Returns { series, skipped, trashed, restoredMedia }: items of the revision
+ * that no longer exist, how many items went to the trash, and the media
+ * records that came back from the trash (they may need processing).
+ */
+function restoreRevision(revision, userId) {
+    return transaction(() => {
+        const current = getSeries(revision.seriesId);
+        const target = revision.series;
+        const trash = listTrash(userId).filter(item => item.seriesId === current.id);
+
+        // Everything the rollback can use: live episodes, media and music first, then trashed ones
+        const episodes = new Map();
+        const media = new Map();
+        const tracks = new Map();
+        current.episodes.forEach(episode => {
+            episodes.set(episode.id, episode);
+            episode.media.forEach(m => media.set(m.id, { media: m }));
+            episode.musicTracks.forEach(t => tracks.set(t.id, t));
+        });
+        trash.forEach(trashItem => {
+            if (trashItem.kind === 'episode' && !episodes.has(trashItem.item.id)) {
+                episodes.set(trashItem.item.id, trashItem.item);
+                trashItem.item.media.forEach(m => {
+                    if (!media.has(m.id)) media.set(m.id, { media: m, fromTrash: true });
+                });
+                (trashItem.item.musicTracks || []).forEach(t => {
+                    if (!tracks.has(t.id)) tracks.set(t.id, t);
+                });
+            }
+            if (trashItem.kind === 'media' && !media.has(trashItem.item.id)) {
+                media.set(trashItem.item.id, { media: trashItem.item, fromTrash: true });
+            }
+            if (trashItem.kind === 'music' && !tracks.has(trashItem.item.id)) {
+                tracks.set(trashItem.item.id, trashItem.item);
+            }
+        });
+
+        const used = new Set();
+        const skipped = [];
+        const restoredMedia = [];
+        const restoredEpisodes = [];
+
+        target.episodes.forEach(snapshotEpisode => {
+            const source = episodes.get(snapshotEpisode.id);
+            if (!source) {
+                skipped.push({ kind: 'episode', id: snapshotEpisode.id, title: snapshotEpisode.title });
+                return;
+            }
+            used.add(snapshotEpisode.id);
+
+            const episode = { ...snapshotEpisode, ...pick(source, EPISODE_FILE_FIELDS), media: [], musicTracks: [] };
+            snapshotEpisode.media.forEach(snapshotMedia => {
+                const found = media.get(snapshotMedia.id);
+                if (!found) {
+                    skipped.push({ kind: 'media', id: snapshotMedia.id, title: snapshotMedia.originalName });
+                    return;
+                }
+                used.add(snapshotMedia.id);
+
+                const restored = { ...snapshotMedia, ...pick(found.media, MEDIA_FILE_FIELDS) };
+                episode.media.push(restored);
+                if (found.fromTrash) restoredMedia.push(restored);
+            });
+            // Snapshots from before music tracks have none: the current playlist stays
+            (snapshotEpisode.musicTracks || source.musicTracks || []).forEach(snapshotTrack => {
+                const found = tracks.get(snapshotTrack.id);
+                if (!found) {
+                    skipped.push({ kind: 'music', id: snapshotTrack.id, title: snapshotTrack.originalName });
+                    return;
+                }
+                used.add(snapshotTrack.id);
+                episode.musicTracks.push({ ...snapshotTrack, ...pick(found, TRACK_FILE_FIELDS) });
+            });
+            restoredEpisodes.push(episode);
+        });
+
+        const series = {
+            ...target,
+            ...pick(current, ['id', 'ownerId', 'createdAt', ...SERIES_FILE_FIELDS]),
+            episodeCount: restoredEpisodes.length,
+            episodes: restoredEpisodes
+        };
+
+        // Live episodes, media and music the revision doesn't contain go to the trash
+        const entries = [];
+        const mediaEntry = (episode, m) => ({
+            kind: 'media',
+            episodeId: episode.id,
+            position: episode.media.indexOf(m),
+            title: m.originalName,
+            item: m
+        });
+        const musicEntry = (episode, t) => ({
+            kind: 'music',
+            episodeId: episode.id,
+            position: episode.musicTracks.indexOf(t),
+            title: t.originalName || 'Music',
+            item: t
+        });
+        const leftovers = episode => ({
+            media: episode.media.filter(m => !used.has(m.id)),
+            musicTracks: (episode.musicTracks || []).filter(t => !used.has(t.id))
+        });
+        current.episodes.forEach((episode, position) => {
+            const leftover = leftovers(episode);
+            if (!used.has(episode.id)) {
+                entries.push({ kind: 'episode', position, title: episode.title, item: { ...episode, ...leftover } });
+            } else {
+                leftover.media.forEach(m => entries.push(mediaEntry(episode, m)));
+                leftover.musicTracks.forEach(t => entries.push(musicEntry(episode, t)));
+            }
+        });
+
+        // Trash items that are live again leave the trash (or just lose the live parts)
+        trash.forEach(trashItem => {
+            if ((trashItem.kind === 'media' || trashItem.kind === 'music') && used.has(trashItem.item.id)) {
+                deleteTrashItem(trashItem.id);
+            }
+            if (trashItem.kind === 'episode') {
+                const episode = { musicTracks: [], ...trashItem.item };
+                const remaining = leftovers(episode);
+                if (used.has(episode.id)) {
+                    deleteTrashItem(trashItem.id);
+                    remaining.media.forEach(m => entries.push(mediaEntry(episode, m)));
+                    remaining.musicTracks.forEach(t => entries.push(musicEntry(episode, t)));
+                } else if (remaining.media.length < episode.media.length
+                    || remaining.musicTracks.length < episode.musicTracks.length) {
+                    updateTrashItem(trashItem.id, { ...episode, ...remaining });
+                }
+            }
+        });
+
+        saveSeries(series, { userId, action: `Restore revision ${revision.number}` });
+        entries.forEach(entry => addToTrash({ ...entry, ownerId: userId, seriesId: series.id }));
+
+        return { series: getSeries(series.id), skipped, trashed: entries.length, restoredMedia };
+    });
+}
+
+module.exports = {
+    diffSeries,
+    restoreRevision
+};
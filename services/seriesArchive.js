@@ -0,0 +1,360 @@
+/**
+ * Series Archives
+ * Exports a series as a portable zip and imports one as a new series.
+ *
+ * The archive holds manifest.json (the series, its episodes and media with
+ * every stored file replaced by a path inside the archive) and the files
+ * themselves under files/. Only originals are exported: thumbnail variants,
+ * posters and transcodes are generated again after import.
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const { getKeyFromUrl, headObject, getObjectStream, putFile, deleteFile, getFileUrl, createKey } = require('../config/storage');
+const { getSeries, saveSeries } = require('../db/seriesRepository');
+const {
+    IMAGE_TYPES,
+    VIDEO_TYPES,
+    AUDIO_TYPES,
+    SNIFF_BYTES,
+    detectFileType,
+    unsupportedFileTypeError
+} = require('../utils/fileType');
+const { createTempPath, removeTemp } = require('./tempFiles');
+const { createMediaRecord, createMusicTrack, createEpisode } = require('./seriesRecords');
+const { MEDIA_SETTINGS, parseMediaSettings } = require('./mediaSettings');
+const { parseTags } = require('./mediaTags');
+const { TRACK_SETTINGS, parseTrackSettings } = require('./musicTracks');
+const { parseSeriesMetadata, parseEpisodeMetadata } = require('./catalogMetadata');
+const { checkMetadata } = require('./mediaMetadata');
+
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const MAX_MANIFEST_BYTES = 10 * 1024 * 1024;
+
+// Record fields that are IDs, stored files or processing results, left out of the manifest
+const SERIES_OMITTED = ['id', 'ownerId', 'thumbnail', 'banner', 'episodeCount', 'episodes'];
+// (music and musicOriginalName are the single music file of archives from before music tracks)
+const EPISODE_OMITTED = ['id', 'thumbnail', 'music', 'musicOriginalName', 'musicTracks', 'media'];
+const MEDIA_OMITTED = ['id', 'filename', 'url', 'variants', 'poster', 'status', 'statusError', 'sourceUrl', 'hlsUrl'];
+const TRACK_OMITTED = ['id', 'url', 'duration'];
+
+function omit(object, fields) {
+    const result = { ...object };
+    fields.forEach(field => delete result[field]);
+    return result;
+}
+
+/**
+ * Error for an upload that is not a usable series archive (HTTP 400)
+ */
+function invalidArchiveError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Build the manifest of a series.
+ * Returns { manifest, files } where files maps archive paths to storage keys.
+ * Files that are missing from storage are listed in manifest.missingFiles.
+ */
+async function prepareSeriesArchive(series) {
+    const files = new Map();
+    const missingFiles = [];
+
+    const addFile = async (url) => {
+        if (!url) return null;
+        const key = getKeyFromUrl(url);
+        if (!key || !(await headObject(key))) {
+            missingFiles.push(url);
+            return null;
+        }
+        const name = `files/${key}`;
+        files.set(name, key);
+        return name;
+    };
+
+    const episodes = [];
+    for (const episode of series.episodes) {
+        const media = [];
+        for (const m of episode.media) {
+            media.push({ ...omit(m, MEDIA_OMITTED), file: await addFile(m.url) });
+        }
+        const musicTracks = [];
+        for (const track of episode.musicTracks) {
+            const file = await addFile(track.url);
+            if (file) musicTracks.push({ ...omit(track, TRACK_OMITTED), file });
+        }
+        episodes.push({
+            ...omit(episode, EPISODE_OMITTED),
+            thumbnail: await addFile(episode.thumbnail),
+            media,
+            musicTracks
+        });
+    }
+
+    const manifest = {
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        series: {
+            ...omit(series, SERIES_OMITTED),
+            thumbnail: await addFile(series.thumbnail),
+            banner: await addFile(series.banner),
+            episodes
+        },
+        missingFiles
+    };
+
+    return { manifest, files };
+}
+
+/**
+ * Stream a prepared archive into output. Files are read from storage one at a
+ * time; stops early if output is closed.
+ */
+async function writeSeriesArchive({ manifest, files }, output) {
+    // Media is already compressed
+    const archive = archiver('zip', { store: true });
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(manifest, null, 4), { name: MANIFEST_NAME });
+    await once(archive, 'entry');
+
+    for (const [name, key] of files) {
+        if (output.destroyed) {
+            archive.abort();
+            return;
+        }
+        archive.append(await getObjectStream(key), { name });
+        await once(archive, 'entry');
+    }
+
+    await archive.finalize();
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+function readStream(stream, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        stream.on('data', chunk => {
+            length += chunk.length;
+            if (length > maxBytes) {
+                stream.destroy();
+                return reject(invalidArchiveError(`${MANIFEST_NAME} is too large`));
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+async function readHead(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+        return buffer.slice(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+async function openArchive(zipPath) {
+    let zip;
+    const entries = new Map();
+    try {
+        zip = await yauzl.openPromise(zipPath, { lazyEntries: true, autoClose: false });
+        for await (const entry of zip.eachEntry()) {
+            entries.set(entry.fileName, entry);
+        }
+    } catch (error) {
+        if (zip) zip.close();
+        throw invalidArchiveError(`Not a valid zip archive: ${error.message}`);
+    }
+    return { zip, entries };
+}
+
+function parseManifest(buffer) {
+    let manifest;
+    try {
+        manifest = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+        throw invalidArchiveError(`${MANIFEST_NAME} is not valid JSON`);
+    }
+
+    if (!manifest || manifest.version !== ARCHIVE_VERSION) {
+        throw invalidArchiveError(`Unsupported archive version (expected ${ARCHIVE_VERSION})`);
+    }
+    const { series } = manifest;
+    if (!series || !Array.isArray(series.episodes)
+        || !series.episodes.every(e => e && Array.isArray(e.media) && e.media.every(m => m && typeof m === 'object'))) {
+        throw invalidArchiveError(`${MANIFEST_NAME} does not describe a series`);
+    }
+    return manifest;
+}
+
+/**
+ * Create a new series for ownerId from an archive on local disk.
+ * Everything gets fresh IDs and every file is stored again through the
+ * current storage driver; file contents are checked like uploads. Nothing is
+ * kept if any part fails. Returns the saved series.
+ */
+async function importSeriesArchive(zipPath, ownerId) {
+    const { zip, entries } = await openArchive(zipPath);
+    const storedKeys = [];
+
+    // Copy a file from the archive into storage, returning its key and detected type
+    const storeFile = async (name, folder, allowedTypes) => {
+        const entry = entries.get(name);
+        if (!entry) {
+            throw invalidArchiveError(`${name} is listed in ${MANIFEST_NAME} but missing from the archive`);
+        }
+
+        const tempPath = createTempPath();
+        try {
+            await pipeline(await zip.openReadStreamPromise(entry), fs.createWriteStream(tempPath));
+            const detected = detectFileType(await readHead(tempPath));
+            if (!detected || !allowedTypes.includes(detected.ext)) {
+                throw unsupportedFileTypeError(name, detected, allowedTypes);
+            }
+
+            const key = createKey(folder, `file.${detected.ext}`);
+            await putFile(key, tempPath, detected.mime);
+            storedKeys.push(key);
+            return { key, detected };
+        } finally {
+            removeTemp(tempPath);
+        }
+    };
+    const storeUrl = async (name, folder, allowedTypes) => {
+        if (!name) return null;
+        const { key } = await storeFile(name, folder, allowedTypes);
+        return getFileUrl(key);
+    };
+
+    try {
+        const manifestEntry = entries.get(MANIFEST_NAME);
+        if (!manifestEntry) {
+            throw invalidArchiveError(`The archive has no ${MANIFEST_NAME}`);
+        }
+        const manifest = parseManifest(await readStream(await zip.openReadStreamPromise(manifestEntry), MAX_MANIFEST_BYTES));
+        const source = manifest.series;
+        const seriesMetadata = parseSeriesMetadata({}, source);
+        if (seriesMetadata.error) {
+            throw invalidArchiveError(`Invalid series details: ${seriesMetadata.error}`);
+        }
+
+        const episodes = [];
+        for (const sourceEpisode of source.episodes) {
+            const episodeMetadata = parseEpisodeMetadata({}, sourceEpisode);
+            if (episodeMetadata.error) {
+                throw invalidArchiveError(`Invalid details for episode ${episodes.length + 1}: ${episodeMetadata.error}`);
+            }
+            const episode = {
+                ...omit(sourceEpisode, EPISODE_OMITTED),
+                ...createEpisode(sourceEpisode.title || `Episode ${episodes.length + 1}`),
+                ...episodeMetadata.metadata,
+                thumbnail: await storeUrl(sourceEpisode.thumbnail, 'thumbnails', IMAGE_TYPES)
+            };
+
+            const sourceTracks = Array.isArray(sourceEpisode.musicTracks)
+                ? sourceEpisode.musicTracks
+                : [{ file: sourceEpisode.music, originalName: sourceEpisode.musicOriginalName }];
+            for (const sourceTrack of sourceTracks) {
+                if (!sourceTrack || !sourceTrack.file) continue;
+                const { key } = await storeFile(sourceTrack.file, 'music', AUDIO_TYPES);
+                const track = createMusicTrack(key, sourceTrack.originalName || sourceTrack.file);
+
+                const changes = {};
+                TRACK_SETTINGS.filter(name => sourceTrack[name] !== undefined).forEach(name => {
+                    changes[name] = sourceTrack[name];
+                });
+                if (Object.keys(changes).length > 0) {
+                    const { settings, error } = parseTrackSettings(track, changes);
+                    if (error) {
+                        throw invalidArchiveError(`Invalid settings for ${track.originalName}: ${error}`);
+                    }
+                    Object.assign(track, settings);
+                }
+                episode.musicTracks.push(track);
+            }
+
+            for (const sourceMedia of sourceEpisode.media) {
+                // Media whose file was missing at export time can't come back
+                if (!sourceMedia.file) continue;
+                const { key, detected } = await storeFile(sourceMedia.file, 'media', [...IMAGE_TYPES, ...VIDEO_TYPES]);
+                const media = {
+                    ...omit(sourceMedia, [...MEDIA_OMITTED, 'file', ...MEDIA_SETTINGS]),
+                    ...createMediaRecord(key, sourceMedia.originalName || sourceMedia.file, detected.kind),
+                    metadata: checkMetadata(sourceMedia.metadata)
+                };
+
+                // Settings are checked like edits; unset ones are left out
+                const changes = {};
+                MEDIA_SETTINGS.filter(name => sourceMedia[name] != null).forEach(name => {
+                    changes[name] = sourceMedia[name];
+                });
+                if (Object.keys(changes).length > 0) {
+                    const { settings, error } = parseMediaSettings(media, changes);
+                    if (error) {
+                        throw invalidArchiveError(`Invalid settings for ${media.originalName}: ${error}`);
+                    }
+                    Object.assign(media, settings);
+                }
+                if (sourceMedia.tags !== undefined) {
+                    const { tags, error } = parseTags(sourceMedia.tags);
+                    if (error) {
+                        throw invalidArchiveError(`Invalid tags for ${media.originalName}: ${error}`);
+                    }
+                    media.tags = tags;
+                }
+                episode.media.push(media);
+            }
+            episodes.push(episode);
+        }
+
+        const series = {
+            ...omit(source, SERIES_OMITTED),
+            id: uuidv4(),
+            ownerId,
+            title: source.title || 'Imported Series',
+            description: source.description || '',
+            ...seriesMetadata.metadata,
+            thumbnail: await storeUrl(source.thumbnail, 'series-thumbnails', IMAGE_TYPES),
+            banner: await storeUrl(source.banner, 'series-banners', IMAGE_TYPES),
+            createdAt: new Date().toISOString(),
+            episodeCount: episodes.length,
+            episodes
+        };
+
+        saveSeries(series, { userId: ownerId, action: 'Import series' });
+        return getSeries(series.id);
+    } catch (error) {
+        for (const key of storedKeys) {
+            await deleteFile(key);
+        }
+        throw error;
+    } finally {
+        zip.close();
+    }
+}
+
+module.exports = {
+    ARCHIVE_VERSION,
+    prepareSeriesArchive,
+    writeSeriesArchive,
+    importSeriesArchive
+};
@@ -0,0 +1,84 @@
+/**
+ * Series Records
+ * Builders for the episode, media and music track records new uploads and imports add to a series.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getFileUrl } = require('../config/storage');
+
+// Fields that point at stored files or hold what processing found out about
+// them. Only the server sets them; clients saving a series can't change them.
+const MEDIA_FILE_FIELDS = ['filename', 'type', 'url', 'variants', 'poster', 'status', 'statusError', 'sourceUrl', 'hlsUrl', 'metadata'];
+const TRACK_FILE_FIELDS = ['url', 'duration'];
+
+/**
+ * The media record stored for an uploaded file.
+ * kind is the detected content kind ('image' or 'video'), never guessed from the name.
+ */
+function createMediaRecord(key, originalName, kind) {
+    const isVideo = kind === 'video';
+    return {
+        id: uuidv4(),
+        filename: key,
+        originalName,
+        type: isVideo ? 'video' : 'image',
+        url: getFileUrl(key),
+        variants: null, // filled in by the thumbnail job
+        poster: null,
+        // Videos are playable once the transcode job has run
+        status: isVideo ? 'pending' : 'ready',
+        statusError: null,
+        sourceUrl: null,
+        hlsUrl: null,
+        metadata: null, // filled in by the metadata job
+        // Presentation settings (see services/mediaSettings.js); null means the default
+        caption: null,
+        duration: null,
+        trimStart: null,
+        trimEnd: null,
+        kenBurns: null,
+        transition: null,
+        addedAt: new Date().toISOString(),
+        tags: [] // people and labels (see services/mediaTags.js)
+    };
+}
+
+/**
+ * The music track record stored for an uploaded audio file, added to the end
+ * of the episode's playlist with default settings (see services/musicTracks.js)
+ */
+function createMusicTrack(key, originalName) {
+    return {
+        id: uuidv4(),
+        url: getFileUrl(key),
+        originalName,
+        duration: null, // filled in by the music job
+        startOffset: null,
+        fadeIn: 0,
+        fadeOut: 0,
+        volume: 1
+    };
+}
+
+/**
+ * An empty episode
+ */
+function createEpisode(title) {
+    return {
+        id: uuidv4(),
+        title,
+        thumbnail: null,
+        synopsis: '',
+        airDate: null,
+        media: [],
+        musicTracks: []
+    };
+}
+
+module.exports = {
+    MEDIA_FILE_FIELDS,
+    TRACK_FILE_FIELDS,
+    createMediaRecord,
+    createMusicTrack,
+    createEpisode
+};
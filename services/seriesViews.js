@@ -0,0 +1,119 @@
+/**
+ * Series Views
+ * Lighter shapes of series and episodes for screens that don't need every media record.
+ *
+ *   view=full     - the stored series, episodes with all media and music tracks (default)
+ *   view=summary  - series/episode details with counts and a preview of the first media item
+ *   expand=episodes - include episode summaries in the summary view
+ *   fields=a,b    - only these top-level fields (id is always included)
+ */
+
+const VIEWS = ['full', 'summary'];
+const EXPANSIONS = ['episodes'];
+
+const SERIES_DETAILS = [
+    'id', 'title', 'description', 'thumbnail', 'banner', 'genres', 'yearStart', 'yearEnd',
+    'maturityRating', 'cast', 'createdAt', 'episodeCount'
+];
+const VIEW_FIELDS = {
+    full: ['ownerId', ...SERIES_DETAILS, 'episodes'],
+    summary: [...SERIES_DETAILS, 'mediaCount', 'preview', 'episodes']
+};
+
+// Query values as a list; repeated parameters (?fields=a&fields=b) arrive as arrays
+function listParameter(value) {
+    if (value === undefined) return [];
+    return [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Validate view, expand and fields query parameters.
+ * Returns { options: { view, expand, fields } } (fields null for all), or { error }.
+ */
+function parseSeriesView(query) {
+    const view = query.view === undefined ? 'full' : query.view;
+    if (!VIEWS.includes(view)) {
+        return { error: `view must be one of: ${VIEWS.join(', ')}` };
+    }
+
+    const expand = listParameter(query.expand);
+    const unknownExpansion = expand.find(name => !EXPANSIONS.includes(name));
+    if (unknownExpansion) {
+        return { error: `Unknown expand: ${unknownExpansion}. Expansions are: ${EXPANSIONS.join(', ')}` };
+    }
+
+    const fields = listParameter(query.fields);
+    const unknownField = fields.find(name => !VIEW_FIELDS[view].includes(name));
+    if (unknownField) {
+        return { error: `Unknown field for the ${view} view: ${unknownField}. Fields are: ${VIEW_FIELDS[view].join(', ')}` };
+    }
+
+    return { options: { view, expand, fields: fields.length > 0 ? ['id', ...fields] : null } };
+}
+
+/**
+ * What a browse tile shows for a media item
+ */
+function mediaPreview(media) {
+    if (!media) return null;
+    return {
+        id: media.id,
+        type: media.type,
+        url: media.url,
+        variants: media.variants,
+        poster: media.poster
+    };
+}
+
+function summarizeEpisode(episode) {
+    const countType = type => episode.media.filter(media => media.type === type).length;
+    return {
+        id: episode.id,
+        title: episode.title,
+        thumbnail: episode.thumbnail,
+        synopsis: episode.synopsis,
+        airDate: episode.airDate,
+        mediaCount: episode.media.length,
+        imageCount: countType('image'),
+        videoCount: countType('video'),
+        musicTrackCount: episode.musicTracks.length,
+        preview: mediaPreview(episode.media[0])
+    };
+}
+
+function summarizeSeries(series, expand = []) {
+    const summary = {};
+    SERIES_DETAILS.forEach(name => {
+        summary[name] = series[name];
+    });
+    summary.mediaCount = series.episodes.reduce((count, episode) => count + episode.media.length, 0);
+    summary.preview = mediaPreview(series.episodes.flatMap(episode => episode.media)[0]);
+    if (expand.includes('episodes')) summary.episodes = series.episodes.map(summarizeEpisode);
+    return summary;
+}
+
+function selectFields(object, fields) {
+    if (!fields) return object;
+    const selected = {};
+    fields.filter(name => name in object).forEach(name => {
+        selected[name] = object[name];
+    });
+    return selected;
+}
+
+/**
+ * A series in the view parseSeriesView read from the query
+ */
+function presentSeries(series, { view, expand, fields }) {
+    const presented = view === 'summary' ? summarizeSeries(series, expand) : series;
+    return selectFields(presented, fields);
+}
+
+module.exports = {
+    VIEWS,
+    parseSeriesView,
+    presentSeries,
+    mediaPreview,
+    summarizeSeries,
+    summarizeEpisode
+};
@@ -0,0 +1,201 @@
+/**
+ * Storage Reconciliation
+ * Compares the files in storage with every URL the database references and
+ * reports the drift left behind by failed saves and failed deletes:
+ *   orphans  - stored files nothing references
+ *   dangling - references to files that are not in storage
+ *
+ * Live series, the trash, episode renders and in-progress direct uploads
+ * all count as references. Files newer than minAgeHours are never reported as orphans,
+ * since an upload may be stored moments before its record is saved.
+ */
+
+const { listObjects, headObject, deleteFile, getKeyFromUrl } = require('../config/storage');
+const { listAllSeries, getSeries, saveSeries } = require('../db/seriesRepository');
+const { listAllTrash } = require('../db/trashRepository');
+const { listPendingUploads } = require('../db/uploadRepository');
+const { listAllRenders } = require('../db/renderRepository');
+const { getHlsPrefix } = require('./transcoder');
+
+const STORAGE_PREFIXES = ['series-thumbnails/', 'series-banners/', 'thumbnails/', 'media/', 'music/', 'renders/'];
+const DEFAULT_MIN_AGE_HOURS = 24;
+const MISSING_FILE_ERROR = 'File is missing from storage';
+
+// ============================================
+// REFERENCES
+// ============================================
+
+function addMediaReferences(add, media, location) {
+    const where = { ...location, mediaId: media.id };
+    add(media.url, { ...where, field: 'url' });
+    add(media.sourceUrl, { ...where, field: 'sourceUrl' });
+    add(media.poster, { ...where, field: 'poster' });
+    add(media.hlsUrl, { ...where, field: 'hlsUrl' }, getHlsPrefix(media));
+    Object.entries(media.variants || {}).forEach(([name, url]) => add(url, { ...where, field: `variants.${name}` }));
+}
+
+function addEpisodeReferences(add, episode, location) {
+    const where = { ...location, episodeId: episode.id };
+    add(episode.thumbnail, { ...where, field: 'thumbnail' });
+    (episode.musicTracks || []).forEach(track => add(track.url, { ...where, trackId: track.id, field: 'url' }));
+    (episode.media || []).forEach(media => addMediaReferences(add, media, where));
+}
+
+function addSeriesReferences(add, series, location) {
+    add(series.thumbnail, { ...location, field: 'thumbnail' });
+    add(series.banner, { ...location, field: 'banner' });
+    (series.episodes || []).forEach(episode => addEpisodeReferences(add, episode, location));
+}
+
+/**
+ * Every stored file the database points at, leaving out the trash item
+ * exceptTrashId if given (e.g. the one about to be purged).
+ * Returns { references: [{ key, url, location }], prefixes, unmanaged } where
+ * prefixes are folders referenced as a whole (HLS streams) and unmanaged
+ * counts URLs the active storage driver does not own.
+ */
+function collectReferences({ exceptTrashId = null } = {}) {
+    const references = [];
+    const prefixes = new Set();
+    let unmanaged = 0;
+
+    const add = (url, location, prefix) => {
+        if (!url) return;
+        const key = getKeyFromUrl(url);
+        if (!key) {
+            unmanaged++;
+            return;
+        }
+        references.push({ key, url, location });
+        if (prefix) prefixes.add(prefix);
+    };
+
+    listAllSeries().forEach(series => addSeriesReferences(add, series, { seriesId: series.id }));
+
+    listAllTrash().forEach(trashItem => {
+        if (trashItem.id === exceptTrashId) return;
+        const location = { seriesId: trashItem.seriesId, trashId: trashItem.id };
+        const { kind, item } = trashItem;
+        if (kind === 'series') addSeriesReferences(add, item, location);
+        if (kind === 'episode') addEpisodeReferences(add, item, location);
+        if (kind === 'media') addMediaReferences(add, item, { ...location, episodeId: trashItem.episodeId });
+        if (kind === 'music') add(item.url, { ...location, episodeId: trashItem.episodeId, trackId: item.id, field: 'url' });
+        if (kind === 'image') add(item.url, { ...location, episodeId: trashItem.episodeId, field: item.field });
+    });
+
+    listAllRenders().forEach(render => {
+        add(render.url, { seriesId: render.seriesId, episodeId: render.episodeId, renderId: render.id, field: 'url' });
+    });
+
+    // Direct uploads in progress have not been registered as media yet
+    listPendingUploads().forEach(upload => {
+        references.push({ key: upload.key, url: null, location: { seriesId: upload.seriesId, uploadId: upload.id } });
+    });
+
+    return { references, prefixes: [...prefixes], unmanaged };
+}
+
+// ============================================
+// RECONCILE
+// ============================================
+
+/**
+ * Mark live media whose original file is gone as failed, so the API reports
+ * them through the processing endpoint. Returns how many were flagged.
+ */
+function flagBrokenMedia(dangling) {
+    const bySeries = new Map();
+    dangling
+        .filter(d => d.location.mediaId && !d.location.trashId && d.location.field === 'url')
+        .forEach(d => {
+            const urls = bySeries.get(d.location.seriesId) || new Map();
+            urls.set(d.location.mediaId, d.url);
+            bySeries.set(d.location.seriesId, urls);
+        });
+
+    let flagged = 0;
+    bySeries.forEach((missingUrls, seriesId) => {
+        const series = getSeries(seriesId);
+        if (!series) return;
+
+        let changed = false;
+        series.episodes.forEach(episode => episode.media.forEach(media => {
+            // Skip media re-uploaded or transcoded since the scan
+            if (missingUrls.get(media.id) !== media.url || media.statusError === MISSING_FILE_ERROR) return;
+            media.status = 'failed';
+            media.statusError = MISSING_FILE_ERROR;
+            changed = true;
+            flagged++;
+        }));
+        if (changed) saveSeries(series);
+    });
+    return flagged;
+}
+
+/**
+ * Compare storage with the database.
+ * Options: deleteOrphans (delete orphaned files), flagBroken (mark media whose
+ * file is missing as failed), minAgeHours (orphan grace period).
+ * Returns { scanned, referenced, unmanaged, orphans, dangling, deleted, flagged }.
+ */
+async function reconcileStorage(options = {}) {
+    const {
+        deleteOrphans = false,
+        flagBroken = false,
+        minAgeHours = DEFAULT_MIN_AGE_HOURS
+    } = options;
+
+    // Read references after listing storage, so files stored (and saved)
+    // while the listing runs are not mistaken for orphans
+    const objects = [];
+    for (const prefix of STORAGE_PREFIXES) {
+        objects.push(...await listObjects(prefix));
+    }
+    const { references, prefixes, unmanaged } = collectReferences();
+
+    const referencedKeys = new Set(references.map(r => r.key));
+    const isReferenced = key => referencedKeys.has(key) || prefixes.some(prefix => key.startsWith(prefix));
+    const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+
+    const orphans = objects
+        .filter(object => !isReferenced(object.key))
+        .filter(object => new Date(object.lastModified).getTime() < cutoff);
+
+    // References missing from the listing are checked one by one: they may
+    // live outside the scanned folders or have been stored since the listing
+    const storedKeys = new Set(objects.map(object => object.key));
+    const dangling = [];
+    for (const reference of references) {
+        // Direct uploads only exist in storage once the client has finished
+        if (reference.location.uploadId || storedKeys.has(reference.key)) continue;
+        if (!(await headObject(reference.key))) {
+            dangling.push(reference);
+        }
+    }
+
+    let deleted = 0;
+    if (deleteOrphans) {
+        for (const orphan of orphans) {
+            if (await deleteFile(orphan.key)) deleted++;
+        }
+    }
+
+    const flagged = flagBroken ? flagBrokenMedia(dangling) : 0;
+
+    return {
+        scanned: objects.length,
+        referenced: referencedKeys.size,
+        unmanaged,
+        orphans,
+        dangling,
+        deleted,
+        flagged
+    };
+}
+
+module.exports = {
+    STORAGE_PREFIXES,
+    DEFAULT_MIN_AGE_HOURS,
+    collectReferences,
+    reconcileStorage
+};
@@ -0,0 +1,44 @@
+/**
+ * Temporary Files
+ * Scratch files for media processing tools that need a real file on disk.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { getObjectStream } = require('../config/storage');
+
+const TEMP_DIR = path.join(os.tmpdir(), 'netflix-life-story');
+
+/**
+ * A fresh path in the temp directory with the given extension
+ */
+function createTempPath(ext = '') {
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+    return path.join(TEMP_DIR, `${uuidv4()}${ext}`);
+}
+
+/**
+ * Copy a stored file to a temp file; call cleanup() when done with it
+ */
+async function downloadToTemp(key) {
+    const tempPath = createTempPath(path.extname(key));
+    await pipeline(await getObjectStream(key), fs.createWriteStream(tempPath));
+    return {
+        path: tempPath,
+        cleanup: () => removeTemp(tempPath)
+    };
+}
+
+function removeTemp(tempPath) {
+    fs.rm(tempPath, { force: true, recursive: true }, () => {});
+}
+
+module.exports = {
+    TEMP_DIR,
+    createTempPath,
+    downloadToTemp,
+    removeTemp
+};
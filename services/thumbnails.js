@@ -0,0 +1,147 @@
+/**
+ * Thumbnail Generation
+ * Creates resized image variants and a video poster frame for uploaded media,
+ * stored under thumbnails/ next to the original's key, and gives episodes
+ * without artwork a thumbnail from their first media item.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getFileUrl, putObject, createKey, deleteFile } = require('../config/storage');
+const { getSeries, saveSeries } = require('../db/seriesRepository');
+const { ffmpeg } = require('./ffmpeg');
+const { createTempPath, downloadToTemp, removeTemp } = require('./tempFiles');
+const { enqueue } = require('./jobQueue');
+
+// Variant name -> max width in pixels
+const VARIANT_WIDTHS = {
+    thumb: 320,
+    medium: 960
+};
+const POSTER_WIDTH = 1280;
+
+/**
+ * Grab a frame near the start of a video as a JPEG buffer
+ */
+async function extractPosterFrame(videoPath) {
+    const framePath = createTempPath('.jpg');
+    try {
+        // Skip the first second (often black), unless the clip is shorter than that
+        for (const offset of ['1', '0']) {
+            try {
+                await ffmpeg(['-ss', offset, '-i', videoPath, '-frames:v', '1', '-vf', `scale='min(${POSTER_WIDTH},iw)':-2`, framePath]);
+                if (fs.existsSync(framePath) && fs.statSync(framePath).size > 0) {
+                    return await fs.promises.readFile(framePath);
+                }
+            } catch (error) {
+                if (offset === '0') throw error;
+            }
+        }
+        throw new Error('No frame could be extracted');
+    } finally {
+        removeTemp(framePath);
+    }
+}
+
+/**
+ * Generate and store thumbnails for one media item.
+ * Resolves { variants: { thumb, medium }, poster } with public URLs, plus the
+ * stored keys and the variant image buffers.
+ */
+async function generateMediaThumbnails(media) {
+    const base = path.basename(media.filename, path.extname(media.filename));
+    const source = await downloadToTemp(media.filename);
+
+    try {
+        const keys = [];
+        let poster = null;
+        let image = source.path;
+
+        if (media.type === 'video') {
+            const frame = await extractPosterFrame(source.path);
+            const posterKey = `thumbnails/${base}-poster.jpg`;
+            await putObject(posterKey, frame, 'image/jpeg');
+            keys.push(posterKey);
+            poster = getFileUrl(posterKey);
+            image = frame;
+        }
+
+        const variants = {};
+        const buffers = {};
+        for (const [name, width] of Object.entries(VARIANT_WIDTHS)) {
+            const buffer = await sharp(image)
+                .rotate() // honour EXIF orientation
+                .resize({ width, withoutEnlargement: true })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+            const key = `thumbnails/${base}-${name}.jpg`;
+            await putObject(key, buffer, 'image/jpeg');
+            keys.push(key);
+            variants[name] = getFileUrl(key);
+            buffers[name] = buffer;
+        }
+
+        return { variants, poster, keys, buffers };
+    } finally {
+        source.cleanup();
+    }
+}
+
+/**
+ * Generate thumbnails for a media item and save them on its record
+ */
+async function processMediaThumbnails(seriesId, mediaId) {
+    const current = getSeries(seriesId);
+    const currentEpisode = current && current.episodes.find(e => e.media.some(m => m.id === mediaId));
+    if (!currentEpisode) return; // deleted before we got to it
+
+    const media = currentEpisode.media.find(m => m.id === mediaId);
+    const { variants, poster, keys, buffers } = await generateMediaThumbnails(media);
+
+    // Episodes without artwork get their own copy, so it survives the media being deleted
+    let episodeThumbnailKey = null;
+    if (!currentEpisode.thumbnail) {
+        episodeThumbnailKey = createKey('thumbnails', 'thumbnail.jpg');
+        await putObject(episodeThumbnailKey, buffers.medium, 'image/jpeg');
+    }
+
+    // Re-read: the series may have changed while we were processing
+    const series = getSeries(seriesId);
+    const episode = series && series.episodes.find(e => e.media.some(m => m.id === mediaId));
+
+    if (!episode) {
+        for (const key of [...keys, episodeThumbnailKey].filter(Boolean)) {
+            await deleteFile(key);
+        }
+        return;
+    }
+
+    const saved = episode.media.find(m => m.id === mediaId);
+    saved.variants = variants;
+    saved.poster = poster;
+
+    // Someone may have uploaded a thumbnail in the meantime
+    let unusedThumbnailKey = episodeThumbnailKey;
+    if (episodeThumbnailKey && !episode.thumbnail) {
+        episode.thumbnail = getFileUrl(episodeThumbnailKey);
+        unusedThumbnailKey = null;
+    }
+    saveSeries(series);
+
+    if (unusedThumbnailKey) await deleteFile(unusedThumbnailKey);
+}
+
+/**
+ * Queue thumbnail generation for newly uploaded media
+ */
+function queueThumbnails(seriesId, mediaIds) {
+    mediaIds.forEach(mediaId => {
+        enqueue(`thumbnails for media ${mediaId}`, () => processMediaThumbnails(seriesId, mediaId));
+    });
+}
+
+module.exports = {
+    generateMediaThumbnails,
+    queueThumbnails
+};
@@ -0,0 +1,185 @@
+/**
+ * Video Transcoding
+ * Converts uploaded videos to H.264/AAC MP4 (and optionally HLS renditions)
+ * so every browser can play them. Progress is tracked on the media record:
+ * status is 'pending' until the job finishes, then 'ready' or 'failed'.
+ *
+ * Set TRANSCODE_HLS=true to also produce adaptive HLS streams.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFileUrl, getKeyFromUrl, putFile, deleteFile, deletePrefix } = require('../config/storage');
+const { getSeries, saveSeries, listMediaByStatus } = require('../db/seriesRepository');
+const { ffmpeg, ffprobe } = require('./ffmpeg');
+const { createTempPath, downloadToTemp, removeTemp } = require('./tempFiles');
+const { enqueue } = require('./jobQueue');
+
+const TRANSCODE_HLS = process.env.TRANSCODE_HLS === 'true';
+const HLS_SEGMENT_SECONDS = 6;
+const HLS_RENDITIONS = [
+    { name: '720p', height: 720, videoBitrate: '2800k', audioBitrate: '128k' },
+    { name: '480p', height: 480, videoBitrate: '1400k', audioBitrate: '96k' }
+];
+
+// Helper: Find a media item and its episode in a series
+function findMedia(series, mediaId) {
+    for (const episode of (series ? series.episodes : [])) {
+        const media = episode.media.find(m => m.id === mediaId);
+        if (media) return { episode, media };
+    }
+    return null;
+}
+
+/**
+ * Already playable everywhere: MP4 with H.264 (yuv420p) video and AAC or no audio
+ */
+function isWebPlayable(probe, filename) {
+    const video = probe.streams.find(s => s.codec_type === 'video');
+    const audio = probe.streams.find(s => s.codec_type === 'audio');
+    return path.extname(filename).toLowerCase() === '.mp4'
+        && !!video && video.codec_name === 'h264' && video.pix_fmt === 'yuv420p'
+        && (!audio || audio.codec_name === 'aac');
+}
+
+async function transcodeToMp4(sourcePath, outputPath) {
+    await ffmpeg([
+        '-i', sourcePath,
+        '-map', '0:v:0', '-map', '0:a:0?',
+        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+        '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+        '-c:a', 'aac', '-b:a', '128k',
+        '-movflags', '+faststart',
+        outputPath
+    ]);
+}
+
+/**
+ * Write HLS renditions no taller than the source, plus a master playlist, into outputDir
+ */
+async function transcodeToHls(sourcePath, outputDir, sourceHeight) {
+    const renditions = HLS_RENDITIONS.filter(r => r.height <= sourceHeight);
+    if (renditions.length === 0) renditions.push(HLS_RENDITIONS[HLS_RENDITIONS.length - 1]);
+
+    const master = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const rendition of renditions) {
+        await ffmpeg([
+            '-i', sourcePath,
+            '-map', '0:v:0', '-map', '0:a:0?',
+            '-c:v', 'libx264', '-preset', 'veryfast', '-b:v', rendition.videoBitrate, '-pix_fmt', 'yuv420p',
+            '-vf', `scale=-2:${rendition.height}`,
+            '-c:a', 'aac', '-b:a', rendition.audioBitrate,
+            '-f', 'hls',
+            '-hls_time', String(HLS_SEGMENT_SECONDS),
+            '-hls_playlist_type', 'vod',
+            '-hls_segment_filename', path.join(outputDir, `${rendition.name}_%04d.ts`),
+            path.join(outputDir, `${rendition.name}.m3u8`)
+        ]);
+        const bandwidth = (parseInt(rendition.videoBitrate) + parseInt(rendition.audioBitrate)) * 1000;
+        master.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},NAME="${rendition.name}"`, `${rendition.name}.m3u8`);
+    }
+    await fs.promises.writeFile(path.join(outputDir, 'master.m3u8'), master.join('\n') + '\n');
+}
+
+/**
+ * Transcode one video and record the result on its media record
+ */
+async function processTranscode(seriesId, mediaId) {
+    const found = findMedia(getSeries(seriesId), mediaId);
+    if (!found || found.media.status !== 'pending') return;
+
+    const { media } = found;
+    const base = path.basename(media.filename, path.extname(media.filename));
+    const source = await downloadToTemp(media.filename);
+    const mp4Path = createTempPath('.mp4');
+    const hlsDir = createTempPath();
+    const storedKeys = [];
+    let hlsPrefix = null;
+
+    try {
+        const probe = await ffprobe(source.path);
+        const result = {};
+
+        if (!isWebPlayable(probe, media.filename)) {
+            await transcodeToMp4(source.path, mp4Path);
+            const mp4Key = `media/${base}-web.mp4`;
+            await putFile(mp4Key, mp4Path, 'video/mp4');
+            storedKeys.push(mp4Key);
+            result.filename = mp4Key;
+            result.url = getFileUrl(mp4Key);
+            result.sourceUrl = media.url;
+        }
+
+        if (TRANSCODE_HLS) {
+            const video = probe.streams.find(s => s.codec_type === 'video');
+            await fs.promises.mkdir(hlsDir, { recursive: true });
+            await transcodeToHls(source.path, hlsDir, video ? video.height : 0);
+
+            hlsPrefix = `media/hls/${base}/`;
+            for (const file of await fs.promises.readdir(hlsDir)) {
+                const contentType = file.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t';
+                await putFile(`${hlsPrefix}${file}`, path.join(hlsDir, file), contentType);
+            }
+            result.hlsUrl = getFileUrl(`${hlsPrefix}master.m3u8`);
+        }
+
+        // Re-read: the media may have been deleted while we were transcoding
+        const series = getSeries(seriesId);
+        const current = findMedia(series, mediaId);
+        if (!current) {
+            for (const key of storedKeys) await deleteFile(key);
+            if (hlsPrefix) await deletePrefix(hlsPrefix);
+            return;
+        }
+
+        Object.assign(current.media, result, { status: 'ready', statusError: null });
+        saveSeries(series);
+        console.log(`[TRANSCODE] ✅ ${media.originalName} is ready`);
+    } catch (error) {
+        for (const key of storedKeys) await deleteFile(key);
+        if (hlsPrefix) await deletePrefix(hlsPrefix);
+
+        const series = getSeries(seriesId);
+        const current = findMedia(series, mediaId);
+        if (current) {
+            current.media.status = 'failed';
+            current.media.statusError = error.message;
+            saveSeries(series);
+        }
+        throw error;
+    } finally {
+        source.cleanup();
+        removeTemp(mp4Path);
+        removeTemp(hlsDir);
+    }
+}
+
+/**
+ * Queue a video for transcoding (its status must be 'pending')
+ */
+function queueTranscode(seriesId, mediaId) {
+    enqueue(`transcode media ${mediaId}`, () => processTranscode(seriesId, mediaId));
+}
+
+/**
+ * Re-queue videos whose transcode was interrupted by a restart
+ */
+function resumePendingTranscodes() {
+    const pending = listMediaByStatus('pending');
+    pending.forEach(({ seriesId, mediaId }) => queueTranscode(seriesId, mediaId));
+    return pending.length;
+}
+
+/**
+ * Storage key prefix holding a media item's HLS files, if it has any
+ */
+function getHlsPrefix(media) {
+    const key = media.hlsUrl ? getKeyFromUrl(media.hlsUrl) : null;
+    return key ? key.slice(0, key.lastIndexOf('/') + 1) : null;
+}
+
+module.exports = {
+    queueTranscode,
+    resumePendingTranscodes,
+    getHlsPrefix
+};
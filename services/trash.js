@@ -0,0 +1,157 @@
+/**
+ * Trash
+ * Deleting a series, episode, media item or music track moves it to the
+ * trash instead of removing its files, as does replacing a thumbnail or
+ * banner (kind 'image'). Items can be restored until they are
+ * older than TRASH_RETENTION_DAYS, when a scheduled cleanup purges them
+ * from storage for good.
+ */
+
+const { getKeyFromUrl, deleteFile } = require('../config/storage');
+const { transaction } = require('../db');
+const { getSeries, saveSeries, deleteSeries } = require('../db/seriesRepository');
+const { addToTrash, deleteTrashItem, listExpiredTrash } = require('../db/trashRepository');
+const { listRevisions, deleteRevisions } = require('../db/revisionRepository');
+const { deleteSeriesProgress } = require('../db/progressRepository');
+const { deleteFeedback } = require('../db/feedbackRepository');
+const { deleteEpisodeRenders, deleteSeriesRenders } = require('./episodeRenderer');
+const {
+    getSeriesFileUrls,
+    deleteMediaFiles,
+    deleteEpisodeFiles,
+    deleteSeriesFiles
+} = require('./mediaFiles');
+const { collectReferences } = require('./storageReconciliation');
+const { getHlsPrefix } = require('./transcoder');
+
+const TRASH_RETENTION_MS = (parseInt(process.env.TRASH_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+/**
+ * Save a series that items were just removed from and put the items in the
+ * trash, in one transaction. Each entry is { ownerId, kind, episodeId, position, title, item };
+ * revision is passed on to saveSeries. Returns the new trash items.
+ */
+function moveToTrash(series, entries, revision) {
+    return transaction(() => {
+        saveSeries(series, revision);
+        return entries.map(entry => addToTrash({ ...entry, seriesId: series.id }));
+    });
+}
+
+/**
+ * Delete a series and keep it (with all its episodes and media) in the trash
+ */
+function trashSeries(series) {
+    return transaction(() => {
+        deleteSeries(series.id);
+        return addToTrash({
+            ownerId: series.ownerId,
+            kind: 'series',
+            seriesId: series.id,
+            title: series.title,
+            item: series
+        });
+    });
+}
+
+/**
+ * When a trash item will be purged
+ */
+function getPurgeDate(trashItem) {
+    return new Date(Date.parse(trashItem.deletedAt) + TRASH_RETENTION_MS).toISOString();
+}
+
+/**
+ * Keys and HLS folders that something other than trashItem uses: any live
+ * series (e.g. re-saved by a client holding an older copy), the rest of the
+ * trash, renders, uploads in progress, and revisions of the series saved
+ * since the item went to the trash
+ */
+function findKeysInUse(trashItem) {
+    const { references, prefixes } = collectReferences({ exceptTrashId: trashItem.id });
+    const inUse = new Set([...references.map(reference => reference.key), ...prefixes]);
+
+    // Older revisions still show the item itself; rollbacks take files from
+    // the live series or the trash only, so they don't need its files kept
+    listRevisions(trashItem.seriesId)
+        .filter(revision => revision.createdAt >= trashItem.deletedAt)
+        .forEach(({ series }) => {
+            getSeriesFileUrls(series).forEach(url => inUse.add(getKeyFromUrl(url)));
+            series.episodes.forEach(episode => episode.media.forEach(media => inUse.add(getHlsPrefix(media))));
+        });
+    return key => inUse.has(key);
+}
+
+/**
+ * Delete a trash item's files from storage, then the item itself.
+ * Only files nothing else uses are deleted, so a record that pointed at
+ * another series' files never takes them along.
+ */
+async function purgeTrashItem(trashItem) {
+    const { kind, item } = trashItem;
+    const series = kind === 'series' ? null : getSeries(trashItem.seriesId);
+    const liveIds = new Set(series ? series.episodes.flatMap(e => [e.id, ...e.media.map(m => m.id)]) : []);
+    const keep = findKeysInUse(trashItem);
+
+    if (kind === 'series') {
+        await deleteSeriesFiles(item, keep);
+        await deleteSeriesRenders(item.id);
+        deleteRevisions(item.id);
+        deleteSeriesProgress(item.id);
+        deleteFeedback({ seriesId: item.id });
+    }
+    if (kind === 'episode') {
+        await deleteEpisodeRenders(trashItem.seriesId, item.id);
+        await deleteEpisodeFiles(item, keep);
+    }
+    if (kind === 'media') {
+        await deleteMediaFiles(item, keep);
+    }
+    // Comments and reactions go with the item, unless the live series has it again
+    if (kind === 'episode') {
+        if (!liveIds.has(item.id)) deleteFeedback({ episodeId: item.id });
+        item.media.filter(m => !liveIds.has(m.id)).forEach(m => deleteFeedback({ mediaId: m.id }));
+    }
+    if (kind === 'media' && !liveIds.has(item.id)) {
+        deleteFeedback({ mediaId: item.id });
+    }
+    if (kind === 'music' || kind === 'image') {
+        const key = getKeyFromUrl(item.url);
+        if (key && !keep(key)) await deleteFile(key);
+    }
+    deleteTrashItem(trashItem.id);
+}
+
+async function purgeExpiredTrash() {
+    const expired = listExpiredTrash(new Date(Date.now() - TRASH_RETENTION_MS));
+
+    for (const trashItem of expired) {
+        await purgeTrashItem(trashItem);
+    }
+
+    if (expired.length > 0) {
+        console.log(`[TRASH] Purged ${expired.length} expired item(s)`);
+    }
+    return expired.length;
+}
+
+/**
+ * Run the purge now and then periodically
+ */
+function startTrashCleanup() {
+    const run = () => purgeExpiredTrash().catch(error => {
+        console.error('[TRASH] ❌ Cleanup failed:', error.message);
+    });
+    run();
+    setInterval(run, CLEANUP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    moveToTrash,
+    trashSeries,
+    getPurgeDate,
+    purgeTrashItem,
+    purgeExpiredTrash,
+    startTrashCleanup
+};
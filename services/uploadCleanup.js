@@ -0,0 +1,45 @@
+/**
+ * Stale Upload Cleanup
+ * Aborts direct uploads that were started but never completed, so
+ * abandoned multipart parts don't accumulate in the bucket.
+ */
+
+const { directUploads, deleteFile } = require('../config/storage');
+const { listStalePendingUploads, deletePendingUpload } = require('../db/uploadRepository');
+
+const PENDING_UPLOAD_TTL_MS = (parseInt(process.env.PENDING_UPLOAD_TTL_HOURS) || 72) * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+async function abortStaleUploads() {
+    const stale = listStalePendingUploads(new Date(Date.now() - PENDING_UPLOAD_TTL_MS));
+
+    for (const upload of stale) {
+        if (upload.multipartUploadId && directUploads) {
+            await directUploads.abortMultipartUpload(upload.key, upload.multipartUploadId);
+        } else {
+            await deleteFile(upload.key);
+        }
+        deletePendingUpload(upload.id);
+    }
+
+    if (stale.length > 0) {
+        console.log(`[UPLOADS] Cleaned up ${stale.length} abandoned upload(s)`);
+    }
+    return stale.length;
+}
+
+/**
+ * Run the cleanup now and then periodically
+ */
+function startUploadCleanup() {
+    const run = () => abortStaleUploads().catch(error => {
+        console.error('[UPLOADS] ❌ Cleanup failed:', error.message);
+    });
+    run();
+    setInterval(run, CLEANUP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    abortStaleUploads,
+    startUploadCleanup
+};
@@ -0,0 +1,109 @@
+/**
+ * Watch Progress
+ * Checks positions clients save ({ episodeId, mediaId, videoOffset }), turns a
+ * stored one into where that is in the series now, and picks the series for
+ * the "Recently Added" row. Used by the owner and share link routes.
+ *
+ * Positions are kept as IDs, so they follow episodes and media when they are
+ * reordered. If the media item was removed the episode resumes from its start;
+ * if the episode was removed the position no longer means anything.
+ */
+
+// Share of a video that counts as watched to the end
+const FINISHED_FRACTION = 0.95;
+
+/**
+ * Validate a position sent by a client: { episodeId, mediaId (optional),
+ * videoOffset (seconds into a video, optional) }.
+ * Returns { position: { episodeId, mediaId, videoOffset } } or { error }.
+ */
+function parsePosition(series, { episodeId, mediaId = null, videoOffset = 0 }) {
+    const episode = typeof episodeId === 'string' ? series.episodes.find(e => e.id === episodeId) : null;
+    if (!episode) {
+        return { error: 'episodeId must be an episode of the series' };
+    }
+
+    const media = mediaId === null ? null : episode.media.find(m => m.id === mediaId);
+    if (media === undefined) {
+        return { error: 'mediaId must be a media item of the episode (or null)' };
+    }
+
+    if (typeof videoOffset !== 'number' || !(videoOffset >= 0)) {
+        return { error: 'videoOffset must be a number of seconds >= 0' };
+    }
+    if (videoOffset > 0 && !(media && media.type === 'video')) {
+        return { error: 'videoOffset only applies to videos' };
+    }
+    const clipDuration = media && media.metadata && media.metadata.duration;
+    if (clipDuration && videoOffset > clipDuration) {
+        return { error: `videoOffset must not be past the end of the video (${clipDuration}s)` };
+    }
+
+    return { position: { episodeId: episode.id, mediaId: media ? media.id : null, videoOffset } };
+}
+
+/**
+ * Where a position is in the series:
+ *   { seriesId, episodeId, episodeIndex, mediaId, mediaIndex, videoOffset, updatedAt,
+ *     progress (0-1 of the series' media), finished }
+ * or null if its episode is gone.
+ */
+function describeProgress(series, position) {
+    const episodeIndex = series.episodes.findIndex(e => e.id === position.episodeId);
+    if (episodeIndex === -1) return null;
+
+    const episode = series.episodes[episodeIndex];
+    const foundIndex = episode.media.findIndex(m => m.id === position.mediaId);
+    const media = foundIndex === -1 ? null : episode.media[foundIndex];
+    const mediaIndex = Math.max(foundIndex, 0);
+    const videoOffset = media ? position.videoOffset : 0;
+
+    // Media items are watched one after another; a photo counts once it's on screen
+    const total = series.episodes.reduce((count, e) => count + e.media.length, 0);
+    const before = series.episodes.slice(0, episodeIndex).reduce((count, e) => count + e.media.length, 0) + mediaIndex;
+    let current = 0;
+    if (media) {
+        const duration = media.type === 'video' && media.metadata && media.metadata.duration;
+        current = duration ? Math.min(videoOffset / duration, 1) : 1;
+    }
+    const isLast = media && before === total - 1;
+
+    return {
+        seriesId: series.id,
+        episodeId: episode.id,
+        episodeIndex,
+        mediaId: media ? media.id : null,
+        mediaIndex,
+        videoOffset,
+        updatedAt: position.updatedAt,
+        progress: total > 0 ? Math.round(((before + current) / total) * 1000) / 1000 : 0,
+        finished: Boolean(isLast && (media.type !== 'video' || current >= FINISHED_FRACTION))
+    };
+}
+
+/**
+ * Series created or given new media since a date (ISO string), most recent first:
+ * [{ series, addedAt, isNew, newMedia (newest first) }]
+ */
+function findRecentlyAdded(seriesList, since) {
+    return seriesList
+        .map(series => {
+            const newMedia = series.episodes
+                .flatMap(episode => episode.media)
+                .filter(media => media.addedAt && media.addedAt >= since)
+                .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+            const isNew = series.createdAt >= since;
+            if (!isNew && newMedia.length === 0) return null;
+
+            const dates = [isNew ? series.createdAt : null, newMedia.length > 0 ? newMedia[0].addedAt : null];
+            return { series, addedAt: dates.filter(Boolean).sort().pop(), isNew, newMedia };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+}
+
+module.exports = {
+    parsePosition,
+    describeProgress,
+    findRecentlyAdded
+};
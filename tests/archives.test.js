@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const archiver = require('archiver');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createImage
+} = require('./helpers');
+
+// A series archive of manifest.json and the files it lists
+async function createArchive(manifest, files) {
+    const archive = archiver('zip');
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        archive.on('end', resolve);
+        archive.on('error', reject);
+    });
+
+    archive.append(JSON.stringify(manifest), { name: 'manifest.json' });
+    Object.entries(files).forEach(([name, body]) => archive.append(body, { name }));
+    await archive.finalize();
+    await finished;
+    return Buffer.concat(chunks);
+}
+
+describe('series archives', () => {
+    let token;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('mallory');
+    });
+
+    after(stopServer);
+
+    it('drops invalid capture dates and locations on import', async () => {
+        const manifest = {
+            version: 1,
+            series: {
+                title: 'Imported',
+                episodes: [{
+                    title: 'Episode 1',
+                    media: [
+                        {
+                            file: 'files/a.jpg',
+                            originalName: 'a.jpg',
+                            metadata: { capturedAt: 'last summer', width: 16, height: 16, location: { latitude: 'north' } }
+                        },
+                        {
+                            file: 'files/b.jpg',
+                            originalName: 'b.jpg',
+                            metadata: { capturedAt: '2024-07-01T10:00:00+02:00', location: { latitude: 48.85, longitude: 2.35 } }
+                        }
+                    ]
+                }]
+            }
+        };
+        const form = new FormData();
+        const archive = await createArchive(manifest, { 'files/a.jpg': await createImage(), 'files/b.jpg': await createImage() });
+        form.append('archive', new Blob([archive], { type: 'application/zip' }), 'series.zip');
+
+        const response = await request('POST', '/api/series/import', { token, body: form });
+        assert.equal(response.status, 200);
+
+        const [invalid, valid] = response.body.series.episodes[0].media.map(m => m.metadata);
+        assert.equal(invalid.capturedAt, null);
+        assert.equal(invalid.location, null);
+        assert.equal(invalid.width, 16);
+        assert.equal(valid.capturedAt, '2024-07-01T08:00:00.000Z');
+        assert.deepEqual(valid.location, { latitude: 48.85, longitude: 2.35, altitude: null });
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    createImage,
+    uploadImages
+} = require('./helpers');
+
+// Runs while the route reads the metadata of each upload, when set
+let whileReadingMetadata = null;
+const mediaMetadata = require('../services/mediaMetadata');
+const { readStoredMetadata } = mediaMetadata;
+mediaMetadata.readStoredMetadata = async (...args) => {
+    const metadata = await readStoredMetadata(...args);
+    if (whileReadingMetadata) await whileReadingMetadata();
+    return metadata;
+};
+
+const storedMedia = () => fs.readdirSync(path.join(process.env.UPLOADS_DIR, 'media'));
+
+// A form of photos taken at the given times (null for none)
+async function photoForm(dates, fields = {}) {
+    const form = new FormData();
+    for (const [i, date] of dates.entries()) {
+        form.append('media', new Blob([await createImage('#336699', date)], { type: 'image/jpeg' }), `photo-${i + 1}.jpg`);
+    }
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    return form;
+}
+
+describe('auto-split', () => {
+    let token;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('judy');
+    });
+
+    after(stopServer);
+
+    const autoSplit = (seriesId, body) => request('POST', `/api/series/${seriesId}/auto-split`, { token, body });
+
+    it('groups uploads into episodes by capture date', async () => {
+        const series = await createSeries(token);
+        const form = await photoForm(['2024:07:05 09:00:00', '2024:07:01 10:00:00', null, '2024:07:01 12:00:00'], {
+            removeEmptyEpisodes: 'true'
+        });
+
+        const response = await autoSplit(series.id, form);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.episodes.map(e => [e.title, e.media.map(m => m.originalName)]), [
+            ['July 1, 2024', ['photo-2.jpg', 'photo-4.jpg']],
+            ['July 5, 2024', ['photo-1.jpg']],
+            ['Undated', ['photo-3.jpg']]
+        ]);
+
+        // The empty placeholder episode made way for the new ones
+        const saved = (await request('GET', `/api/series/${series.id}`, { token })).body;
+        assert.deepEqual(saved.episodes.map(e => e.id), response.body.episodes.map(e => e.id));
+    });
+
+    it('groups by month and moves media already in the series', async () => {
+        const created = await createSeries(token);
+        const series = await uploadImages(token, created.id, created.episodes[0].id, 1);
+        const [existing] = series.episodes[0].media;
+        const form = await photoForm(['2023:03:01 08:00:00', '2023:03:30 20:00:00', '2023:04:02 08:00:00'], {
+            groupBy: 'month',
+            mediaIds: existing.id
+        });
+
+        const response = await autoSplit(series.id, form);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.episodes.map(e => [e.title, e.media.length]), [
+            ['March 2023', 2],
+            ['April 2023', 1],
+            ['Undated', 1]
+        ]);
+        assert.equal(response.body.episodes[2].media[0].id, existing.id);
+
+        const saved = (await request('GET', `/api/series/${series.id}`, { token })).body;
+        assert.deepEqual(saved.episodes[0].media, []);
+    });
+
+    it('deletes the uploads when the request is refused', async () => {
+        const series = await createSeries(token);
+        const before = storedMedia();
+
+        const response = await autoSplit(series.id, await photoForm([null], { groupBy: 'week' }));
+        assert.equal(response.status, 400);
+        assert.deepEqual(storedMedia(), before);
+    });
+
+    it('deletes the uploads when the series is deleted meanwhile', async () => {
+        const series = await createSeries(token);
+        const before = storedMedia();
+        whileReadingMetadata = async () => {
+            whileReadingMetadata = null;
+            await request('DELETE', `/api/series/${series.id}`, { token });
+        };
+
+        const response = await autoSplit(series.id, await photoForm([null, null]));
+        assert.equal(response.status, 404);
+        assert.deepEqual(storedMedia(), before);
+    });
+});
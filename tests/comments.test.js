@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries
+} = require('./helpers');
+
+describe('comments', () => {
+    let token;
+    let series;
+    let shareToken;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('paula');
+        series = await createSeries(token, { title: 'Discussed' });
+        const { body } = await request('POST', `/api/series/${series.id}/shares`, { token, body: {} });
+        shareToken = body.share.token;
+    });
+
+    after(stopServer);
+
+    const asViewer = viewerId => (viewerId ? { 'X-Viewer-Id': viewerId } : {});
+    const viewerComment = async (viewerId, text) => (await request('POST', `/api/shared/${shareToken}/comments`, {
+        headers: asViewer(viewerId),
+        body: { episodeId: series.episodes[0].id, body: text, authorName: 'Viewer' }
+    })).body.comment;
+    const sharedComments = async viewerId => (await request('GET', `/api/shared/${shareToken}/comments`, {
+        headers: asViewer(viewerId)
+    })).body;
+    const deleteAsViewer = (commentId, viewerId) => request('DELETE', `/api/shared/${shareToken}/comments/${commentId}`, {
+        headers: asViewer(viewerId)
+    });
+
+    it('lets viewers delete only their own comments', async () => {
+        const comment = await viewerComment('viewer-aaaaaaaa', 'First!');
+        const own = await request('POST', `/api/series/${series.id}/comments`, {
+            token,
+            body: { episodeId: series.episodes[0].id, body: 'Thanks for watching' }
+        });
+
+        assert.equal((await deleteAsViewer(comment.id, 'viewer-bbbbbbbb')).status, 404);
+        assert.equal((await deleteAsViewer(comment.id)).status, 404);
+        assert.equal((await deleteAsViewer(own.body.comment.id, 'viewer-bbbbbbbb')).status, 404);
+
+        const listed = await sharedComments('viewer-aaaaaaaa');
+        assert.deepEqual(listed.map(c => [c.body, c.mine]), [['First!', true], ['Thanks for watching', false]]);
+
+        assert.equal((await deleteAsViewer(comment.id, 'viewer-aaaaaaaa')).status, 200);
+        assert.deepEqual((await sharedComments()).map(c => c.body), ['Thanks for watching']);
+    });
+
+    it('lets the owner hide and delete viewer comments', async () => {
+        const comment = await viewerComment('viewer-cccccccc', 'Rude remark');
+        const url = `/api/series/${series.id}/comments/${comment.id}`;
+
+        const hidden = await request('PATCH', url, { token, body: { hidden: true } });
+        assert.equal(hidden.status, 200);
+        assert.equal(hidden.body.comment.hidden, true);
+        assert.ok(!(await sharedComments()).some(c => c.id === comment.id));
+        const all = (await request('GET', `/api/series/${series.id}/comments`, { token })).body;
+        assert.equal(all.find(c => c.id === comment.id).hidden, true);
+
+        assert.equal((await request('PATCH', url, { token, body: { hidden: 'yes' } })).status, 400);
+        await request('PATCH', url, { token, body: { hidden: false } });
+        assert.ok((await sharedComments()).some(c => c.id === comment.id));
+
+        assert.equal((await request('DELETE', url, { token })).status, 200);
+        assert.equal((await request('DELETE', url, { token })).status, 404);
+        assert.ok(!(await sharedComments()).some(c => c.id === comment.id));
+    });
+
+    it('lets no one else moderate', async () => {
+        const comment = await viewerComment('viewer-dddddddd', 'Lovely');
+        const other = await registerUser('quentin');
+        const otherSeries = await createSeries(other);
+
+        const url = `/api/series/${series.id}/comments`;
+        assert.equal((await request('GET', url, { token: other })).status, 404);
+        assert.equal((await request('PATCH', `${url}/${comment.id}`, { token: other, body: { hidden: true } })).status, 404);
+        assert.equal((await request('DELETE', `${url}/${comment.id}`, { token: other })).status, 404);
+
+        // Not through a series of their own either
+        const ownUrl = `/api/series/${otherSeries.id}/comments/${comment.id}`;
+        assert.equal((await request('PATCH', ownUrl, { token: other, body: { hidden: true } })).status, 404);
+        assert.equal((await request('DELETE', ownUrl, { token: other })).status, 404);
+
+        const listed = (await sharedComments()).find(c => c.id === comment.id);
+        assert.equal(listed.hidden, false);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Test Helpers
+ * Runs the API on a free port with a database and uploads directory of its
+ * own (removed when the test process exits), and calls it like a client.
+ * Require this before anything that opens the database. The app is loaded by
+ * startServer, so a test can wrap module functions the routes use before that.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-test-'));
+process.env.DATABASE_PATH = path.join(TEST_DIR, 'netflix.db');
+process.env.UPLOADS_DIR = path.join(TEST_DIR, 'uploads');
+process.env.STORAGE_DRIVER = 'local';
+// Tests pose as different clients through X-Forwarded-For
+process.env.TRUST_PROXY = 'loopback';
+process.on('exit', () => fs.rmSync(TEST_DIR, { recursive: true, force: true }));
+
+const sharp = require('sharp');
+
+let baseUrl = null;
+let server = null;
+
+async function startServer() {
+    const app = require('../app');
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stopServer() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * Call the API: returns { status, headers, body } (body parsed when JSON).
+ * options: { token, body (JSON or FormData), headers }
+ */
+async function request(method, url, { token, body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData) {
+        init.body = body;
+    } else if (body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${url}`, init);
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+}
+
+/**
+ * Register an account and return its session token
+ */
+async function registerUser(username) {
+    const response = await request('POST', '/api/auth/register', {
+        body: { username, password: 'password123' }
+    });
+    if (response.status !== 200) throw new Error(`Could not register ${username}: ${response.body.error}`);
+    return response.body.token;
+}
+
+async function createSeries(token, fields = {}) {
+    const response = await request('POST', '/api/series', { token, body: { title: 'Test Series', ...fields } });
+    return response.body.series;
+}
+
+/**
+ * A small JPEG to upload, taken at capturedAt ('YYYY:MM:DD HH:MM:SS' in UTC) if given
+ */
+function createImage(color = '#336699', capturedAt = null) {
+    const image = sharp({ create: { width: 16, height: 16, channels: 3, background: color } }).jpeg();
+    if (capturedAt) image.withExif({ IFD0: { DateTime: capturedAt } });
+    return image.toBuffer();
+}
+
+/**
+ * Upload images to an episode and return the series as saved
+ */
+async function uploadImages(token, seriesId, episodeId, count) {
+    const form = new FormData();
+    for (let i = 0; i < count; i++) {
+        form.append('media', new Blob([await createImage()], { type: 'image/jpeg' }), `photo-${i + 1}.jpg`);
+    }
+    const response = await request('POST', `/api/series/${seriesId}/upload/media/${episodeId}`, { token, body: form });
+    if (response.status !== 200) throw new Error(`Upload failed: ${response.body.error}`);
+    return (await request('GET', `/api/series/${seriesId}`, { token })).body;
+}
+
+module.exports = {
+    TEST_DIR,
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    createImage,
+    uploadImages
+};
@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    uploadImages
+} = require('./helpers');
+const { getSeries, saveSeries } = require('../db/seriesRepository');
+
+// Where the local storage driver keeps a file served at url
+const storedPath = url => path.join(process.env.UPLOADS_DIR, decodeURIComponent(url.replace('/uploads/', '')));
+
+describe('series ownership', () => {
+    let alice;
+    let bob;
+    let aliceSeries;
+    let bobSeries;
+
+    before(async () => {
+        await startServer();
+        alice = await registerUser('alice');
+        bob = await registerUser('bob');
+
+        const created = await createSeries(alice, { title: 'Alice', episodeCount: 2 });
+        aliceSeries = await uploadImages(alice, created.id, created.episodes[0].id, 2);
+        bobSeries = await createSeries(bob, { title: 'Bob' });
+    });
+
+    after(stopServer);
+
+    it('hides other users\' series', async () => {
+        const list = await request('GET', '/api/series', { token: bob });
+        assert.deepEqual(list.body.map(series => series.id), [bobSeries.id]);
+
+        for (const [method, url] of [
+            ['GET', `/api/series/${aliceSeries.id}`],
+            ['PUT', `/api/series/${aliceSeries.id}`],
+            ['DELETE', `/api/series/${aliceSeries.id}`],
+            ['GET', `/api/series/${aliceSeries.id}/revisions`]
+        ]) {
+            const response = await request(method, url, { token: bob, body: method === 'PUT' ? { title: 'Mine' } : undefined });
+            assert.equal(response.status, 404, `${method} ${url}`);
+        }
+        assert.equal(getSeries(aliceSeries.id).title, 'Alice');
+    });
+
+    it('refuses to take another series\' episode in a save', async () => {
+        const response = await request('PUT', `/api/series/${bobSeries.id}`, {
+            token: bob,
+            body: { episodes: [...bobSeries.episodes, aliceSeries.episodes[0]] }
+        });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(getSeries(aliceSeries.id).episodes.map(e => e.id), aliceSeries.episodes.map(e => e.id));
+        assert.equal(getSeries(aliceSeries.id).episodes[0].media.length, 2);
+    });
+
+    it('refuses to take another series\' media in a save', async () => {
+        const stolen = aliceSeries.episodes[0].media[0];
+        const episodes = [{ ...bobSeries.episodes[0], media: [stolen] }];
+
+        const response = await request('PUT', `/api/series/${bobSeries.id}`, { token: bob, body: { episodes } });
+        assert.equal(response.status, 400);
+
+        const legacy = await request('POST', '/api/show', { token: bob, body: { episodes } });
+        assert.equal(legacy.status, 400);
+
+        assert.deepEqual(getSeries(aliceSeries.id).episodes[0].media.map(m => m.id), aliceSeries.episodes[0].media.map(m => m.id));
+        assert.equal(getSeries(bobSeries.id).episodes[0].media.length, 0);
+    });
+
+    it('never moves rows between series when saving', () => {
+        const series = getSeries(bobSeries.id);
+        series.episodes[0].media = [aliceSeries.episodes[0].media[1]];
+
+        assert.throws(() => saveSeries(series), /belongs to another series/);
+        assert.equal(getSeries(aliceSeries.id).episodes[0].media.length, 2);
+        assert.equal(getSeries(bobSeries.id).episodes[0].media.length, 0);
+    });
+
+    it('still moves media between episodes of the same series', async () => {
+        const [first, second] = getSeries(aliceSeries.id).episodes;
+        const episodes = [{ ...first, media: first.media.slice(1) }, { ...second, media: [first.media[0]] }];
+
+        const response = await request('PUT', `/api/series/${aliceSeries.id}`, { token: alice, body: { episodes } });
+        assert.equal(response.status, 200);
+
+        const saved = getSeries(aliceSeries.id);
+        assert.deepEqual(saved.episodes[1].media.map(m => m.id), [first.media[0].id]);
+        assert.deepEqual(saved.episodes[0].media.map(m => m.id), [first.media[1].id]);
+    });
+
+    it('keeps the stored files of what a save sends back', async () => {
+        const aliceMedia = getSeries(aliceSeries.id).episodes[0].media[0];
+        const series = await uploadImages(bob, bobSeries.id, bobSeries.episodes[0].id, 1);
+        const [episode] = series.episodes;
+        const [own] = episode.media;
+
+        const pointed = { ...own, url: aliceMedia.url, filename: aliceMedia.filename, variants: aliceMedia.variants };
+        const response = await request('PUT', `/api/series/${series.id}`, {
+            token: bob,
+            body: { episodes: [{ ...episode, thumbnail: aliceMedia.url, media: [pointed] }] }
+        });
+        assert.equal(response.status, 200);
+        const saved = getSeries(series.id).episodes[0];
+        assert.equal(saved.thumbnail, episode.thumbnail);
+        assert.equal(saved.media[0].url, own.url);
+        assert.deepEqual(saved.media[0].variants, own.variants);
+
+        // New records can't bring files of their own
+        const added = { ...aliceMedia, id: uuidv4() };
+        for (const episodes of [
+            [{ ...episode, media: [own, added] }],
+            [episode, { title: 'New', thumbnail: aliceMedia.url, media: [] }]
+        ]) {
+            assert.equal((await request('PUT', `/api/series/${series.id}`, { token: bob, body: { episodes } })).status, 400);
+            const legacy = await request('POST', '/api/show', { token: bob, body: { episodeCount: episodes.length, episodes } });
+            assert.equal(legacy.status, 400);
+        }
+        assert.deepEqual(getSeries(series.id).episodes[0].media.map(m => m.id), [own.id]);
+    });
+
+    it('never purges files another series uses', async () => {
+        // A record pointing at Alice's file, as saves could store before they kept stored files
+        const aliceMedia = getSeries(aliceSeries.id).episodes[0].media[0];
+        const series = getSeries(bobSeries.id);
+        series.episodes[0].media.push({ ...aliceMedia, id: uuidv4() });
+        saveSeries(series);
+
+        const update = await request('PUT', `/api/series/${series.id}`, {
+            token: bob,
+            body: { episodes: [{ ...series.episodes[0], media: series.episodes[0].media.slice(0, -1) }] }
+        });
+        assert.equal(update.status, 200);
+
+        const trash = (await request('GET', `/api/trash?seriesId=${series.id}`, { token: bob })).body;
+        const [trashed] = trash.filter(item => item.kind === 'media' && item.item.url === aliceMedia.url);
+        assert.equal((await request('DELETE', `/api/trash/${trashed.id}`, { token: bob })).status, 200);
+
+        assert.ok(fs.existsSync(storedPath(aliceMedia.url)));
+        for (const url of Object.values(aliceMedia.variants || {})) {
+            assert.ok(fs.existsSync(storedPath(url)));
+        }
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    uploadImages
+} = require('./helpers');
+
+// A short silent WAV file
+function createWav() {
+    const samples = Buffer.alloc(800);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + samples.length, 4);
+    header.write('WAVEfmt ', 8);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(8000, 24);
+    header.writeUInt32LE(16000, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(samples.length, 40);
+    return Buffer.concat([header, samples]);
+}
+
+describe('revisions', () => {
+    let token;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('erin');
+    });
+
+    after(stopServer);
+
+    // The newest revision with mediaCount media items
+    async function findRevision(seriesId, mediaCount) {
+        const revisions = (await request('GET', `/api/series/${seriesId}/revisions`, { token })).body;
+        return revisions.find(revision => revision.mediaCount === mediaCount);
+    }
+
+    it('restores media an update dropped', async () => {
+        const created = await createSeries(token);
+        const series = await uploadImages(token, created.id, created.episodes[0].id, 3);
+        const mediaIds = series.episodes[0].media.map(m => m.id);
+        const revision = await findRevision(series.id, 3);
+
+        const update = await request('PUT', `/api/series/${series.id}`, {
+            token,
+            body: { episodes: [{ ...series.episodes[0], media: [] }] }
+        });
+        assert.equal(update.status, 200);
+        assert.equal(update.body.series.episodes[0].media.length, 0);
+
+        const restore = await request('POST', `/api/series/${series.id}/revisions/${revision.id}/restore`, { token });
+        assert.equal(restore.status, 200);
+        assert.deepEqual(restore.body.skipped, []);
+        assert.deepEqual(restore.body.series.episodes[0].media.map(m => m.id), mediaIds);
+
+        // What came back is no longer in the trash
+        const trash = (await request('GET', `/api/trash?seriesId=${series.id}`, { token })).body;
+        assert.deepEqual(trash, []);
+    });
+
+    it('restores an episode a legacy save trimmed', async () => {
+        // The legacy routes act on the user's first series
+        const legacyToken = await registerUser('frank');
+        const created = await createSeries(legacyToken, { episodeCount: 2 });
+        const series = await uploadImages(legacyToken, created.id, created.episodes[1].id, 2);
+
+        const revisions = (await request('GET', `/api/series/${series.id}/revisions`, { token: legacyToken })).body;
+        const revision = revisions.find(r => r.mediaCount === 2);
+
+        const save = await request('POST', '/api/show', { token: legacyToken, body: { episodeCount: 1 } });
+        assert.equal(save.status, 200);
+
+        const restore = await request('POST', `/api/series/${series.id}/revisions/${revision.id}/restore`, { token: legacyToken });
+        assert.equal(restore.status, 200);
+        assert.deepEqual(restore.body.skipped, []);
+        assert.deepEqual(
+            restore.body.series.episodes[1].media.map(m => m.id),
+            series.episodes[1].media.map(m => m.id)
+        );
+    });
+
+    it('restores music track settings and order', async () => {
+        const series = await createSeries(token);
+        const episodeId = series.episodes[0].id;
+        const uploadTrack = async name => {
+            const form = new FormData();
+            form.append('music', new Blob([createWav()], { type: 'audio/wav' }), name);
+            return (await request('POST', `/api/series/${series.id}/upload/music/${episodeId}`, { token, body: form })).body.track;
+        };
+        const first = await uploadTrack('first.wav');
+        const second = await uploadTrack('second.wav');
+        const revisions = (await request('GET', `/api/series/${series.id}/revisions`, { token })).body;
+        const revision = revisions.find(r => r.action === 'Upload music');
+
+        await request('PATCH', `/api/series/${series.id}/music/${episodeId}/${first.id}`, { token, body: { volume: 0.3, fadeIn: 2 } });
+        await request('POST', `/api/series/${series.id}/music/${episodeId}/reorder`, { token, body: { trackIds: [second.id, first.id] } });
+
+        const restore = await request('POST', `/api/series/${series.id}/revisions/${revision.id}/restore`, { token });
+        assert.equal(restore.status, 200);
+        const tracks = restore.body.series.episodes[0].musicTracks;
+        assert.deepEqual(tracks.map(t => t.id), [first.id, second.id]);
+        assert.equal(tracks[0].volume, 1);
+        assert.equal(tracks[0].fadeIn, 0);
+        assert.equal(tracks[0].url, first.url);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    uploadImages
+} = require('./helpers');
+
+describe('search', () => {
+    let token;
+    let series;
+    let otherSeries;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('kate');
+
+        const created = await createSeries(token, { title: 'Summer', description: 'A beach holiday', episodeCount: 2 });
+        const [first, second] = created.episodes;
+        await request('PUT', `/api/series/${created.id}`, {
+            token,
+            body: {
+                episodes: [
+                    { ...first, title: 'Beach day', airDate: '2024-07-01' },
+                    { ...second, title: 'Mountains', synopsis: 'Hiking above the beach', airDate: '2024-08-15' }
+                ]
+            }
+        });
+        series = await uploadImages(token, created.id, first.id, 3);
+
+        // Another user's beach never turns up
+        otherSeries = await createSeries(await registerUser('liam'), { title: 'Beach house' });
+    });
+
+    after(stopServer);
+
+    const search = query => request('GET', `/api/search?${new URLSearchParams(query)}`, { token });
+    const describeResults = results => results.map(result => [
+        result.kind,
+        result.kind === 'media' ? result.media.originalName : (result.series || result.episode).title
+    ]);
+
+    it('finds series, episodes and media of the user only', async () => {
+        const { status, body } = await search({ q: 'beach' });
+        assert.equal(status, 200);
+        assert.equal(body.total, 3);
+        // Name matches rank first
+        assert.deepEqual(describeResults(body.results), [
+            ['episode', 'Beach day'],
+            ['series', 'Summer'],
+            ['episode', 'Mountains']
+        ]);
+
+        const episodes = await search({ q: 'beach', kind: 'episode', sort: 'title', order: 'desc' });
+        assert.deepEqual(describeResults(episodes.body.results), [['episode', 'Mountains'], ['episode', 'Beach day']]);
+    });
+
+    it('filters by media type, tag, series and date', async () => {
+        const [tagged] = series.episodes[0].media;
+        await request('POST', `/api/series/${series.id}/tags`, {
+            token,
+            body: { mediaIds: [tagged.id], add: [{ type: 'person', name: 'Grandma' }] }
+        });
+
+        const images = await search({ kind: 'media', mediaType: 'image', seriesId: series.id });
+        assert.equal(images.body.total, 3);
+        assert.equal((await search({ kind: 'media', mediaType: 'video' })).body.total, 0);
+
+        const withTag = await search({ tag: 'grandma', tagType: 'person' });
+        assert.deepEqual(withTag.body.results.map(result => result.media.id), [tagged.id]);
+        assert.equal((await search({ tag: 'Grandma', tagType: 'label' })).body.total, 0);
+
+        const july = await search({ kind: 'episode', from: '2024-07-01', to: '2024-07-31' });
+        assert.deepEqual(describeResults(july.body.results), [['episode', 'Beach day']]);
+    });
+
+    it('pages through results', async () => {
+        const first = await search({ kind: 'media', sort: 'title', order: 'asc', limit: 2 });
+        assert.equal(first.body.total, 3);
+        assert.deepEqual(first.body.results.map(result => result.media.originalName), ['photo-1.jpg', 'photo-2.jpg']);
+
+        const rest = await search({ kind: 'media', sort: 'title', order: 'asc', limit: 2, offset: 2 });
+        assert.deepEqual(rest.body.results.map(result => result.media.originalName), ['photo-3.jpg']);
+        assert.equal(rest.body.offset, 2);
+    });
+
+    it('refuses invalid queries', async () => {
+        for (const query of [
+            { kind: 'music' },
+            { sort: 'relevance' },
+            { from: '2024-02-30' },
+            { from: '2024-08-01', to: '2024-07-01' },
+            { limit: 0 },
+            { limit: 101 },
+            { offset: -1 }
+        ]) {
+            assert.equal((await search(query)).status, 400, JSON.stringify(query));
+        }
+
+        assert.equal((await search({ seriesId: otherSeries.id })).status, 404);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    uploadImages
+} = require('./helpers');
+
+describe('series views', () => {
+    let token;
+    let series;
+    // Series without uploads, which no background job changes between requests
+    let plainToken;
+    let plain;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('nina');
+        const created = await createSeries(token, { title: 'Autumn', episodeCount: 2 });
+        series = await uploadImages(token, created.id, created.episodes[0].id, 2);
+        await createSeries(token, { title: 'Winter' });
+
+        plainToken = await registerUser('olga');
+        plain = await createSeries(plainToken, { title: 'Garden', episodeCount: 2 });
+        await createSeries(plainToken, { title: 'Pond' });
+    });
+
+    after(stopServer);
+
+    // fetch adds Cache-Control: no-cache to conditional requests unless they
+    // carry their own, and Express never answers 304 to no-cache
+    const revalidate = (url, etag, as) => request('GET', url, {
+        token: as,
+        headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' }
+    });
+
+    it('answers 304 until the series changes', async () => {
+        const url = `/api/series/${plain.id}`;
+        const first = await request('GET', url, { token: plainToken });
+        const etag = first.headers.get('etag');
+        assert.ok(etag);
+
+        assert.equal((await revalidate(url, etag, plainToken)).status, 304);
+
+        // Another query is another response
+        assert.equal((await revalidate(`${url}?view=summary`, etag, plainToken)).status, 200);
+
+        await request('PATCH', `/api/series/${plain.id}/episodes/${plain.episodes[1].id}`, {
+            token: plainToken,
+            body: { title: 'Leaves' }
+        });
+        const changed = await revalidate(url, etag, plainToken);
+        assert.equal(changed.status, 200);
+        assert.notEqual(changed.headers.get('etag'), etag);
+        assert.equal(changed.body.episodes[1].title, 'Leaves');
+    });
+
+    it('tags the list with the versions of every series', async () => {
+        const first = await request('GET', '/api/series', { token: plainToken });
+        assert.equal(first.headers.get('x-total-count'), '2');
+        const etag = first.headers.get('etag');
+        assert.equal((await revalidate('/api/series', etag, plainToken)).status, 304);
+
+        await createSeries(plainToken, { title: 'Spring' });
+        const changed = await revalidate('/api/series', etag, plainToken);
+        assert.equal(changed.status, 200);
+        assert.equal(changed.headers.get('x-total-count'), '3');
+    });
+
+    it('summarizes series and selects fields', async () => {
+        const { body } = await request('GET', `/api/series/${series.id}?view=summary&expand=episodes`, { token });
+        assert.equal(body.mediaCount, 2);
+        assert.equal(body.preview.id, series.episodes[0].media[0].id);
+        assert.deepEqual(body.episodes.map(episode => episode.mediaCount), [2, 0]);
+        assert.ok(!('ownerId' in body));
+
+        const selected = await request('GET', `/api/series/${series.id}?fields=title,episodeCount`, { token });
+        assert.deepEqual(selected.body, { id: series.id, title: 'Autumn', episodeCount: 2 });
+
+        const page = await request('GET', '/api/series?view=summary&fields=title&limit=1&offset=1', { token });
+        assert.equal(page.body.length, 1);
+        assert.deepEqual(Object.keys(page.body[0]), ['id', 'title']);
+    });
+
+    it('refuses unknown views, expansions and fields', async () => {
+        for (const query of ['view=tiny', 'expand=media', 'fields=mediaCount', 'view=summary&fields=ownerId']) {
+            assert.equal((await request('GET', `/api/series/${series.id}?${query}`, { token })).status, 400, query);
+        }
+        assert.equal((await request('GET', '/api/series?limit=0', { token })).status, 400);
+    });
+});
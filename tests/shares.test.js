@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    uploadImages
+} = require('./helpers');
+const {
+    MAX_FAILED_ATTEMPTS,
+    getLockoutRemaining,
+    recordFailedAttempt
+} = require('../services/passcodeAttempts');
+
+describe('share links', () => {
+    let token;
+    let series;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('grace');
+        const created = await createSeries(token, { title: 'Shared' });
+        series = await uploadImages(token, created.id, created.episodes[0].id, 1);
+    });
+
+    after(stopServer);
+
+    const createShare = async body => request('POST', `/api/series/${series.id}/shares`, { token, body });
+    const viewShare = (shareToken, passcode, client = '203.0.113.1') => request('GET', `/api/shared/${shareToken}`, {
+        headers: { 'X-Forwarded-For': client, ...(passcode ? { 'X-Share-Passcode': passcode } : {}) }
+    });
+
+    it('shows the series without its owner and allows no changes', async () => {
+        const { body } = await createShare({ label: 'Family' });
+
+        const view = await viewShare(body.share.token);
+        assert.equal(view.status, 200);
+        assert.equal(view.body.title, 'Shared');
+        assert.equal(view.body.episodes[0].media.length, 1);
+        assert.ok(!('ownerId' in view.body));
+
+        const change = await request('PUT', `/api/shared/${body.share.token}`, { body: { title: 'Changed' } });
+        assert.equal(change.status, 405);
+
+        // Viewers may comment
+        const comment = await request('POST', `/api/shared/${body.share.token}/comments`, {
+            headers: { 'X-Viewer-Id': 'viewer-123456' },
+            body: { episodeId: series.episodes[0].id, body: 'Lovely', authorName: 'Aunt May' }
+        });
+        assert.equal(comment.status, 200);
+    });
+
+    it('stops working when revoked', async () => {
+        const { body } = await createShare({});
+        await request('DELETE', `/api/series/${series.id}/shares/${body.share.id}`, { token });
+
+        assert.equal((await viewShare(body.share.token)).status, 404);
+        assert.equal((await viewShare('no-such-token')).status, 404);
+    });
+
+    it('refuses short passcodes', async () => {
+        const response = await createShare({ passcode: '1234' });
+        assert.equal(response.status, 400);
+    });
+
+    it('needs the passcode when it has one', async () => {
+        const { body } = await createShare({ passcode: 'sunflower' });
+
+        const missing = await viewShare(body.share.token);
+        assert.equal(missing.status, 401);
+        assert.equal(missing.body.passcodeRequired, true);
+        assert.equal((await viewShare(body.share.token, 'dandelion')).status, 401);
+        assert.equal((await viewShare(body.share.token, 'sunflower')).status, 200);
+    });
+
+    it('locks out a client after too many wrong passcodes', async () => {
+        const { body } = await createShare({ passcode: 'sunflower' });
+
+        for (let i = 0; i < MAX_FAILED_ATTEMPTS; i++) {
+            assert.equal((await viewShare(body.share.token, `guess-${i}`)).status, 401);
+        }
+
+        const locked = await viewShare(body.share.token, 'guess-again');
+        assert.equal(locked.status, 429);
+        assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+        // Others still get in with the right passcode
+        assert.equal((await viewShare(body.share.token, 'sunflower', '203.0.113.2')).status, 200);
+    });
+
+    it('answers only as many guesses sent at once as the limit allows', async () => {
+        const { body } = await createShare({ passcode: 'sunflower' });
+
+        const guesses = Array.from({ length: 20 }, (_, i) => viewShare(body.share.token, `guess-${i}`));
+        const statuses = (await Promise.all(guesses)).map(response => response.status);
+
+        assert.equal(statuses.filter(status => status === 401).length, MAX_FAILED_ATTEMPTS);
+        assert.equal(statuses.filter(status => status === 429).length, 20 - MAX_FAILED_ATTEMPTS);
+    });
+
+    it('keeps each viewer\'s watch progress', async () => {
+        const { body } = await createShare({});
+        const url = `/api/shared/${body.share.token}/progress`;
+        const [episode] = series.episodes;
+        const asViewer = viewerId => ({ 'X-Viewer-Id': viewerId });
+
+        const anonymous = await request('PUT', url, { body: { episodeId: episode.id } });
+        assert.equal(anonymous.status, 400);
+
+        const saved = await request('PUT', url, {
+            headers: asViewer('viewer-aaaaaaaa'),
+            body: { episodeId: episode.id, mediaId: episode.media[0].id }
+        });
+        assert.equal(saved.status, 200);
+        assert.equal(saved.body.progress.mediaId, episode.media[0].id);
+
+        const progress = await request('GET', url, { headers: asViewer('viewer-aaaaaaaa') });
+        assert.equal(progress.status, 200);
+        assert.equal(progress.body.episodeId, episode.id);
+        assert.equal(progress.body.finished, true);
+
+        // Other viewers and the owner have places of their own
+        assert.equal((await request('GET', url, { headers: asViewer('viewer-bbbbbbbb') })).status, 404);
+        assert.equal((await request('GET', `/api/series/${series.id}/progress`, { token })).status, 404);
+        const own = await request('PUT', `/api/series/${series.id}/progress`, { token, body: { episodeId: episode.id } });
+        assert.equal(own.status, 200);
+        assert.equal((await request('GET', url, { headers: asViewer('viewer-aaaaaaaa') })).body.mediaId, episode.media[0].id);
+
+        const forgotten = await request('DELETE', url, { headers: asViewer('viewer-aaaaaaaa') });
+        assert.equal(forgotten.status, 200);
+        assert.equal((await request('GET', url, { headers: asViewer('viewer-aaaaaaaa') })).status, 404);
+    });
+
+    it('counts wrong passcodes per link and client', async () => {
+        const first = (await createShare({ passcode: 'sunflower' })).body.share;
+        const second = (await createShare({ passcode: 'sunflower' })).body.share;
+
+        for (let i = 0; i < MAX_FAILED_ATTEMPTS; i++) {
+            await viewShare(first.token, `guess-${i}`, '198.51.100.1');
+        }
+        assert.equal((await viewShare(first.token, 'guess', '198.51.100.1')).status, 429);
+
+        assert.equal((await viewShare(second.token, 'guess', '198.51.100.1')).status, 401);
+        assert.equal((await viewShare(second.token, 'sunflower', '198.51.100.1')).status, 200);
+        assert.equal((await viewShare(first.token, 'guess', '198.51.100.2')).status, 401);
+        assert.equal((await viewShare(first.token, 'sunflower', '198.51.100.2')).status, 200);
+    });
+
+    it('forgets wrong passcodes after a while', t => {
+        let now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+
+        for (let i = 0; i < MAX_FAILED_ATTEMPTS; i++) {
+            recordFailedAttempt('share-1', '198.51.100.3');
+            now += 60 * 1000;
+        }
+        const remaining = getLockoutRemaining('share-1', '198.51.100.3');
+        assert.ok(remaining > 0);
+
+        now += remaining;
+        assert.equal(getLockoutRemaining('share-1', '198.51.100.3'), 0);
+
+        // The later failures still count: one more wrong passcode locks it again
+        recordFailedAttempt('share-1', '198.51.100.3');
+        assert.ok(getLockoutRemaining('share-1', '198.51.100.3') > 0);
+    });
+});
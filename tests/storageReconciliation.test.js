@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const {
+    startServer,
+    stopServer,
+    registerUser,
+    createSeries,
+    createImage
+} = require('./helpers');
+const { putObject, headObject, getFileUrl, createKey } = require('../config/storage');
+const { getSeries, saveSeries } = require('../db/seriesRepository');
+const { addToTrash } = require('../db/trashRepository');
+const { createPendingUpload } = require('../db/uploadRepository');
+const { reconcileStorage } = require('../services/storageReconciliation');
+
+// A media record for the file stored at key
+const mediaAt = (key, originalName) => ({
+    id: uuidv4(),
+    filename: key,
+    originalName,
+    type: 'image',
+    url: getFileUrl(key),
+    status: 'ready',
+    tags: []
+});
+
+// Media records and files are made here rather than uploaded, so no background
+// job stores new files while storage is compared
+describe('storage reconciliation', () => {
+    let series;
+    const keys = {};
+
+    before(async () => {
+        await startServer();
+        const token = await registerUser('tessa');
+        series = getSeries((await createSeries(token)).id);
+
+        const image = await createImage();
+        for (const name of ['live', 'trashed', 'orphan']) {
+            keys[name] = createKey('media', `${name}.jpg`);
+            await putObject(keys[name], image);
+        }
+        keys.missing = createKey('media', 'missing.jpg');
+        keys.pending = createKey('media', 'pending.jpg');
+
+        series.episodes[0].media = [mediaAt(keys.live, 'live.jpg'), mediaAt(keys.missing, 'missing.jpg')];
+        saveSeries(series);
+        addToTrash({
+            ownerId: series.ownerId,
+            kind: 'media',
+            seriesId: series.id,
+            episodeId: series.episodes[0].id,
+            position: 0,
+            title: 'trashed.jpg',
+            item: mediaAt(keys.trashed, 'trashed.jpg')
+        });
+        // A direct upload the client hasn't finished yet
+        createPendingUpload({ seriesId: series.id, episodeId: series.episodes[0].id, key: keys.pending, originalName: 'pending.jpg' });
+    });
+
+    after(stopServer);
+
+    it('reports orphaned files and references to missing files', async () => {
+        const report = await reconcileStorage({ minAgeHours: 0 });
+
+        assert.deepEqual(report.orphans.map(orphan => orphan.key), [keys.orphan]);
+        assert.deepEqual(report.dangling.map(reference => [reference.key, reference.location]), [[keys.missing, {
+            seriesId: series.id,
+            episodeId: series.episodes[0].id,
+            mediaId: series.episodes[0].media[1].id,
+            field: 'url'
+        }]]);
+        assert.equal(report.deleted, 0);
+        assert.equal(report.flagged, 0);
+        assert.ok(await headObject(keys.orphan));
+
+        // New files are given time to be saved
+        assert.deepEqual((await reconcileStorage()).orphans, []);
+    });
+
+    it('deletes orphans and flags broken media when asked', async () => {
+        const report = await reconcileStorage({ minAgeHours: 0, deleteOrphans: true, flagBroken: true });
+        assert.equal(report.deleted, 1);
+        assert.equal(report.flagged, 1);
+
+        assert.equal(await headObject(keys.orphan), null);
+        for (const name of ['live', 'trashed']) {
+            assert.ok(await headObject(keys[name]), name);
+        }
+        const [live, missing] = getSeries(series.id).episodes[0].media;
+        assert.equal(live.status, 'ready');
+        assert.equal(missing.status, 'failed');
+        assert.equal(missing.statusError, 'File is missing from storage');
+
+        // Flagged media aren't flagged again
+        assert.equal((await reconcileStorage({ minAgeHours: 0, flagBroken: true })).flagged, 0);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    uploadImages
+} = require('./helpers');
+
+describe('bulk tagging', () => {
+    let token;
+    let series;
+    let otherToken;
+    let otherSeries;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('rachel');
+        const created = await createSeries(token, { title: 'Reunion' });
+        series = await uploadImages(token, created.id, created.episodes[0].id, 2);
+
+        otherToken = await registerUser('simon');
+        const other = await createSeries(otherToken, { title: 'Elsewhere' });
+        otherSeries = await uploadImages(otherToken, other.id, other.episodes[0].id, 1);
+    });
+
+    after(stopServer);
+
+    const tag = (seriesId, body, as = token) => request('POST', `/api/series/${seriesId}/tags`, { token: as, body });
+    const mediaIds = saved => saved.episodes.flatMap(episode => episode.media.map(m => m.id));
+    const tagsOf = async (seriesId, as = token) => (await request('GET', `/api/series/${seriesId}`, { token: as }))
+        .body.episodes.flatMap(episode => episode.media.map(m => m.tags));
+
+    it('tags media of the series', async () => {
+        const response = await tag(series.id, { mediaIds: mediaIds(series), add: [{ type: 'person', name: 'Grandma' }, 'Picnic'] });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.media.length, 2);
+
+        // A new spelling of a tag the user has becomes that tag
+        await tag(series.id, { mediaIds: mediaIds(series).slice(0, 1), add: ['PICNIC'], remove: [{ type: 'person', name: 'grandma' }] });
+        assert.deepEqual(await tagsOf(series.id), [
+            [{ type: 'label', name: 'Picnic' }],
+            [{ type: 'person', name: 'Grandma' }, { type: 'label', name: 'Picnic' }]
+        ]);
+    });
+
+    it('only tags series the user owns', async () => {
+        const response = await tag(otherSeries.id, { mediaIds: mediaIds(otherSeries), add: ['Mine now'] });
+        assert.equal(response.status, 404);
+        assert.deepEqual(await tagsOf(otherSeries.id, otherToken), [[]]);
+    });
+
+    it('refuses media from another series and changes nothing', async () => {
+        const tags = await tagsOf(series.id);
+
+        const foreign = await tag(series.id, { mediaIds: [...mediaIds(series), ...mediaIds(otherSeries)], add: ['Borrowed'] });
+        assert.equal(foreign.status, 400);
+        assert.deepEqual(await tagsOf(series.id), tags);
+        assert.deepEqual(await tagsOf(otherSeries.id, otherToken), [[]]);
+
+        // The other user's own tags are theirs alone
+        await tag(otherSeries.id, { mediaIds: mediaIds(otherSeries), add: ['PICNIC'] }, otherToken);
+        assert.deepEqual(await tagsOf(otherSeries.id, otherToken), [[{ type: 'label', name: 'PICNIC' }]]);
+        const labels = (await request('GET', '/api/tags?type=label', { token })).body;
+        assert.deepEqual(labels.map(t => [t.name, t.mediaCount, t.seriesCount]), [['Picnic', 2, 1]]);
+    });
+});
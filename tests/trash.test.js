@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    createImage,
+    uploadImages
+} = require('./helpers');
+const { getSeries: getStoredSeries, saveSeries } = require('../db/seriesRepository');
+const { addToTrash } = require('../db/trashRepository');
+
+// Where the local storage driver keeps a file served at url
+const storedPath = url => path.join(process.env.UPLOADS_DIR, decodeURIComponent(url.replace('/uploads/', '')));
+
+async function uploadThumbnail(token, seriesId, color) {
+    const form = new FormData();
+    form.append('thumbnail', new Blob([await createImage(color)], { type: 'image/jpeg' }), 'cover.jpg');
+    return request('POST', `/api/series/${seriesId}/upload/thumbnail`, { token, body: form });
+}
+
+describe('trash', () => {
+    let token;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('carol');
+    });
+
+    after(stopServer);
+
+    const getSeries = async id => (await request('GET', `/api/series/${id}`, { token })).body;
+    const listTrash = async id => (await request('GET', `/api/trash?seriesId=${id}`, { token })).body;
+
+    it('keeps what a series update leaves out and restores it', async () => {
+        const created = await createSeries(token, { episodeCount: 2 });
+        await uploadImages(token, created.id, created.episodes[0].id, 2);
+        const series = await uploadImages(token, created.id, created.episodes[1].id, 1);
+        const [first, second] = series.episodes;
+
+        // Drop one media item of the first episode and the whole second episode
+        const update = await request('PUT', `/api/series/${series.id}`, {
+            token,
+            body: { episodeCount: 1, episodes: [{ ...first, media: [first.media[1]] }] }
+        });
+        assert.equal(update.status, 200);
+
+        const trash = await listTrash(series.id);
+        const trashedMedia = trash.find(item => item.kind === 'media');
+        const trashedEpisode = trash.find(item => item.kind === 'episode');
+        assert.equal(trashedMedia.item.id, first.media[0].id);
+        assert.equal(trashedMedia.position, 0);
+        assert.equal(trashedEpisode.item.id, second.id);
+        assert.ok(fs.existsSync(storedPath(first.media[0].url)));
+
+        for (const item of [trashedMedia, trashedEpisode]) {
+            const restore = await request('POST', `/api/trash/${item.id}/restore`, { token });
+            assert.equal(restore.status, 200);
+        }
+        const restored = await getSeries(series.id);
+        assert.deepEqual(restored.episodes.map(e => e.id), [first.id, second.id]);
+        assert.deepEqual(restored.episodes[0].media.map(m => m.id), first.media.map(m => m.id));
+        assert.equal(restored.episodes[1].media.length, 1);
+    });
+
+    it('keeps episodes the legacy save trims', async () => {
+        // The legacy routes act on the user's first series
+        const legacyToken = await registerUser('dave');
+        const created = await createSeries(legacyToken, { episodeCount: 2 });
+        const series = await uploadImages(legacyToken, created.id, created.episodes[1].id, 1);
+
+        const save = await request('POST', '/api/show', { token: legacyToken, body: { episodeCount: 1 } });
+        assert.equal(save.status, 200);
+
+        const trash = (await request('GET', '/api/trash', { token: legacyToken })).body;
+        assert.deepEqual(trash.map(item => [item.kind, item.item.id]), [['episode', series.episodes[1].id]]);
+    });
+
+    it('keeps a replaced thumbnail until it is purged', async () => {
+        const series = await createSeries(token);
+        const first = await uploadThumbnail(token, series.id, '#ff0000');
+        const second = await uploadThumbnail(token, series.id, '#00ff00');
+        assert.equal(second.status, 200);
+        assert.ok(fs.existsSync(storedPath(first.body.url)));
+
+        const [image] = (await listTrash(series.id)).filter(item => item.kind === 'image');
+        assert.deepEqual(image.item, { field: 'thumbnail', url: first.body.url });
+
+        // Restoring swaps the images: the current one goes to the trash
+        const restore = await request('POST', `/api/trash/${image.id}/restore`, { token });
+        assert.equal(restore.status, 200);
+        assert.equal((await getSeries(series.id)).thumbnail, first.body.url);
+        const [replaced] = (await listTrash(series.id)).filter(item => item.kind === 'image');
+        assert.equal(replaced.item.url, second.body.url);
+
+        const purge = await request('DELETE', `/api/trash/${replaced.id}`, { token });
+        assert.equal(purge.status, 200);
+        assert.ok(!fs.existsSync(storedPath(second.body.url)));
+        assert.ok(fs.existsSync(storedPath(first.body.url)));
+    });
+
+    it('restores a deleted series', async () => {
+        const created = await createSeries(token, { title: 'Deleted' });
+        const series = await uploadImages(token, created.id, created.episodes[0].id, 1);
+
+        const deleted = await request('DELETE', `/api/series/${series.id}`, { token });
+        assert.equal(deleted.status, 200);
+        assert.equal((await request('GET', `/api/series/${series.id}`, { token })).status, 404);
+
+        const restore = await request('POST', `/api/trash/${deleted.body.trashId}/restore`, { token });
+        assert.equal(restore.status, 200);
+        const restored = await getSeries(series.id);
+        assert.equal(restored.title, 'Deleted');
+        assert.deepEqual(restored.episodes[0].media.map(m => m.id), series.episodes[0].media.map(m => m.id));
+    });
+
+    // Drop the first media item of a new series' episode with a full save
+    async function trashFirstMedia() {
+        const created = await createSeries(token);
+        const series = await uploadImages(token, created.id, created.episodes[0].id, 2);
+        const [episode] = series.episodes;
+        await request('PUT', `/api/series/${series.id}`, {
+            token,
+            body: { episodes: [{ ...episode, media: episode.media.slice(1) }] }
+        });
+        const [trashed] = (await listTrash(series.id)).filter(item => item.kind === 'media');
+        return { series, trashed };
+    }
+
+    it('keeps files another trash item still holds', async () => {
+        const { series, trashed } = await trashFirstMedia();
+
+        // A second copy, as saves from clients holding an older copy used to leave
+        const copy = addToTrash({
+            ownerId: series.ownerId,
+            kind: 'media',
+            seriesId: series.id,
+            episodeId: trashed.episodeId,
+            position: 0,
+            title: trashed.title,
+            item: trashed.item
+        });
+
+        assert.equal((await request('DELETE', `/api/trash/${trashed.id}`, { token })).status, 200);
+        assert.ok(fs.existsSync(storedPath(trashed.item.url)));
+
+        assert.equal((await request('DELETE', `/api/trash/${copy.id}`, { token })).status, 200);
+        assert.ok(!fs.existsSync(storedPath(trashed.item.url)));
+    });
+
+    it('keeps files revisions since the item was trashed use', async () => {
+        const { series, trashed } = await trashFirstMedia();
+
+        // The series used the file again in a later edit, then lost it without trashing it
+        const stored = getStoredSeries(series.id);
+        stored.episodes[0].media.unshift(trashed.item);
+        saveSeries(stored, { userId: series.ownerId, action: 'Update series' });
+        stored.episodes[0].media.shift();
+        saveSeries(stored);
+
+        assert.equal((await request('DELETE', `/api/trash/${trashed.id}`, { token })).status, 200);
+        assert.ok(fs.existsSync(storedPath(trashed.item.url)));
+
+        // Revisions from before the item was trashed don't count
+        const other = await trashFirstMedia();
+        assert.equal((await request('DELETE', `/api/trash/${other.trashed.id}`, { token })).status, 200);
+        assert.ok(!fs.existsSync(storedPath(other.trashed.item.url)));
+    });
+});
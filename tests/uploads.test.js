@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const {
+    startServer,
+    stopServer,
+    request,
+    registerUser,
+    createSeries,
+    createImage,
+    uploadImages
+} = require('./helpers');
+const { putObject, headObject, createKey } = require('../config/storage');
+const { createPendingUpload } = require('../db/uploadRepository');
+
+// Direct uploads are presigned by the S3 driver; these tests store the file
+// themselves, as the client would, and record the upload the presign route would
+// (announcing size bytes)
+async function storeDirectUpload(series, body, originalName, size = body.length) {
+    const key = createKey('media', originalName);
+    await putObject(key, body, 'application/octet-stream');
+    const upload = createPendingUpload({
+        seriesId: series.id,
+        episodeId: series.episodes[0].id,
+        key,
+        originalName,
+        size,
+        createdBy: series.ownerId
+    });
+    return { key, upload };
+}
+
+describe('uploads', () => {
+    let token;
+    let series;
+
+    before(async () => {
+        await startServer();
+        token = await registerUser('heidi');
+        series = await createSeries(token);
+    });
+
+    after(stopServer);
+
+    const complete = (seriesId, uploadId, as = token) =>
+        request('POST', `/api/series/${seriesId}/uploads/${uploadId}/complete`, { token: as, body: {} });
+
+    it('adds uploaded files to the episode', async () => {
+        const saved = await uploadImages(token, series.id, series.episodes[0].id, 2);
+        assert.deepEqual(saved.episodes[0].media.map(m => [m.type, m.originalName]), [
+            ['image', 'photo-1.jpg'],
+            ['image', 'photo-2.jpg']
+        ]);
+    });
+
+    it('refuses files that are not images or videos, whatever their name', async () => {
+        const form = new FormData();
+        form.append('media', new Blob(['just some text']), 'holiday.jpg');
+        const response = await request('POST', `/api/series/${series.id}/upload/media/${series.episodes[0].id}`, { token, body: form });
+        assert.equal(response.status, 415);
+    });
+
+    it('accepts images by their content, whatever their name and type', async () => {
+        const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#00aa00' } }).png().toBuffer();
+        const form = new FormData();
+        form.append('media', new Blob([png], { type: 'text/plain' }), 'scan.txt');
+
+        const response = await request('POST', `/api/series/${series.id}/upload/media/${series.episodes[0].id}`, { token, body: form });
+        assert.equal(response.status, 200);
+
+        const saved = (await request('GET', `/api/series/${series.id}`, { token })).body;
+        const media = saved.episodes[0].media.find(m => m.originalName === 'scan.txt');
+        assert.equal(media.type, 'image');
+        assert.equal(media.status, 'ready');
+    });
+
+    it('needs the S3 driver for presigned uploads', async () => {
+        const response = await request('POST', `/api/series/${series.id}/upload/media/${series.episodes[0].id}/presign`, {
+            token,
+            body: { filename: 'clip.mp4', contentType: 'video/mp4', size: 1024 }
+        });
+        assert.equal(response.status, 501);
+    });
+
+    it('registers a completed direct upload once', async () => {
+        const { key, upload } = await storeDirectUpload(series, await createImage(), 'direct.jpg');
+
+        const response = await complete(series.id, upload.id);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.files[0].type, 'image');
+        assert.equal(response.body.files[0].filename, key);
+
+        const saved = (await request('GET', `/api/series/${series.id}`, { token })).body;
+        assert.ok(saved.episodes[0].media.some(m => m.id === response.body.files[0].id));
+
+        // The upload is finished; completing it again finds nothing
+        assert.equal((await complete(series.id, upload.id)).status, 404);
+    });
+
+    it('deletes a direct upload that is not media', async () => {
+        const { key, upload } = await storeDirectUpload(series, Buffer.from('not a photo'), 'fake.jpg');
+
+        const response = await complete(series.id, upload.id);
+        assert.equal(response.status, 415);
+        assert.equal(await headObject(key), null);
+        assert.equal((await complete(series.id, upload.id)).status, 404);
+    });
+
+    it('deletes a direct upload of another size than announced', async () => {
+        const body = await createImage();
+        const { key, upload } = await storeDirectUpload(series, body, 'resized.jpg', body.length - 1);
+
+        const response = await complete(series.id, upload.id);
+        assert.equal(response.status, 400);
+        assert.equal(await headObject(key), null);
+        assert.equal((await complete(series.id, upload.id)).status, 404);
+    });
+
+    it('reports a direct upload that never arrived', async () => {
+        const upload = createPendingUpload({
+            seriesId: series.id,
+            episodeId: series.episodes[0].id,
+            key: createKey('media', 'missing.jpg'),
+            originalName: 'missing.jpg',
+            createdBy: series.ownerId
+        });
+
+        assert.equal((await complete(series.id, upload.id)).status, 400);
+    });
+
+    it('only lets the owner complete an upload', async () => {
+        const { upload } = await storeDirectUpload(series, await createImage(), 'private.jpg');
+        const other = await registerUser('ivan');
+        const otherSeries = await createSeries(other);
+
+        assert.equal((await complete(series.id, upload.id, other)).status, 404);
+        assert.equal((await complete(otherSeries.id, upload.id, other)).status, 404);
+        assert.equal((await complete(series.id, upload.id)).status, 200);
+    });
+});
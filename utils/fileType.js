@@ -0,0 +1,154 @@
+/**
+ * File Type Detection
+ * Identifies uploads by their leading "magic" bytes rather than trusting the
+ * filename, so a renamed .txt can't pass as a video.
+ */
+
+const { PassThrough } = require('stream');
+
+// Bytes to read before deciding (enough for EBML doctype and ftyp brands)
+const SNIFF_BYTES = 4100;
+
+const IMAGE_TYPES = ['jpg', 'png', 'gif', 'webp'];
+const VIDEO_TYPES = ['mp4', 'webm', 'mov', 'avi', 'mkv'];
+const AUDIO_TYPES = ['mp3', 'wav', 'ogg', 'aac', 'm4a', 'flac'];
+
+const TYPES = {
+    jpg: { mime: 'image/jpeg', kind: 'image' },
+    png: { mime: 'image/png', kind: 'image' },
+    gif: { mime: 'image/gif', kind: 'image' },
+    webp: { mime: 'image/webp', kind: 'image' },
+    heic: { mime: 'image/heic', kind: 'image' },
+    mp4: { mime: 'video/mp4', kind: 'video' },
+    mov: { mime: 'video/quicktime', kind: 'video' },
+    webm: { mime: 'video/webm', kind: 'video' },
+    mkv: { mime: 'video/x-matroska', kind: 'video' },
+    avi: { mime: 'video/x-msvideo', kind: 'video' },
+    mp3: { mime: 'audio/mpeg', kind: 'audio' },
+    m4a: { mime: 'audio/mp4', kind: 'audio' },
+    aac: { mime: 'audio/aac', kind: 'audio' },
+    wav: { mime: 'audio/wav', kind: 'audio' },
+    ogg: { mime: 'audio/ogg', kind: 'audio' },
+    flac: { mime: 'audio/flac', kind: 'audio' }
+};
+
+function ascii(buffer, start, end) {
+    return buffer.toString('latin1', start, end);
+}
+
+function detectExtension(buffer) {
+    if (buffer.length < 4) return null;
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpg';
+    if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+    if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'gif';
+
+    if (ascii(buffer, 0, 4) === 'RIFF') {
+        const format = ascii(buffer, 8, 12);
+        if (format === 'WEBP') return 'webp';
+        if (format === 'AVI ') return 'avi';
+        if (format === 'WAVE') return 'wav';
+        return null;
+    }
+
+    // ISO base media (MP4, MOV, M4A, HEIC): "ftyp" box with a major brand
+    if (ascii(buffer, 4, 8) === 'ftyp') {
+        const brand = ascii(buffer, 8, 12);
+        if (brand === 'qt  ') return 'mov';
+        if (['M4A ', 'M4B ', 'M4P '].includes(brand)) return 'm4a';
+        if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'heic';
+        return 'mp4';
+    }
+
+    // EBML (Matroska / WebM)
+    if (buffer[0] === 0x1A && buffer[1] === 0x45 && buffer[2] === 0xDF && buffer[3] === 0xA3) {
+        return buffer.includes('webm', 0, 'latin1') ? 'webm' : 'mkv';
+    }
+
+    if (ascii(buffer, 0, 4) === 'OggS') return 'ogg';
+    if (ascii(buffer, 0, 4) === 'fLaC') return 'flac';
+    if (ascii(buffer, 0, 3) === 'ID3') return 'mp3';
+
+    // MPEG audio frame sync: ADTS AAC (layer 0) or MP3
+    if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) {
+        return (buffer[1] & 0x06) === 0 ? 'aac' : 'mp3';
+    }
+
+    return null;
+}
+
+/**
+ * Detect a file type from its first bytes.
+ * Returns { ext, mime, kind } or null when unrecognised.
+ */
+function detectFileType(buffer) {
+    const ext = detectExtension(buffer);
+    return ext ? { ext, ...TYPES[ext] } : null;
+}
+
+/**
+ * Error for a file whose content is not one of the allowed types (HTTP 415)
+ */
+function unsupportedFileTypeError(filename, detected, allowedTypes) {
+    const found = detected ? detected.ext : 'unrecognised content';
+    const error = new Error(`Unsupported file type for "${filename}" (${found}). Allowed types: ${allowedTypes.join(', ')}`);
+    error.status = 415;
+    error.allowedTypes = allowedTypes;
+    return error;
+}
+
+/**
+ * Read the first bytes of a stream without consuming it.
+ * Resolves { head, stream } where stream replays the whole content.
+ */
+function peekStream(source, size = SNIFF_BYTES) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        let settled = false;
+
+        const finish = (ended) => {
+            if (settled) return;
+            settled = true;
+            source.removeListener('data', onData);
+            source.removeListener('end', onEnd);
+            source.removeListener('error', onError);
+            source.pause();
+
+            const replay = new PassThrough();
+            chunks.forEach(chunk => replay.write(chunk));
+            if (ended) {
+                replay.end();
+            } else {
+                source.on('error', error => replay.destroy(error));
+                source.pipe(replay);
+            }
+            resolve({ head: Buffer.concat(chunks).slice(0, size), stream: replay });
+        };
+        const onData = (chunk) => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= size) finish(false);
+        };
+        const onEnd = () => finish(true);
+        const onError = (error) => {
+            if (settled) return;
+            settled = true;
+            reject(error);
+        };
+
+        source.on('data', onData);
+        source.on('end', onEnd);
+        source.on('error', onError);
+    });
+}
+
+module.exports = {
+    IMAGE_TYPES,
+    VIDEO_TYPES,
+    AUDIO_TYPES,
+    SNIFF_BYTES,
+    detectFileType,
+    unsupportedFileTypeError,
+    peekStream
+};